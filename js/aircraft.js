@@ -7,91 +7,217 @@ const Aircraft = {
     mesh: null,
     group: null,
     
-    // Aircraft specifications
-    types: {
-        cessna: {
-            name: 'cessna',
-            emoji: '🛩️',
-            speed: 300, // km/h
-            maxSpeed: 400,
-            minSpeed: 100,
-            handling: 1.0,
-            color: 0xffffff,
-            accentColor: 0xff0000,
-            scale: 0.3
-        },
-        airliner: {
-            name: 'airliner',
-            emoji: '✈️',
-            speed: 850,
-            maxSpeed: 1000,
-            minSpeed: 300,
-            handling: 0.7,
-            color: 0xf0f0f0,
-            accentColor: 0x0066cc,
-            scale: 0.5
-        },
-        jet: {
-            name: 'jet',
-            emoji: '🛫',
-            speed: 1500,
-            maxSpeed: 2000,
-            minSpeed: 500,
-            handling: 1.5,
-            color: 0x888888,
-            accentColor: 0x333333,
-            scale: 0.35
-        }
-    },
+    // Aircraft specifications by id, loaded from data/aircraft.json
+    types: {},
     
     currentType: null,
     
+    // Loaded glTF scenes by URL, cloned for each use
+    modelCache: {},
+    
+    // Mesh parts driven by the controls: { object, type, axis, maxAngle, baseQuaternion, speed }
+    animatedParts: [],
+    
+    // Part animation tuning
+    partAnimation: {
+        propellerIdleSpeed: 20, // rad/s at idle
+        propellerMaxSpeed: 60, // rad/s at full throttle
+        fanIdleSpeed: 5,
+        fanMaxSpeed: 25,
+        spinUpRate: 2, // fraction of the speed difference closed per second
+        surfaceMaxAngle: 20, // degrees of deflection at full input
+        surfaceRate: 8, // fraction of the deflection difference closed per second
+        systemMaxAngles: { gear: 90, flap: 40, spoiler: 50 } // degrees at full travel
+    },
+    
+    // Physical constants for the flight model
+    physics: {
+        gravity: 9.81, // m/s²
+        seaLevelDensity: 1.225, // kg/m³
+        scaleHeight: 8.5, // km, exponential atmosphere
+        throttleRate: 0.5, // throttle travel per second at full input
+        groundLevel: 0.5 // altitude of the runway surface in km
+    },
+    
+    // Arrival sequence tuning
+    departure: {
+        rotationSpeed: 0.8, // fraction of cruise speed at which the aircraft lifts off
+        runwayMargin: 0.9, // share of the runway left ahead that the takeoff roll may use
+        centerlineGain: 40, // degrees of heading correction per km off the centerline during the roll
+        maxCenterlineCorrection: 10 // degrees
+    },
+    
+    // Ground handling while taxiing
+    taxi: {
+        maxSpeed: 60, // km/h
+        steeringRate: 25, // degrees/s of heading change at full nosewheel deflection
+        steeringSpeed: 15, // km/h needed for the full steering rate; a stopped aircraft cannot turn
+        rollingResistance: 1, // km/h per second lost rolling at idle
+        brakeDeceleration: 15 // km/h per second with full brakes
+    },
+    
+    arrival: {
+        maxDescentRate: 0.015, // km/s on the managed descent path
+        approachHeight: 0.3, // km above the field at the final approach gate
+        approachTime: 30, // seconds from the approach gate to touchdown
+        touchdownRadius: 8, // km around the airport where touchdown is accepted
+        rolloutDeceleration: 0.3 // fraction of approach speed shed per second
+    },
+    
+    // Ground contact limits
+    collision: {
+        maxSinkRate: 5, // m/s sink rate an airport surface survives
+        maxBank: 20, // degrees of bank at contact
+        respawnHeight: 2 // km above the surface when respawning in the air
+    },
+    
+    // Secondary flight control tuning
+    systems: {
+        gearTransitTime: 5, // seconds to extend or retract the gear
+        flapRate: 5, // degrees of flap travel per second
+        spoilerRate: 1, // fraction of full deployment per second
+        gearWarningHeight: 0.5 // km above the surface where a descent with the gear up is flagged
+    },
+    
+    // Effects of system failures
+    failureEffects: {
+        fuelLeakRate: 0.6, // fraction of fuel capacity lost per hour
+        hydraulicHandling: 0.35 // fraction of normal handling left on manual reversion
+    },
+    
     // Flight state
     state: {
         position: new THREE.Vector3(),
         velocity: new THREE.Vector3(),
-        rotation: new THREE.Euler(),
+        frame: new THREE.Quaternion(), // local tangent frame carried over the surface with the aircraft (y = up)
+        attitude: new THREE.Quaternion(), // airframe in the carried frame (x = nose, y = up, z = right wing)
+        flightPath: new THREE.Vector3(1, 0, 0), // unit direction of travel through the air in the carried frame
         speed: 0,
         altitude: 10, // km above surface
         heading: 0, // degrees
         pitch: 0, // degrees
         roll: 0, // degrees
+        flightPathAngle: 0, // degrees, climb angle of the velocity vector
+        angleOfAttack: 0, // degrees
+        throttle: 0, // 0-1 throttle lever position
+        fuel: 0, // kg remaining
+        fuelFlow: 0, // kg/h current burn
+        engineOut: false,
+        loadFactor: 1, // g
+        stalled: false,
+        buffet: 0, // 0-1 airframe shake from stall or overspeed
+        structuralFailure: false,
+        gearDown: true, // gear lever position
+        gearPosition: 1, // 0 retracted - 1 down and locked
+        flapIndex: 0, // selected notch in the type's flapNotches
+        flapAngle: 0, // degrees, follows the selected notch
+        spoilers: false, // spoiler lever position
+        spoilerPosition: 0, // 0 stowed - 1 fully deployed
+        fuelLeak: 0, // kg/h lost overboard
+        hydraulicsFailed: false,
+        electricalFailed: false,
         isFlying: false,
         takeoffAirport: null,
+        takeoffRunway: null, // runway end departed from { ident, heading, lat, lon, length }
         destinationAirport: null,
+        flightPlan: null, // FlightPlan being flown, if any
         flightStartTime: null,
-        verticalSpeed: 0 // km/h vertical rate
+        flightEndTime: null,
+        verticalSpeed: 0, // km/h vertical rate
+        groundSpeed: 0, // km/h over the ground, airspeed plus wind
+        wind: { east: 0, north: 0 }, // km/h the surrounding air is moving
+        track: 0, // degrees, direction of travel over the ground
+        drift: 0, // degrees the wind pushes the track off the heading, positive to the right
+        touchdown: null, // { verticalSpeed, distance, bank } recorded at touchdown
+        crash: null // { cause, lat, lon, speed, verticalSpeed, bank } recorded at impact
+    },
+    
+    // Mesh pose at the last two physics steps, for interpolated rendering
+    pose: {
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        meshQuaternion: new THREE.Quaternion(),
+        previousPosition: new THREE.Vector3(),
+        previousQuaternion: new THREE.Quaternion(),
+        previousMeshQuaternion: new THREE.Quaternion(),
+        snap: true // copy the next pose into the previous one
+    },
+    
+    // Angles the attitude was last read as; scripted phases that change them rebuild the attitude
+    attitudeAngles: null,
+    
+    // Automatic wing leveling only helps out of gentle banks; rolls, loops and inverted flight are the pilot's
+    aerobatics: {
+        levelingMaxBank: 90, // degrees
+        levelingMaxPitch: 75 // degrees
+    },
+    
+    // Flight envelope limits
+    envelope: {
+        stallWarningMargin: 2, // degrees of angle of attack before the stall
+        stallNoseDrop: 15, // degrees/s pitch down while stalled, plus 2°/s per degree past the stall
+        stallRecovery: 1, // degrees below the critical angle before the wing flies again
+        postStallLift: 0.6, // fraction of clMax left once fully stalled
+        stallDrag: 0.4, // extra CD when deep in the stall
+        overspeedBuffetRange: 0.1, // fraction of Vne over which buffet builds to full
+        ultimateLoadFactor: 1.5, // multiple of the limit load that breaks the airframe
+        failureTime: 1 // seconds beyond ultimate load before failure
     },
     
-    // Flight phase: idle, taxiing, takeoff_roll, climbing, flying, descending, landing
+    // Active envelope warnings: stallWarning, stall, overspeed, overstress, structuralFailure, gearUnsafe
+    warnings: {},
+    overstressTime: 0,
+    
+    // Flight phase: idle, taxiing, takeoff_roll, climbing, flying, descending, landing, rollout, landed, crashed
     flightPhase: 'idle',
     phaseStartTime: 0,
     
-    // Phase durations in ms
+    // Distances (km) to the destination where the arrival phases began
+    descentStartDistance: 0,
+    approachGateDistance: 0,
+    
+    // Acceleration (km/h per second) that reaches rotation speed within the planned takeoff roll
+    takeoffAcceleration: 0,
+    
+    // Phase durations in ms; taxiing lasts until the pilot starts the roll, which lasts as long as the runway needs
     phaseDurations: {
-        taxiing: 3000,
-        takeoff_roll: 3000,
         climbing: 3000
     },
     
+    // Flight statistics for the post-flight summary
+    stats: {
+        distanceFlown: 0, // km covered over the globe, at the map scale
+        maxAltitude: 0, // km
+        maxSpeed: 0 // km/h
+    },
+    
     // Control inputs
     input: {
         pitch: 0,
         roll: 0,
         yaw: 0,
-        throttle: 0
+        throttle: 0,
+        brake: 0
     },
     
     /**
      * Initialize aircraft
      * @param {THREE.Scene} scene
-     * @param {string} type - Aircraft type ('cessna', 'airliner', 'jet')
-     * @returns {THREE.Group}
+     * @param {string} type - Aircraft type id from the catalog
+     * @returns {Promise<THREE.Group>}
      */
-    init(scene, type = 'cessna') {
+    async init(scene, type = 'cessna') {
         this.scene = scene;
         this.group = new THREE.Group();
         
+        // Cabin light, powered by the electrical system
+        this.cockpitLight = new THREE.PointLight(0xffcc88, 1.5, 3, 1);
+        this.cockpitLight.position.set(0.5, 0.3, 0);
+        this.group.add(this.cockpitLight);
+        
+        // Load aircraft catalog
+        await this.loadTypes();
+        
         this.setType(type);
         
         scene.add(this.group);
@@ -99,6 +225,55 @@ const Aircraft = {
         return this.group;
     },
     
+    /**
+     * Load aircraft catalog from JSON
+     */
+    async loadTypes() {
+        try {
+            const response = await fetch('data/aircraft.json');
+            const catalog = await response.json();
+            
+            this.types = {};
+            catalog.forEach(spec => {
+                this.types[spec.id] = spec;
+            });
+            
+            this.registerTranslations(catalog);
+        } catch (error) {
+            console.error('Failed to load aircraft catalog:', error);
+            this.types = {};
+        }
+    },
+    
+    /**
+     * Register localized aircraft names and descriptions with I18n
+     * @param {Array} catalog - Aircraft specifications
+     */
+    registerTranslations(catalog) {
+        const translations = {};
+        
+        catalog.forEach(spec => {
+            Object.keys(spec.name || {}).forEach(lang => {
+                translations[lang] = translations[lang] || {};
+                translations[lang][`aircraft.${spec.id}`] = spec.name[lang];
+            });
+            Object.keys(spec.description || {}).forEach(lang => {
+                translations[lang] = translations[lang] || {};
+                translations[lang][`aircraft.${spec.id}.desc`] = spec.description[lang];
+            });
+        });
+        
+        I18n.addTranslations(translations);
+    },
+    
+    /**
+     * Get all aircraft types in catalog order
+     * @returns {Array}
+     */
+    getTypes() {
+        return Object.values(this.types);
+    },
+    
     /**
      * Set aircraft type
      * @param {string} type
@@ -106,345 +281,1201 @@ const Aircraft = {
     setType(type) {
         if (!this.types[type]) {
             console.warn('Unknown aircraft type:', type);
-            type = 'cessna';
+            type = Object.keys(this.types)[0];
+            if (!type) return;
         }
         
         this.currentType = this.types[type];
         this.state.speed = this.currentType.speed;
+        this.resetSystems(0);
         
-        // Remove old mesh if exists
+        // Procedural mesh first; a glTF model replaces it once loaded
+        const animatedParts = [];
+        this.setMesh(this.createAircraftMesh(type, animatedParts), animatedParts);
+        
+        const spec = this.currentType;
+        if (spec.model) {
+            this.loadModel(spec).then(result => {
+                // Ignore models that arrive after the type changed again
+                if (result && this.currentType === spec) {
+                    this.setMesh(result.model, result.animatedParts);
+                }
+            });
+        }
+    },
+    
+    /**
+     * Replace the aircraft mesh, keeping its attitude
+     * @param {THREE.Group} mesh
+     * @param {Array} animatedParts - Parts driven by the controls
+     */
+    setMesh(mesh, animatedParts) {
         if (this.mesh) {
+            mesh.rotation.copy(this.mesh.rotation);
             this.group.remove(this.mesh);
-            this.mesh.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(m => m.dispose());
-                    } else {
-                        child.material.dispose();
+            
+            // Cached glTF geometry and materials are shared with later clones
+            if (!this.mesh.userData.cached) {
+                this.mesh.traverse((child) => {
+                    if (child.geometry) child.geometry.dispose();
+                    if (child.material) {
+                        if (Array.isArray(child.material)) {
+                            child.material.forEach(m => m.dispose());
+                        } else {
+                            child.material.dispose();
+                        }
                     }
+                });
+            }
+        }
+        
+        this.mesh = mesh;
+        this.animatedParts = animatedParts;
+        this.group.add(this.mesh);
+    },
+    
+    /**
+     * Load the glTF/GLB model for an aircraft type
+     * @param {Object} spec - Aircraft specification with a model entry
+     * @returns {Promise<Object|null>} { model, animatedParts }, or null to keep the procedural mesh
+     */
+    async loadModel(spec) {
+        const config = spec.model;
+        
+        if (typeof THREE.GLTFLoader === 'undefined') {
+            console.warn('GLTFLoader not available, using procedural mesh for', spec.id);
+            return null;
+        }
+        
+        try {
+            if (!this.modelCache[config.url]) {
+                this.modelCache[config.url] = new Promise((resolve, reject) => {
+                    new THREE.GLTFLoader().load(config.url, resolve, undefined, reject);
+                });
+            }
+            const gltf = await this.modelCache[config.url];
+            
+            // Align the model with the aircraft axes (x = nose, y = up, z = right wing)
+            const model = gltf.scene.clone(true);
+            model.scale.setScalar(config.scale || 1);
+            if (config.rotation) {
+                model.rotation.set(...config.rotation.map(angle => THREE.MathUtils.degToRad(angle)));
+            }
+            
+            // Wrap it so pitch and roll are applied on top of the alignment
+            const container = new THREE.Group();
+            container.add(model);
+            container.scale.setScalar(spec.scale);
+            container.userData.cached = true;
+            
+            const animatedParts = [];
+            (config.animations || []).forEach(animation => {
+                const object = model.getObjectByName(animation.node);
+                if (object) {
+                    animatedParts.push(this.createAnimatedPart(object, animation));
+                } else {
+                    console.warn(`Model node "${animation.node}" not found in`, config.url);
                 }
             });
+            
+            return { model: container, animatedParts };
+        } catch (error) {
+            console.warn('Failed to load aircraft model, using procedural mesh:', error);
+            delete this.modelCache[config.url];
+            return null;
         }
+    },
+    
+    /**
+     * Describe a mesh part driven by the controls
+     * @param {THREE.Object3D} object
+     * @param {Object} animation - { type, axis, maxAngle }
+     * @returns {Object}
+     */
+    createAnimatedPart(object, animation) {
+        const axes = {
+            x: new THREE.Vector3(1, 0, 0),
+            y: new THREE.Vector3(0, 1, 0),
+            z: new THREE.Vector3(0, 0, 1)
+        };
+        const spinning = animation.type === 'propeller' || animation.type === 'fan';
+        const defaultMaxAngle = this.partAnimation.systemMaxAngles[animation.type] || this.partAnimation.surfaceMaxAngle;
         
-        // Create new mesh
-        this.mesh = this.createAircraftMesh(type);
-        this.group.add(this.mesh);
+        return {
+            object,
+            type: animation.type,
+            axis: axes[animation.axis] || (spinning ? axes.x : axes.z),
+            maxAngle: THREE.MathUtils.degToRad(animation.maxAngle || defaultMaxAngle),
+            baseQuaternion: object.quaternion.clone(),
+            angle: 0,
+            speed: 0
+        };
     },
     
     /**
-     * Create low-poly aircraft mesh
+     * Create low-poly aircraft mesh from the catalog mesh recipe
      * @param {string} type
+     * @param {Array} animatedParts - Receives the parts driven by the controls
      * @returns {THREE.Group}
      */
-    createAircraftMesh(type) {
+    createAircraftMesh(type, animatedParts = []) {
         const spec = this.types[type];
         const aircraft = new THREE.Group();
         
-        const bodyMaterial = new THREE.MeshPhongMaterial({ 
-            color: spec.color,
-            flatShading: true
-        });
-        const accentMaterial = new THREE.MeshPhongMaterial({ 
-            color: spec.accentColor,
-            flatShading: true
-        });
+        const materials = {
+            body: new THREE.MeshPhongMaterial({
+                color: spec.color,
+                flatShading: true
+            }),
+            accent: new THREE.MeshPhongMaterial({
+                color: spec.accentColor,
+                flatShading: true
+            })
+        };
         
-        if (type === 'cessna') {
-            // Fuselage
-            const fuselage = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.3, 0.2, 2.5, 8),
-                bodyMaterial
-            );
-            fuselage.rotation.z = Math.PI / 2;
-            aircraft.add(fuselage);
-            
-            // Cockpit
-            const cockpit = new THREE.Mesh(
-                new THREE.SphereGeometry(0.35, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2),
-                new THREE.MeshPhongMaterial({ color: 0x4488ff, transparent: true, opacity: 0.6 })
-            );
-            cockpit.position.set(0.3, 0.15, 0);
-            cockpit.rotation.z = -Math.PI / 2;
-            aircraft.add(cockpit);
-            
-            // Wings
-            const wingGeom = new THREE.BoxGeometry(0.8, 0.05, 3.5);
-            const wings = new THREE.Mesh(wingGeom, bodyMaterial);
-            wings.position.set(0, 0, 0);
-            aircraft.add(wings);
-            
-            // Tail
-            const tailV = new THREE.Mesh(
-                new THREE.BoxGeometry(0.5, 0.6, 0.05),
-                accentMaterial
-            );
-            tailV.position.set(-1.1, 0.3, 0);
-            aircraft.add(tailV);
-            
-            const tailH = new THREE.Mesh(
-                new THREE.BoxGeometry(0.3, 0.05, 1),
-                bodyMaterial
-            );
-            tailH.position.set(-1.1, 0.1, 0);
-            aircraft.add(tailH);
-            
-            // Propeller
-            const propeller = new THREE.Mesh(
-                new THREE.BoxGeometry(0.05, 0.6, 0.1),
-                accentMaterial
-            );
-            propeller.position.set(1.3, 0, 0);
-            aircraft.add(propeller);
-            
-        } else if (type === 'airliner') {
-            // Fuselage
-            const fuselage = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.5, 0.5, 5, 12),
-                bodyMaterial
-            );
-            fuselage.rotation.z = Math.PI / 2;
-            aircraft.add(fuselage);
-            
-            // Nose
-            const nose = new THREE.Mesh(
-                new THREE.ConeGeometry(0.5, 1, 12),
-                bodyMaterial
-            );
-            nose.rotation.z = -Math.PI / 2;
-            nose.position.x = 3;
-            aircraft.add(nose);
-            
-            // Cockpit windows
-            const cockpitWindows = new THREE.Mesh(
-                new THREE.BoxGeometry(0.4, 0.2, 0.6),
-                new THREE.MeshPhongMaterial({ color: 0x222222 })
-            );
-            cockpitWindows.position.set(2.3, 0.3, 0);
-            aircraft.add(cockpitWindows);
-            
-            // Wings
-            const wingShape = new THREE.Shape();
-            wingShape.moveTo(0, 0);
-            wingShape.lineTo(0.5, 3);
-            wingShape.lineTo(0, 3.2);
-            wingShape.lineTo(-0.8, 0);
-            
-            const wingGeom = new THREE.ExtrudeGeometry(wingShape, { depth: 0.1, bevelEnabled: false });
-            
-            const leftWing = new THREE.Mesh(wingGeom, bodyMaterial);
-            leftWing.rotation.x = Math.PI / 2;
-            leftWing.position.set(0, -0.05, 0);
-            aircraft.add(leftWing);
+        (spec.mesh || []).forEach(part => {
+            const mesh = this.createMeshPart(part, materials);
+            if (!mesh) return;
             
-            const rightWing = new THREE.Mesh(wingGeom, bodyMaterial);
-            rightWing.rotation.x = -Math.PI / 2;
-            rightWing.position.set(0, 0.05, 0);
-            aircraft.add(rightWing);
-            
-            // Engines
-            const engineGeom = new THREE.CylinderGeometry(0.2, 0.25, 0.8, 8);
-            const leftEngine = new THREE.Mesh(engineGeom, accentMaterial);
-            leftEngine.rotation.z = Math.PI / 2;
-            leftEngine.position.set(0.5, -0.3, 1.5);
-            aircraft.add(leftEngine);
-            
-            const rightEngine = new THREE.Mesh(engineGeom, accentMaterial);
-            rightEngine.rotation.z = Math.PI / 2;
-            rightEngine.position.set(0.5, -0.3, -1.5);
-            aircraft.add(rightEngine);
-            
-            // Tail
-            const tailV = new THREE.Mesh(
-                new THREE.BoxGeometry(0.8, 1.2, 0.08),
-                accentMaterial
-            );
-            tailV.position.set(-2.3, 0.8, 0);
-            tailV.rotation.z = 0.2;
-            aircraft.add(tailV);
-            
-            const tailH = new THREE.Mesh(
-                new THREE.BoxGeometry(0.5, 0.08, 2),
-                bodyMaterial
-            );
-            tailH.position.set(-2.2, 0.2, 0);
-            aircraft.add(tailH);
-            
-        } else if (type === 'jet') {
-            // Fuselage
-            const fuselage = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.25, 0.4, 3, 8),
-                bodyMaterial
-            );
-            fuselage.rotation.z = Math.PI / 2;
-            aircraft.add(fuselage);
-            
-            // Nose cone
-            const nose = new THREE.Mesh(
-                new THREE.ConeGeometry(0.25, 1.2, 8),
-                bodyMaterial
-            );
-            nose.rotation.z = -Math.PI / 2;
-            nose.position.x = 2.1;
-            aircraft.add(nose);
+            aircraft.add(mesh);
+            if (part.animation) {
+                animatedParts.push(this.createAnimatedPart(mesh, part.animation));
+            }
+        });
+        
+        aircraft.scale.setScalar(spec.scale);
+        
+        return aircraft;
+    },
+    
+    /**
+     * Build one part of a mesh recipe
+     * @param {Object} part - { geometry: { type, args | points, depth }, material, position, rotation (degrees), animation }
+     * @param {Object} materials - Shared body and accent materials
+     * @returns {THREE.Mesh|null}
+     */
+    createMeshPart(part, materials) {
+        const geometry = part.geometry;
+        const args = geometry.args || [];
+        
+        let geom;
+        switch (geometry.type) {
+            case 'box':
+                geom = new THREE.BoxGeometry(...args);
+                break;
+            case 'cylinder':
+                geom = new THREE.CylinderGeometry(...args);
+                break;
+            case 'cone':
+                geom = new THREE.ConeGeometry(...args);
+                break;
+            case 'sphere':
+                geom = new THREE.SphereGeometry(...args);
+                break;
+            case 'hemisphere':
+                geom = new THREE.SphereGeometry(args[0], args[1], args[2], 0, Math.PI * 2, 0, Math.PI / 2);
+                break;
+            case 'shape': {
+                // Flat outline extruded to a thin plate, e.g. a wing
+                const shape = new THREE.Shape(geometry.points.map(([x, y]) => new THREE.Vector2(x, y)));
+                geom = new THREE.ExtrudeGeometry(shape, { depth: geometry.depth, bevelEnabled: false });
+                break;
+            }
+            default:
+                console.warn('Unknown mesh geometry:', geometry.type);
+                return null;
+        }
+        
+        // Named materials are shared; anything else gets its own material
+        let material = materials[part.material];
+        if (!material) {
+            const options = part.material || {};
+            material = new THREE.MeshPhongMaterial({
+                color: options.color,
+                transparent: options.opacity !== undefined,
+                opacity: options.opacity !== undefined ? options.opacity : 1
+            });
+        }
+        
+        const mesh = new THREE.Mesh(geom, material);
+        if (part.position) {
+            mesh.position.fromArray(part.position);
+        }
+        if (part.rotation) {
+            mesh.rotation.set(...part.rotation.map(angle => THREE.MathUtils.degToRad(angle)));
+        }
+        
+        return mesh;
+    },
+    
+    /**
+     * Update aircraft position and physics
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.state.isFlying || !this.mesh) return;
+        
+        const spec = this.currentType;
+        const handling = spec.handling * (this.state.hydraulicsFailed ? this.failureEffects.hydraulicHandling : 1);
+        
+        // Handle flight phase transitions
+        this.updateFlightPhase(deltaTime);
+        
+        // Scripted phases set the angles directly; carry their changes into the attitude
+        this.syncAttitude();
+        
+        // During takeoff phases, limit control input
+        const canControl = this.flightPhase === 'flying' || this.flightPhase === 'descending';
+        
+        if (canControl && !this.state.structuralFailure) {
+            // Stick and rudder turn the airframe about its own axes, so it can loop and roll all the way round
+            this.rotateBody('z', this.input.pitch * handling * 60 * deltaTime);
+            this.rotateBody('x', this.input.roll * handling * 60 * deltaTime);
+            this.rotateBody('y', -this.input.yaw * handling * 30 * deltaTime, true);
             
-            // Cockpit
-            const cockpit = new THREE.Mesh(
-                new THREE.SphereGeometry(0.28, 8, 6, 0, Math.PI * 2, 0, Math.PI / 2),
-                new THREE.MeshPhongMaterial({ color: 0x222222, transparent: true, opacity: 0.8 })
+            // Throttle input moves the throttle lever
+            this.state.throttle = this.state.engineOut ? 0 : THREE.MathUtils.clamp(
+                this.state.throttle + this.input.throttle * this.physics.throttleRate * deltaTime,
+                0,
+                1
             );
-            cockpit.position.set(0.8, 0.15, 0);
-            cockpit.rotation.z = -Math.PI / 2;
-            aircraft.add(cockpit);
-            
-            // Delta wings
-            const wingShape = new THREE.Shape();
-            wingShape.moveTo(0, 0);
-            wingShape.lineTo(-1.5, 2);
-            wingShape.lineTo(-1.8, 0);
-            
-            const wingGeom = new THREE.ExtrudeGeometry(wingShape, { depth: 0.05, bevelEnabled: false });
+        }
+        
+        // Auto-stabilize when no input: settle back to the trimmed angle of attack
+        // while easing the flight path towards level
+        if (this.input.pitch === 0 && canControl) {
+            const trimAngle = Math.min(
+                this.getTrimAngleOfAttack(),
+                THREE.MathUtils.radToDeg(this.getStallAngle()) - this.envelope.stallWarningMargin - 1
+            ) - this.state.flightPathAngle * 0.05;
+            this.rotateBody('z', (trimAngle - this.getAngleOfAttack()) * 0.02);
+        }
+        // Level the wings from a bank; inverted and near-vertical flight is left to the pilot
+        if (this.input.roll === 0 && canControl &&
+            Math.abs(this.state.roll) < this.aerobatics.levelingMaxBank &&
+            Math.abs(this.state.pitch) < this.aerobatics.levelingMaxPitch) {
+            this.rotateBody('x', -this.state.roll * 0.02);
+        }
+        
+        this.updateFuel(deltaTime);
+        this.updateSystems(deltaTime);
+        
+        // Forces drive speed, climb angle and turn rate once the pilot has control
+        if (canControl) {
+            this.updateAerodynamics(deltaTime);
+            this.updateEnvelope(deltaTime);
+        } else {
+            this.state.loadFactor = 1;
+            this.state.stalled = false;
+            this.state.buffet = 0;
+            this.setWarnings({ gearUnsafe: this.isGearUnsafe() });
+        }
+        
+        // The flight path in world space; north and east still come from the local frame
+        const frame = Earth.getLocalFrame(this.state.position);
+        const path = this.state.flightPath.clone().applyQuaternion(this.state.frame);
+        
+        // The air mass carries the aircraft once it has left the runway
+        const wind = this.updateWind();
+        
+        // Velocity over the ground in km/h: the airspeed along the flight path plus the wind
+        const groundNorth = this.state.speed * path.dot(frame.north) + wind.north;
+        const groundEast = this.state.speed * path.dot(frame.east) + wind.east;
+        const groundVelocity = Math.hypot(groundNorth, groundEast);
+        
+        // Distance moved this frame in km; climb and descent change the altitude as flown,
+        // while ground distance is stretched by the map scale
+        const distance = this.state.speed / 3600 * deltaTime;
+        const horizontalScale = Units.getHorizontalScale();
+        this.state.velocity.copy(frame.north)
+            .multiplyScalar(groundNorth / 3600 * deltaTime * horizontalScale)
+            .addScaledVector(frame.east, groundEast / 3600 * deltaTime * horizontalScale)
+            .addScaledVector(frame.up, Units.altitudeToScene(distance * path.dot(frame.up)));
+        this.state.position.add(this.state.velocity);
+        
+        this.state.groundSpeed = groundVelocity;
+        this.stats.distanceFlown += Units.flownToMap(groundVelocity / 3600 * deltaTime);
+        
+        // Keep aircraft above Earth surface; the collision check decides what contact means
+        const groundLevel = this.physics.groundLevel;
+        const distFromCenter = this.state.position.length();
+        const minAltitude = Earth.sceneRadius + Units.altitudeToScene(groundLevel);
+        const maxAltitude = Earth.sceneRadius + Units.altitudeToScene(50);
+        
+        // Calculate vertical speed
+        const prevAltitude = this.state.altitude;
+        
+        if (distFromCenter < minAltitude) {
+            this.state.position.normalize().multiplyScalar(minAltitude);
+            this.state.altitude = groundLevel;
+        } else if (distFromCenter > maxAltitude) {
+            this.state.position.normalize().multiplyScalar(maxAltitude);
+            this.state.altitude = 50;
+        } else {
+            this.state.altitude = Units.sceneToAltitude(distFromCenter - Earth.sceneRadius);
+        }
+        
+        // Update vertical speed (km/h)
+        this.state.verticalSpeed = (this.state.altitude - prevAltitude) / deltaTime * 3600;
+        
+        this.stats.maxAltitude = Math.max(this.stats.maxAltitude, this.state.altitude);
+        this.stats.maxSpeed = Math.max(this.stats.maxSpeed, this.state.speed);
+        
+        // Carry the tangent frame over the surface, then read the angles off the attitude
+        this.transportFrame(frame.up);
+        this.updateAngles();
+        
+        if (groundVelocity > 1) {
+            this.state.track = (THREE.MathUtils.radToDeg(Math.atan2(groundEast, groundNorth)) + 360) % 360;
+            this.state.drift = ((this.state.track - this.state.heading + 540) % 360) - 180;
+        }
+        
+        // Move on to the next leg once a fix is passed
+        if (this.state.flightPlan) {
+            this.state.flightPlan.sequence(this.getPosition());
+        }
+        
+        // Wheels on the runway end the approach; any other contact may be a crash
+        if (this.state.altitude <= groundLevel + 0.001) {
+            this.onGroundContact(THREE.MathUtils.degToRad(this.state.flightPathAngle));
+            if (this.flightPhase === 'crashed') return;
+        }
+        
+        // Pose reached this step; interpolate() places the mesh between the last two
+        const pose = this.pose;
+        pose.previousPosition.copy(pose.position);
+        pose.previousQuaternion.copy(pose.quaternion);
+        pose.previousMeshQuaternion.copy(pose.meshQuaternion);
+        
+        pose.position.copy(this.state.position);
+        
+        // Orient the group to the local horizon along the nose's bearing (x = nose, y = up, z = right wing),
+        // keeping the last bearing while the nose points straight up or down
+        const up = this.state.position.clone().normalize();
+        const body = this.state.frame.clone().multiply(this.state.attitude);
+        const nose = new THREE.Vector3(1, 0, 0).applyQuaternion(body);
+        const direction = nose.clone().addScaledVector(up, -nose.dot(up));
+        if (direction.lengthSq() < 1e-6) {
+            direction.set(1, 0, 0).applyQuaternion(pose.quaternion).addScaledVector(up, -direction.dot(up));
+        }
+        direction.normalize();
+        const right = new THREE.Vector3().crossVectors(direction, up);
+        
+        const matrix = new THREE.Matrix4();
+        matrix.makeBasis(direction, up, right);
+        
+        const previousBody = pose.previousQuaternion.clone().multiply(pose.previousMeshQuaternion);
+        pose.quaternion.setFromRotationMatrix(matrix);
+        
+        // Over the top of a loop the bearing swings round; re-express the last pose so the mesh doesn't spin
+        if (new THREE.Vector3(1, 0, 0).applyQuaternion(pose.previousQuaternion).dot(direction) < 0) {
+            pose.previousQuaternion.copy(pose.quaternion);
+            pose.previousMeshQuaternion.copy(pose.quaternion).invert().multiply(previousBody);
+        }
+        
+        // The airframe's attitude relative to that horizon
+        pose.meshQuaternion.copy(pose.quaternion).invert().multiply(body);
+        
+        // After a teleport there is nothing to interpolate from
+        if (pose.snap) {
+            pose.previousPosition.copy(pose.position);
+            pose.previousQuaternion.copy(pose.quaternion);
+            pose.previousMeshQuaternion.copy(pose.meshQuaternion);
+            pose.snap = false;
+        }
+        
+        this.updateAnimatedParts(deltaTime);
+    },
+    
+    /**
+     * Place the mesh between the last two physics steps
+     * @param {number} alpha - Fraction of a step since the last one (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.mesh) return;
+        
+        const pose = this.pose;
+        this.group.position.lerpVectors(pose.previousPosition, pose.position, alpha);
+        this.group.quaternion.slerpQuaternions(pose.previousQuaternion, pose.quaternion, alpha);
+        this.mesh.quaternion.slerpQuaternions(pose.previousMeshQuaternion, pose.meshQuaternion, alpha);
+    },
+    
+    /**
+     * Start a fresh tangent frame at the current position (x = north, y = up, z = east)
+     */
+    resetAttitudeFrame() {
+        const frame = Earth.getLocalFrame(this.state.position);
+        const matrix = new THREE.Matrix4().makeBasis(frame.north, frame.up, frame.east);
+        this.state.frame.setFromRotationMatrix(matrix);
+    },
+    
+    /**
+     * Carry the tangent frame to the current position by the smallest rotation, so it never
+     * depends on north and stays well defined over the poles
+     * @param {THREE.Vector3} previousUp - Local vertical before the aircraft moved
+     */
+    transportFrame(previousUp) {
+        const up = this.state.position.clone().normalize();
+        const rotation = new THREE.Quaternion().setFromUnitVectors(previousUp, up);
+        this.state.frame.premultiply(rotation).normalize();
+    },
+    
+    /**
+     * Get local north and east expressed in the carried frame
+     * @returns {Object} { north, east }
+     */
+    getFrameCompass() {
+        const frame = Earth.getLocalFrame(this.state.position);
+        const inverse = this.state.frame.clone().invert();
+        return {
+            north: frame.north.applyQuaternion(inverse),
+            east: frame.east.applyQuaternion(inverse)
+        };
+    },
+    
+    /**
+     * Build the attitude and flight path from heading, pitch, roll and flight path angle
+     */
+    setAttitudeFromAngles() {
+        const compass = this.getFrameCompass();
+        const headingRad = THREE.MathUtils.degToRad(this.state.heading);
+        const pathRad = THREE.MathUtils.degToRad(this.state.flightPathAngle);
+        
+        // Heading is measured clockwise from north in the local tangent plane
+        const up = new THREE.Vector3(0, 1, 0);
+        const direction = compass.north.multiplyScalar(Math.cos(headingRad))
+            .addScaledVector(compass.east, Math.sin(headingRad))
+            .normalize();
+        const right = new THREE.Vector3().crossVectors(direction, up);
+        
+        // Level on the heading, then pitch about the wing axis and bank about the nose
+        const matrix = new THREE.Matrix4().makeBasis(direction, up, right);
+        this.state.attitude.setFromRotationMatrix(matrix).multiply(new THREE.Quaternion().setFromEuler(
+            new THREE.Euler(THREE.MathUtils.degToRad(this.state.roll), 0, THREE.MathUtils.degToRad(this.state.pitch), 'ZYX')
+        ));
+        
+        this.state.flightPath.copy(direction).multiplyScalar(Math.cos(pathRad)).addScaledVector(up, Math.sin(pathRad));
+        this.state.angleOfAttack = this.getAngleOfAttack();
+        this.attitudeAngles = this.getAngleSnapshot();
+    },
+    
+    /**
+     * Read heading, pitch, roll, flight path angle and angle of attack off the attitude
+     */
+    updateAngles() {
+        const compass = this.getFrameCompass();
+        const attitude = this.state.attitude;
+        const nose = new THREE.Vector3(1, 0, 0).applyQuaternion(attitude);
+        const bodyUp = new THREE.Vector3(0, 1, 0).applyQuaternion(attitude);
+        const wing = new THREE.Vector3(0, 0, 1).applyQuaternion(attitude);
+        
+        // With the nose straight up or down there is no heading; keep the last one
+        if (Math.abs(nose.y) < 0.9999) {
+            const heading = THREE.MathUtils.radToDeg(Math.atan2(nose.dot(compass.east), nose.dot(compass.north)));
+            this.state.heading = (heading + 360) % 360;
+        }
+        this.state.pitch = THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(nose.y, -1, 1)));
+        this.state.roll = THREE.MathUtils.radToDeg(Math.atan2(-wing.y, bodyUp.y));
+        this.state.flightPathAngle = THREE.MathUtils.radToDeg(
+            Math.asin(THREE.MathUtils.clamp(this.state.flightPath.y, -1, 1))
+        );
+        this.state.angleOfAttack = this.getAngleOfAttack();
+        this.attitudeAngles = this.getAngleSnapshot();
+    },
+    
+    /**
+     * Get the angles as last read off or written to the attitude
+     * @returns {Object} { heading, pitch, roll, flightPathAngle }
+     */
+    getAngleSnapshot() {
+        const { heading, pitch, roll, flightPathAngle } = this.state;
+        return { heading, pitch, roll, flightPathAngle };
+    },
+    
+    /**
+     * Rebuild the attitude if anything set the angles since they were last read
+     */
+    syncAttitude() {
+        const snapshot = this.attitudeAngles;
+        const changed = !snapshot || Object.keys(snapshot).some(name => snapshot[name] !== this.state[name]);
+        if (changed) this.setAttitudeFromAngles();
+    },
+    
+    /**
+     * Turn the airframe about one of its own axes
+     * @param {string} axis - 'x' (roll, right wing down), 'y' (yaw, nose left) or 'z' (pitch, nose up)
+     * @param {number} degrees
+     * @param {boolean} withPath - Turn the flight path with it, so the aircraft changes direction without slipping
+     */
+    rotateBody(axis, degrees, withPath = false) {
+        const angle = THREE.MathUtils.degToRad(degrees);
+        const bodyAxis = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+        if (withPath) {
+            this.state.flightPath.applyAxisAngle(bodyAxis.clone().applyQuaternion(this.state.attitude), angle);
+        }
+        this.state.attitude.multiply(new THREE.Quaternion().setFromAxisAngle(bodyAxis, angle)).normalize();
+    },
+    
+    /**
+     * Get the angle between the nose and the flight path in the airframe's plane of symmetry
+     * @returns {number} degrees
+     */
+    getAngleOfAttack() {
+        const attitude = this.state.attitude;
+        const path = this.state.flightPath;
+        const nose = new THREE.Vector3(1, 0, 0).applyQuaternion(attitude);
+        const bodyUp = new THREE.Vector3(0, 1, 0).applyQuaternion(attitude);
+        return THREE.MathUtils.radToDeg(Math.atan2(-path.dot(bodyUp), path.dot(nose)));
+    },
+    
+    /**
+     * Spin propellers and fans with the throttle and move control surfaces with the inputs
+     * @param {number} deltaTime
+     */
+    updateAnimatedParts(deltaTime) {
+        const tuning = this.partAnimation;
+        const rotation = new THREE.Quaternion();
+        
+        this.animatedParts.forEach(part => {
+            let target;
             
-            const leftWing = new THREE.Mesh(wingGeom, bodyMaterial);
-            leftWing.rotation.x = Math.PI / 2;
-            leftWing.position.set(0.5, -0.025, 0);
-            aircraft.add(leftWing);
+            switch (part.type) {
+                case 'propeller':
+                case 'fan': {
+                    const idle = part.type === 'fan' ? tuning.fanIdleSpeed : tuning.propellerIdleSpeed;
+                    const max = part.type === 'fan' ? tuning.fanMaxSpeed : tuning.propellerMaxSpeed;
+                    const targetSpeed = this.state.engineOut ? 0 : THREE.MathUtils.lerp(idle, max, this.state.throttle);
+                    part.speed += (targetSpeed - part.speed) * Math.min(tuning.spinUpRate * deltaTime, 1);
+                    part.angle = (part.angle + part.speed * deltaTime) % (Math.PI * 2);
+                    break;
+                }
+                case 'elevator':
+                    target = -this.input.pitch * part.maxAngle;
+                    break;
+                case 'aileronLeft':
+                    target = this.input.roll * part.maxAngle;
+                    break;
+                case 'aileronRight':
+                    target = -this.input.roll * part.maxAngle;
+                    break;
+                case 'rudder':
+                    target = -this.input.yaw * part.maxAngle;
+                    break;
+                case 'gear':
+                    // Already travelling at its own rate; hidden in the wheel well once up
+                    part.angle = (1 - this.state.gearPosition) * part.maxAngle;
+                    part.object.visible = this.state.gearPosition > 0.01;
+                    break;
+                case 'flap':
+                    part.angle = this.getFlapFraction() * part.maxAngle;
+                    break;
+                case 'spoiler':
+                    part.angle = -this.state.spoilerPosition * part.maxAngle;
+                    break;
+                default:
+                    return;
+            }
             
-            const rightWing = new THREE.Mesh(wingGeom, bodyMaterial);
-            rightWing.rotation.x = -Math.PI / 2;
-            rightWing.position.set(0.5, 0.025, 0);
-            aircraft.add(rightWing);
+            if (target !== undefined) {
+                part.angle += (target - part.angle) * Math.min(tuning.surfaceRate * deltaTime, 1);
+            }
             
-            // Tail fins
-            const tailV = new THREE.Mesh(
-                new THREE.BoxGeometry(0.6, 0.8, 0.04),
-                accentMaterial
-            );
-            tailV.position.set(-1.2, 0.5, 0);
-            tailV.rotation.z = 0.3;
-            aircraft.add(tailV);
+            rotation.setFromAxisAngle(part.axis, part.angle);
+            part.object.quaternion.copy(part.baseQuaternion).multiply(rotation);
+        });
+    },
+    
+    /**
+     * Integrate lift, drag, thrust and weight for one step
+     * @param {number} deltaTime
+     */
+    updateAerodynamics(deltaTime) {
+        const spec = this.currentType;
+        const g = this.physics.gravity;
+        
+        const airspeed = Math.max(this.state.speed / 3.6, 1); // m/s
+        const density = this.getAirDensity(this.state.altitude);
+        const dynamicPressure = 0.5 * density * airspeed * airspeed;
+        const mach = airspeed / this.getSpeedOfSound(this.state.altitude);
+        
+        // Work in the carried frame, where y is the local vertical
+        const attitude = this.state.attitude;
+        const path = this.state.flightPath;
+        const up = new THREE.Vector3(0, 1, 0);
+        const bodyUp = new THREE.Vector3(0, 1, 0).applyQuaternion(attitude);
+        
+        const alpha = THREE.MathUtils.degToRad(this.getAngleOfAttack());
+        const gamma = Math.asin(THREE.MathUtils.clamp(path.y, -1, 1));
+        
+        const cl = this.getLiftCoefficient(alpha);
+        const liftFactor = this.state.structuralFailure ? 0.2 : 1; // Failed wing carries little load
+        const lift = dynamicPressure * spec.wingArea * cl * liftFactor;
+        const drag = dynamicPressure * spec.wingArea * this.getDragCoefficient(cl, mach, alpha);
+        const thrust = this.getThrust(density);
+        const weight = spec.mass * g;
+        
+        // Lift and the thrust component act along the airframe's up axis square to the path; weight acts down
+        const liftDirection = bodyUp.clone().addScaledVector(path, -bodyUp.dot(path)).normalize();
+        const normalForce = liftDirection.multiplyScalar(lift + thrust * Math.sin(alpha)).addScaledVector(up, -weight);
+        
+        // Split it into a climb in the path's vertical plane and a turn about the vertical;
+        // straight up or down that plane is the airframe's own
+        const left = new THREE.Vector3().crossVectors(up, path);
+        const cosGamma = left.length();
+        if (cosGamma < 1e-6) left.set(0, 0, -1).applyQuaternion(attitude);
+        left.normalize();
+        const pathUp = new THREE.Vector3().crossVectors(path, left);
+        
+        // Point-mass equations of motion along the flight path
+        const acceleration = (thrust * Math.cos(alpha) - drag) / spec.mass - g * Math.sin(gamma);
+        const pathRate = normalForce.dot(pathUp) / (spec.mass * airspeed);
+        const turnRate = normalForce.dot(left) / (spec.mass * airspeed * Math.max(cosGamma, 0.1));
+        
+        this.state.speed = Math.max(airspeed + acceleration * deltaTime, 1) * 3.6;
+        
+        // Climb or dive bends only the path; a turn swings the airframe round with it
+        path.applyAxisAngle(left, -pathRate * deltaTime);
+        const turn = new THREE.Quaternion().setFromAxisAngle(up, turnRate * deltaTime);
+        path.applyQuaternion(turn).normalize();
+        attitude.premultiply(turn).normalize();
+        
+        this.state.angleOfAttack = THREE.MathUtils.radToDeg(alpha);
+        this.state.loadFactor = lift / weight;
+    },
+    
+    /**
+     * Apply stall, overspeed and g-load effects and raise warnings
+     * @param {number} deltaTime
+     */
+    updateEnvelope(deltaTime) {
+        const spec = this.currentType;
+        const envelope = this.envelope;
+        const stallAngle = THREE.MathUtils.radToDeg(this.getStallAngle());
+        const alpha = this.state.angleOfAttack;
+        
+        // Stall: past the critical angle the nose drops until the wing flies again
+        this.state.stalled = this.state.stalled
+            ? alpha > stallAngle - envelope.stallRecovery
+            : alpha > stallAngle;
+        if (this.state.stalled) {
+            const excess = Math.max(alpha - stallAngle, 0);
+            this.rotateBody('z', -(envelope.stallNoseDrop + 2 * excess) * deltaTime);
+        }
+        const warningAngle = stallAngle - envelope.stallWarningMargin;
+        const stallWarning = !this.state.stalled &&
+            alpha > (this.warnings.stallWarning ? warningAngle - envelope.stallRecovery : warningAngle);
+        
+        // Overspeed buffet builds above Vne
+        const overspeed = this.state.speed > spec.vne;
+        const overspeedBuffet = THREE.MathUtils.clamp(
+            (this.state.speed - spec.vne) / (spec.vne * envelope.overspeedBuffetRange),
+            0,
+            1
+        );
+        const stallBuffet = this.state.stalled ? 0.5 : stallWarning ? 0.2 : 0;
+        this.state.buffet = Math.max(overspeedBuffet, stallBuffet);
+        
+        if (this.state.buffet > 0) {
+            const jolt = this.state.buffet * 60 * deltaTime;
+            this.rotateBody('z', (Simulation.random() - 0.5) * jolt);
+            this.rotateBody('x', (Simulation.random() - 0.5) * jolt);
+        }
+        
+        // Structural limits: brief excursions past the limit load are survivable, ultimate load is not
+        const n = this.state.loadFactor;
+        const overstress = n > spec.maxLoadFactor || n < spec.minLoadFactor;
+        const beyondUltimate = n > spec.maxLoadFactor * envelope.ultimateLoadFactor ||
+            n < spec.minLoadFactor * envelope.ultimateLoadFactor;
+        
+        this.overstressTime = beyondUltimate ? this.overstressTime + deltaTime : 0;
+        if (this.overstressTime >= envelope.failureTime && !this.state.structuralFailure) {
+            this.state.structuralFailure = true;
+        }
+        
+        this.setWarnings({
+            stallWarning,
+            stall: this.state.stalled,
+            overspeed,
+            overstress: overstress && !this.state.structuralFailure,
+            structuralFailure: this.state.structuralFailure,
+            gearUnsafe: this.isGearUnsafe()
+        });
+    },
+    
+    /**
+     * Update active warnings, announcing each one that starts or stops
+     * @param {Object} warnings - Map of warning type to active flag
+     */
+    setWarnings(warnings) {
+        const types = new Set([...Object.keys(this.warnings), ...Object.keys(warnings)]);
+        
+        types.forEach(type => {
+            const active = !!warnings[type];
+            if (active === !!this.warnings[type]) return;
             
-            // Engine exhaust
-            const exhaust = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.3, 0.25, 0.3, 8),
-                new THREE.MeshPhongMaterial({ color: 0x333333 })
-            );
-            exhaust.rotation.z = Math.PI / 2;
-            exhaust.position.x = -1.65;
-            aircraft.add(exhaust);
+            this.warnings[type] = active;
+            window.dispatchEvent(new CustomEvent('flightWarning', {
+                detail: { type, active }
+            }));
+        });
+    },
+    
+    /**
+     * Get active warning types
+     * @returns {string[]}
+     */
+    getActiveWarnings() {
+        return Object.keys(this.warnings).filter(type => this.warnings[type]);
+    },
+    
+    /**
+     * Move the gear, flaps and spoilers towards their selected positions
+     * @param {number} deltaTime
+     */
+    updateSystems(deltaTime) {
+        const spec = this.currentType;
+        const systems = this.systems;
+        
+        // Without hydraulic pressure the gear can only free-fall down and the flaps and spoilers stay put;
+        // a retraction under way when the pressure goes stops where it is
+        const gearTarget = this.state.gearDown ? 1 : 0;
+        const gearStep = deltaTime / systems.gearTransitTime;
+        const gearMinStep = this.state.hydraulicsFailed ? 0 : -gearStep;
+        this.state.gearPosition += THREE.MathUtils.clamp(gearTarget - this.state.gearPosition, gearMinStep, gearStep);
+        
+        if (this.state.hydraulicsFailed) return;
+        
+        const flapTarget = this.getFlapNotches()[this.state.flapIndex];
+        const flapStep = systems.flapRate * deltaTime;
+        this.state.flapAngle += THREE.MathUtils.clamp(flapTarget - this.state.flapAngle, -flapStep, flapStep);
+        
+        const spoilerTarget = this.state.spoilers && spec.spoilerDrag > 0 ? 1 : 0;
+        const spoilerStep = systems.spoilerRate * deltaTime;
+        this.state.spoilerPosition += THREE.MathUtils.clamp(
+            spoilerTarget - this.state.spoilerPosition,
+            -spoilerStep,
+            spoilerStep
+        );
+    },
+    
+    /**
+     * Set the gear, flaps and spoilers for a new flight
+     * @param {number} flapIndex - Flap notch to start with
+     */
+    resetSystems(flapIndex) {
+        const notches = this.getFlapNotches();
+        
+        this.state.gearDown = true;
+        this.state.gearPosition = 1;
+        this.state.flapIndex = Math.min(flapIndex, notches.length - 1);
+        this.state.flapAngle = notches[this.state.flapIndex];
+        this.state.spoilers = false;
+        this.state.spoilerPosition = 0;
+        
+        this.dispatchSystemsChanged();
+    },
+    
+    /**
+     * Raise or lower the landing gear
+     * @returns {boolean} Whether the gear lever moved
+     */
+    toggleGear() {
+        // Fixed gear, and no retracting with weight on the wheels
+        const onGround = ['taxiing', 'takeoff_roll', 'rollout', 'landed'].includes(this.flightPhase);
+        if (!this.currentType.retractableGear || onGround) return false;
+        if (this.state.hydraulicsFailed && this.state.gearDown) return false;
+        
+        this.state.gearDown = !this.state.gearDown;
+        this.dispatchSystemsChanged();
+        return true;
+    },
+    
+    /**
+     * Select the next flap notch down or up
+     * @param {number} direction - 1 to extend, -1 to retract
+     */
+    changeFlaps(direction) {
+        this.setFlaps(this.state.flapIndex + direction);
+    },
+    
+    /**
+     * Select a flap notch
+     * @param {number} index - Index into the type's flapNotches
+     */
+    setFlaps(index) {
+        const notches = this.getFlapNotches();
+        const flapIndex = THREE.MathUtils.clamp(index, 0, notches.length - 1);
+        if (flapIndex === this.state.flapIndex || this.state.hydraulicsFailed) return;
+        
+        this.state.flapIndex = flapIndex;
+        this.dispatchSystemsChanged();
+    },
+    
+    /**
+     * Deploy or stow the spoilers
+     * @returns {boolean} Whether the type has spoilers
+     */
+    toggleSpoilers() {
+        if (!(this.currentType.spoilerDrag > 0) || this.state.hydraulicsFailed) return false;
+        
+        this.state.spoilers = !this.state.spoilers;
+        this.dispatchSystemsChanged();
+        return true;
+    },
+    
+    /**
+     * Get flap notches in degrees for the current type
+     * @returns {number[]}
+     */
+    getFlapNotches() {
+        const notches = this.currentType && this.currentType.flapNotches;
+        return notches && notches.length ? notches : [0];
+    },
+    
+    /**
+     * Get how far the flaps are extended
+     * @returns {number} 0 retracted - 1 at the last notch
+     */
+    getFlapFraction() {
+        const maxFlap = Math.max(...this.getFlapNotches());
+        return maxFlap > 0 ? this.state.flapAngle / maxFlap : 0;
+    },
+    
+    /**
+     * Check whether the aircraft is close to landing without the gear down
+     * @returns {boolean}
+     */
+    isGearUnsafe() {
+        if (!this.currentType.retractableGear || this.state.gearPosition >= 1) return false;
+        
+        const height = this.state.altitude - this.physics.groundLevel;
+        const descendingLow = height < this.systems.gearWarningHeight && this.state.verticalSpeed < 0;
+        return this.flightPhase === 'landing' ||
+            (descendingLow && (this.flightPhase === 'flying' || this.flightPhase === 'descending'));
+    },
+    
+    /**
+     * Get gear, flap and spoiler status for display
+     * @returns {Object} { retractableGear, gearDown, gearPosition, flapAngle, flapTarget, hasSpoilers, spoilers, spoilerPosition }
+     */
+    getSystems() {
+        const spec = this.currentType;
+        
+        return {
+            retractableGear: !!spec.retractableGear,
+            gearDown: this.state.gearDown,
+            gearPosition: this.state.gearPosition,
+            flapAngle: this.state.flapAngle,
+            flapTarget: this.getFlapNotches()[this.state.flapIndex],
+            hasSpoilers: spec.spoilerDrag > 0,
+            spoilers: this.state.spoilers,
+            spoilerPosition: this.state.spoilerPosition
+        };
+    },
+    
+    /**
+     * Announce a change of gear, flap or spoiler selection
+     */
+    dispatchSystemsChanged() {
+        window.dispatchEvent(new CustomEvent('systemsChanged', {
+            detail: this.getSystems()
+        }));
+    },
+    
+    /**
+     * Fail or restore an aircraft system
+     * @param {string} type - 'engine', 'fuelLeak', 'hydraulic' or 'electrical'
+     * @param {boolean} failed
+     */
+    setFailure(type, failed) {
+        switch (type) {
+            case 'engine':
+                // Restoring the engine needs fuel in the tanks
+                this.state.engineOut = failed || this.state.fuel <= 0;
+                if (this.state.engineOut) {
+                    this.state.throttle = 0;
+                    this.state.fuelFlow = 0;
+                }
+                break;
+            case 'fuelLeak':
+                this.state.fuelLeak = failed
+                    ? this.currentType.fuelCapacity * this.failureEffects.fuelLeakRate
+                    : 0;
+                break;
+            case 'hydraulic':
+                this.state.hydraulicsFailed = failed;
+                break;
+            case 'electrical':
+                this.state.electricalFailed = failed;
+                if (this.cockpitLight) this.cockpitLight.visible = !failed;
+                break;
         }
-        
-        aircraft.scale.setScalar(spec.scale);
-        
-        return aircraft;
     },
     
     /**
-     * Update aircraft position and physics
-     * @param {number} deltaTime - Time since last update in seconds
+     * Restore every failed system
      */
-    update(deltaTime) {
-        if (!this.state.isFlying || !this.mesh) return;
-        
+    clearFailures() {
+        ['fuelLeak', 'hydraulic', 'electrical'].forEach(type => this.setFailure(type, false));
+    },
+    
+    /**
+     * Burn fuel and cut the engine when the tanks run dry
+     * @param {number} deltaTime
+     */
+    updateFuel(deltaTime) {
         const spec = this.currentType;
-        const handling = spec.handling;
+        const wasAboveReserve = this.state.fuel > spec.fuelReserve;
         
-        // Handle flight phase transitions
-        this.updateFlightPhase(deltaTime);
-        
-        // During takeoff phases, limit control input
-        const canControl = this.flightPhase === 'flying' || this.flightPhase === 'descending';
+        // A leak keeps draining the tanks after the engine stops
+        this.state.fuelFlow = this.state.engineOut ? 0 : this.getFuelFlow();
+        const loss = this.state.fuelFlow + this.state.fuelLeak;
+        this.state.fuel = Math.max(this.state.fuel - loss / 3600 * deltaTime, 0);
         
-        if (canControl) {
-            // Apply control inputs to rotation
-            this.state.pitch += this.input.pitch * handling * 60 * deltaTime;
-            this.state.roll += this.input.roll * handling * 60 * deltaTime;
-            this.state.heading += this.input.yaw * handling * 30 * deltaTime;
-            
-            // Bank affects heading (coordinated turn)
-            this.state.heading += this.state.roll * 0.5 * deltaTime;
-            
-            // Apply throttle to speed
-            const targetSpeed = this.state.speed + this.input.throttle * 200;
-            this.state.speed = THREE.MathUtils.clamp(
-                this.state.speed + (targetSpeed - this.state.speed) * deltaTime,
-                spec.minSpeed,
-                spec.maxSpeed
-            );
+        if (wasAboveReserve && this.state.fuel <= spec.fuelReserve) {
+            window.dispatchEvent(new CustomEvent('fuelLow', {
+                detail: { fuel: this.state.fuel }
+            }));
         }
         
-        // Clamp angles
-        this.state.pitch = THREE.MathUtils.clamp(this.state.pitch, -80, 80);
-        this.state.roll = THREE.MathUtils.clamp(this.state.roll, -60, 60);
-        this.state.heading = (this.state.heading + 360) % 360;
-        
-        // Auto-stabilize when no input
-        if (this.input.pitch === 0 && canControl) {
-            this.state.pitch *= 0.98;
-        }
-        if (this.input.roll === 0 && canControl) {
-            this.state.roll *= 0.98;
+        if (this.state.fuel <= 0 && !this.state.engineOut) {
+            this.state.engineOut = true;
+            this.state.throttle = 0;
+            this.state.fuelFlow = 0;
+            window.dispatchEvent(new CustomEvent('fuelExhausted'));
         }
+    },
+    
+    /**
+     * Get fuel flow for the current throttle, altitude and speed
+     * @returns {number} kg/h
+     */
+    getFuelFlow() {
+        const spec = this.currentType;
+        const density = this.getAirDensity(this.state.altitude);
+        const lapse = Math.pow(density / this.physics.seaLevelDensity, 0.7);
+        const mach = this.state.speed / 3.6 / this.getSpeedOfSound(this.state.altitude);
         
-        // Calculate velocity based on heading and pitch
-        // Increased speed scaling factor from 0.01 to 0.1 for visible movement
-        const speedInUnits = this.state.speed / 3600 * deltaTime; // km/h to km/s * delta
-        const scaledSpeed = speedInUnits * 0.1; // Increased scale for better visibility
-        
-        const pitchRad = THREE.MathUtils.degToRad(this.state.pitch);
-        const headingRad = THREE.MathUtils.degToRad(this.state.heading);
-        const rollRad = THREE.MathUtils.degToRad(this.state.roll);
-        
-        // Get forward direction in world space
-        const forward = new THREE.Vector3(1, 0, 0);
-        forward.applyEuler(new THREE.Euler(pitchRad, headingRad, rollRad, 'YXZ'));
+        // Thinner air means less fuel per throttle setting; ram air adds some back
+        const baseFlow = THREE.MathUtils.lerp(spec.fuelBurnIdle, spec.fuelBurnMax, this.state.throttle);
+        return baseFlow * (0.4 + 0.6 * lapse) * (1 + 0.2 * mach);
+    },
+    
+    /**
+     * Sample the wind at the aircraft
+     * @returns {Object} { east, north } km/h the aircraft is carried by; calm while on the runway
+     */
+    updateWind() {
+        const position = this.getPosition();
+        this.state.wind = Wind.getWind(position.lat, position.lon, this.state.altitude);
         
-        // Move aircraft
-        this.state.velocity.copy(forward).multiplyScalar(scaledSpeed);
-        this.state.position.add(this.state.velocity);
+        const airborne = ['climbing', 'flying', 'descending', 'landing'];
+        return airborne.includes(this.flightPhase) ? this.state.wind : { east: 0, north: 0 };
+    },
+    
+    /**
+     * Get the heading offset that holds a ground track against the crosswind
+     * @param {number} course - Desired track in degrees
+     * @returns {number} Degrees to add to the course, negative to turn into a wind from the left
+     */
+    getWindCorrectionAngle(course) {
+        const courseRad = THREE.MathUtils.degToRad(course);
+        const wind = this.state.wind;
+        const crosswind = wind.east * Math.cos(courseRad) - wind.north * Math.sin(courseRad); // towards the right
+        const airspeed = this.state.speed * Math.cos(THREE.MathUtils.degToRad(this.state.flightPathAngle));
+        if (airspeed < 1) return 0;
         
-        // Keep aircraft above Earth surface
-        const distFromCenter = this.state.position.length();
-        const minAltitude = Earth.sceneRadius + 0.5;
-        const maxAltitude = Earth.sceneRadius + 50;
+        return -THREE.MathUtils.radToDeg(Math.asin(THREE.MathUtils.clamp(crosswind / airspeed, -1, 1)));
+    },
+    
+    /**
+     * Get wind, airspeed, ground speed and drift for the instruments
+     * @returns {Object} { windDirection, windSpeed (km/h), airspeed, groundSpeed (km/h), track, drift (degrees) }
+     */
+    getWindTriangle() {
+        const { direction, speed } = Wind.describe(this.state.wind);
         
-        // Calculate vertical speed
-        const prevAltitude = this.state.altitude;
+        return {
+            windDirection: direction,
+            windSpeed: speed,
+            airspeed: this.state.speed,
+            groundSpeed: this.state.groundSpeed,
+            track: this.state.track,
+            drift: this.state.drift
+        };
+    },
+    
+    /**
+     * Get estimated range on the remaining fuel at the current burn and ground speed
+     * @returns {number} km over the globe, comparable with the distance to go
+     */
+    getEstimatedRange() {
+        if (this.state.engineOut || this.state.fuelFlow <= 0) return 0;
+        return Units.flownToMap(this.state.fuel / this.state.fuelFlow * this.state.groundSpeed);
+    },
+    
+    /**
+     * Get air density from an exponential atmosphere
+     * @param {number} altitude - km above sea level
+     * @returns {number} kg/m³
+     */
+    getAirDensity(altitude) {
+        return this.physics.seaLevelDensity * Math.exp(-Math.max(altitude, 0) / this.physics.scaleHeight);
+    },
+    
+    /**
+     * Get speed of sound (linear troposphere, constant above 11 km)
+     * @param {number} altitude - km above sea level
+     * @returns {number} m/s
+     */
+    getSpeedOfSound(altitude) {
+        return 340.3 - 4.0 * THREE.MathUtils.clamp(altitude, 0, 11);
+    },
+    
+    /**
+     * Get lift coefficient for an angle of attack
+     * @param {number} alpha - Angle of attack in radians
+     * @returns {number}
+     */
+    getLiftCoefficient(alpha) {
+        const spec = this.currentType;
+        const curve = this.getLiftCurve();
+        const stallAngle = this.getStallAngle();
+        const negativeStallAngle = (-spec.clMax - curve.cl0) / spec.clAlpha;
+        const postStall = curve.clMax * this.envelope.postStallLift;
         
-        if (distFromCenter < minAltitude) {
-            this.state.position.normalize().multiplyScalar(minAltitude);
-            this.state.altitude = 0.5;
-        } else if (distFromCenter > maxAltitude) {
-            this.state.position.normalize().multiplyScalar(maxAltitude);
-            this.state.altitude = 50;
+        // Past either critical angle the flow separates and lift falls away
+        let cl;
+        if (alpha > stallAngle) {
+            cl = Math.max(curve.clMax - (alpha - stallAngle) * spec.clAlpha * 0.5, postStall);
+        } else if (alpha < negativeStallAngle) {
+            cl = Math.min(-spec.clMax + (negativeStallAngle - alpha) * spec.clAlpha * 0.5, -postStall);
         } else {
-            this.state.altitude = distFromCenter - Earth.sceneRadius;
+            cl = curve.cl0 + spec.clAlpha * alpha;
         }
         
-        // Update vertical speed (km/h)
-        this.state.verticalSpeed = (this.state.altitude - prevAltitude) / deltaTime * 3600;
-        
-        // Update mesh position and rotation
-        this.group.position.copy(this.state.position);
-        
-        // Orient aircraft to Earth surface
-        const up = this.state.position.clone().normalize();
-        const lookAt = this.state.position.clone().add(this.state.velocity);
+        return cl * curve.spoiled;
+    },
+    
+    /**
+     * Get the lift curve for the current flap and spoiler setting
+     * @returns {Object} { cl0, clMax, spoiled (fraction of lift left by the spoilers) }
+     */
+    getLiftCurve() {
+        const spec = this.currentType;
         
-        // Create rotation matrix
-        const matrix = new THREE.Matrix4();
-        matrix.lookAt(this.state.position, lookAt, up);
+        // Flaps shift the whole curve up, so the wing reaches more lift at a lower angle
+        const flapLift = this.getFlapFraction() * (spec.flapLift || 0);
         
-        // Apply local rotations
-        const localRotation = new THREE.Euler(
-            -pitchRad,
+        return {
+            cl0: spec.cl0 + flapLift,
+            clMax: spec.clMax + flapLift,
+            spoiled: 1 - this.state.spoilerPosition * (spec.spoilerLift || 0)
+        };
+    },
+    
+    /**
+     * Get critical angle of attack where the wing reaches clMax
+     * @returns {number} Radians
+     */
+    getStallAngle() {
+        const spec = this.currentType;
+        const curve = this.getLiftCurve();
+        return (curve.clMax - curve.cl0) / spec.clAlpha;
+    },
+    
+    /**
+     * Get drag coefficient (parasite + induced + transonic wave drag + stall separation
+     * + gear, flaps and spoilers)
+     * @param {number} cl - Lift coefficient
+     * @param {number} mach - Mach number
+     * @param {number} alpha - Angle of attack in radians
+     * @param {number} configurationDrag - Gear, flap and spoiler CD; defaults to their current positions
+     * @returns {number}
+     */
+    getDragCoefficient(cl, mach, alpha = 0, configurationDrag = this.getConfigurationDrag()) {
+        const spec = this.currentType;
+        const waveRise = THREE.MathUtils.clamp((mach - spec.machCrit) / 0.2, 0, 1);
+        const separation = THREE.MathUtils.clamp(
+            (alpha - this.getStallAngle()) / THREE.MathUtils.degToRad(10),
             0,
-            -rollRad,
-            'YXZ'
+            1
         );
+        return spec.cd0 + spec.inducedDrag * cl * cl + spec.waveDrag * waveRise * waveRise +
+            this.envelope.stallDrag * separation + configurationDrag;
+    },
+    
+    /**
+     * Get drag added by the extended gear, flaps and spoilers
+     * @returns {number} CD
+     */
+    getConfigurationDrag() {
+        const spec = this.currentType;
+        
+        // Fixed gear is already part of cd0
+        const gearDrag = spec.retractableGear ? this.state.gearPosition * spec.gearDrag : 0;
+        const flapDrag = this.getFlapFraction() * (spec.flapDrag || 0);
+        const spoilerDrag = this.state.spoilerPosition * (spec.spoilerDrag || 0);
+        
+        return gearDrag + flapDrag + spoilerDrag;
+    },
+    
+    /**
+     * Get available thrust, which lapses with air density
+     * @param {number} density - kg/m³
+     * @returns {number} N
+     */
+    getThrust(density) {
+        if (this.state.engineOut) return 0;
+        
+        const lapse = Math.pow(density / this.physics.seaLevelDensity, 0.7);
+        return this.currentType.maxThrust * this.state.throttle * lapse;
+    },
+    
+    /**
+     * Get throttle setting that holds the current speed along a flight path
+     * @param {number} flightPathAngle - Degrees, 0 for level flight
+     * @param {number} configurationDrag - Gear, flap and spoiler CD; defaults to their current positions
+     * @returns {number} 0-1
+     */
+    getTrimThrottle(flightPathAngle = 0, configurationDrag = this.getConfigurationDrag()) {
+        const spec = this.currentType;
+        const gamma = THREE.MathUtils.degToRad(flightPathAngle);
+        const airspeed = Math.max(this.state.speed / 3.6, 1);
+        const density = this.getAirDensity(this.state.altitude);
+        const dynamicPressure = 0.5 * density * airspeed * airspeed;
+        const mach = airspeed / this.getSpeedOfSound(this.state.altitude);
+        const weight = spec.mass * this.physics.gravity;
+        
+        const cl = weight * Math.cos(gamma) / (dynamicPressure * spec.wingArea);
+        const drag = dynamicPressure * spec.wingArea * this.getDragCoefficient(cl, mach, 0, configurationDrag);
+        const maxThrust = spec.maxThrust * Math.pow(density / this.physics.seaLevelDensity, 0.7);
         
-        this.group.quaternion.setFromRotationMatrix(matrix);
-        this.mesh.rotation.copy(localRotation);
+        return THREE.MathUtils.clamp((drag + weight * Math.sin(gamma)) / maxThrust, 0, 1);
+    },
+    
+    /**
+     * Get angle of attack that makes lift balance weight at the current speed
+     * @returns {number} Degrees
+     */
+    getTrimAngleOfAttack() {
+        const spec = this.currentType;
+        const curve = this.getLiftCurve();
+        const airspeed = Math.max(this.state.speed / 3.6, 1);
+        const dynamicPressure = 0.5 * this.getAirDensity(this.state.altitude) * airspeed * airspeed;
+        const cl = spec.mass * this.physics.gravity / (dynamicPressure * spec.wingArea * curve.spoiled);
+        
+        return THREE.MathUtils.radToDeg((Math.min(cl, curve.clMax) - curve.cl0) / spec.clAlpha);
+    },
+    
+    /**
+     * Get flight path angle that gives a descent rate at the current speed
+     * @param {number} descentRate - km/s, positive downwards
+     * @returns {number} Degrees
+     */
+    getPathAngleForRate(descentRate) {
+        const airspeed = Math.max(this.state.speed / 3.6, 1);
+        return -THREE.MathUtils.radToDeg(Math.asin(Math.min(descentRate * 1000 / airspeed, 1)));
     },
     
     /**
@@ -452,30 +1483,37 @@ const Aircraft = {
      * @param {number} deltaTime
      */
     updateFlightPhase(deltaTime) {
-        const now = Date.now();
+        const now = Simulation.now();
         const phaseElapsed = now - this.phaseStartTime;
         
         switch (this.flightPhase) {
             case 'taxiing':
-                // Accelerate to 30% of cruise speed
-                const taxiSpeed = this.currentType.speed * 0.3;
-                this.state.speed = THREE.MathUtils.lerp(this.state.speed, taxiSpeed, deltaTime * 2);
-                this.state.pitch = 0;
-                this.state.roll = 0;
-                
-                if (phaseElapsed >= this.phaseDurations.taxiing) {
-                    this.setFlightPhase('takeoff_roll');
-                }
+                // The pilot taxis until startTakeoffRoll()
+                this.updateTaxi(deltaTime);
                 break;
                 
             case 'takeoff_roll':
-                // Accelerate to takeoff speed
-                const takeoffSpeed = this.currentType.speed * 0.8;
-                this.state.speed = THREE.MathUtils.lerp(this.state.speed, takeoffSpeed, deltaTime * 3);
+                // Accelerate down the centerline to lift off before the end of the runway
+                const takeoffSpeed = this.currentType.speed * this.departure.rotationSpeed;
+                this.state.speed = Math.min(this.state.speed + this.takeoffAcceleration * deltaTime, takeoffSpeed);
                 this.state.pitch = 0;
                 this.state.roll = 0;
+                this.state.flightPathAngle = 0;
+                
+                // Ease onto the centerline if the roll started off to one side
+                if (this.state.takeoffRunway) {
+                    const runway = this.state.takeoffRunway;
+                    const offset = Airports.getRunwayOffset(runway, this.getPosition());
+                    const correction = THREE.MathUtils.clamp(
+                        -offset.cross * this.departure.centerlineGain,
+                        -this.departure.maxCenterlineCorrection,
+                        this.departure.maxCenterlineCorrection
+                    );
+                    const headingError = ((runway.heading + correction - this.state.heading + 540) % 360) - 180;
+                    this.state.heading += headingError * Math.min(deltaTime * 2, 1);
+                }
                 
-                if (phaseElapsed >= this.phaseDurations.takeoff_roll) {
+                if (this.state.speed >= takeoffSpeed) {
                     this.setFlightPhase('climbing');
                 }
                 break;
@@ -485,35 +1523,194 @@ const Aircraft = {
                 this.state.speed = THREE.MathUtils.lerp(this.state.speed, this.currentType.speed, deltaTime * 2);
                 this.state.pitch = THREE.MathUtils.lerp(this.state.pitch, 15, deltaTime * 2);
                 this.state.roll = 0;
+                this.state.flightPathAngle = this.state.pitch;
                 
                 // Increase altitude
                 const targetAltitude = 10;
                 if (this.state.altitude < targetAltitude) {
                     const climbRate = 0.1 * deltaTime;
-                    this.state.position.normalize().multiplyScalar(Earth.sceneRadius + this.state.altitude + climbRate);
+                    this.state.position.normalize().multiplyScalar(
+                        Earth.sceneRadius + Units.altitudeToScene(this.state.altitude + climbRate)
+                    );
                     this.state.altitude += climbRate;
                 }
                 
                 if (phaseElapsed >= this.phaseDurations.climbing) {
+                    // Hand over to the flight model cleaned up and trimmed for cruise; gear and flaps
+                    // take a while to retract, so trim for the clean configuration they end up in
+                    if (this.state.gearDown) this.toggleGear();
+                    this.setFlaps(0);
+                    this.state.throttle = this.getTrimThrottle(0, 0);
                     this.setFlightPhase('flying');
                 }
                 break;
                 
-            case 'flying':
-                // Normal flight - player has control
+            case 'flying': {
+                // Normal flight - player has control until top of descent
+                const guidance = this.getArrivalGuidance();
+                if (guidance && guidance.timeToGo <= this.getTimeToDescend()) {
+                    this.descentStartDistance = guidance.distance;
+                    this.setFlightPhase('descending');
+                }
                 break;
+            }
+                
+            case 'descending': {
+                // Managed descent path towards the approach gate
+                const guidance = this.getArrivalGuidance();
+                if (!guidance || guidance.distance > this.descentStartDistance * 1.2 + this.arrival.touchdownRadius) {
+                    // Destination cleared or flown away from - resume cruise
+                    this.setFlightPhase('flying');
+                    break;
+                }
+                if (guidance.timeToGo <= this.arrival.approachTime) {
+                    this.approachGateDistance = guidance.distance;
+                    this.setFlightPhase('landing');
+                    break;
+                }
+                
+                const gateAltitude = this.physics.groundLevel + this.arrival.approachHeight;
+                const descentRate = THREE.MathUtils.clamp(
+                    (this.state.altitude - gateAltitude) / Math.max(guidance.timeToGo - this.arrival.approachTime, 1),
+                    0,
+                    this.arrival.maxDescentRate
+                );
+                const targetPath = this.getPathAngleForRate(descentRate);
+                this.state.flightPathAngle = THREE.MathUtils.lerp(this.state.flightPathAngle, targetPath, deltaTime);
+                this.state.pitch = this.state.flightPathAngle + this.getTrimAngleOfAttack();
                 
-            case 'descending':
-                // Auto-descend towards destination
-                this.state.pitch = THREE.MathUtils.lerp(this.state.pitch, -5, deltaTime);
+                // Hold speed down the path unless the pilot is moving the throttle
+                if (this.input.throttle === 0 && !this.state.engineOut) {
+                    this.state.throttle = THREE.MathUtils.lerp(
+                        this.state.throttle,
+                        this.getTrimThrottle(this.state.flightPathAngle),
+                        deltaTime
+                    );
+                }
                 break;
+            }
                 
-            case 'landing':
+            case 'landing': {
                 // Final approach
+                const guidance = this.getArrivalGuidance();
+                if (!guidance) {
+                    this.setFlightPhase('flying');
+                    break;
+                }
+                if (guidance.distance > this.approachGateDistance * 1.5 + this.arrival.touchdownRadius) {
+                    // Go around and rejoin the descent
+                    this.descentStartDistance = guidance.distance;
+                    this.setFlightPhase('descending');
+                    break;
+                }
+                
                 this.state.speed = THREE.MathUtils.lerp(this.state.speed, this.currentType.minSpeed, deltaTime * 2);
                 this.state.pitch = THREE.MathUtils.lerp(this.state.pitch, -3, deltaTime * 2);
+                
+                // Line up with the airport, crabbed into the crosswind; the pilot can trim the bank
+                let headingError = guidance.bearing + this.getWindCorrectionAngle(guidance.bearing) - this.state.heading;
+                headingError = ((headingError + 540) % 360) - 180;
+                if (guidance.distance < 2) headingError = 0;
+                const targetRoll = THREE.MathUtils.clamp(headingError * 1.5, -25, 25) + this.input.roll * 15;
+                this.state.roll = THREE.MathUtils.lerp(this.state.roll, targetRoll, deltaTime * 2);
+                this.state.heading += THREE.MathUtils.radToDeg(
+                    this.physics.gravity * Math.tan(THREE.MathUtils.degToRad(this.state.roll)) /
+                    Math.max(this.state.speed / 3.6, 1)
+                ) * deltaTime;
+                
+                // Glide to reach the runway at the marker; pitch input steepens or flares
+                const height = Math.max(this.state.altitude - this.physics.groundLevel, 0);
+                let descentRate = height / Math.max(guidance.timeToGo, 1) * (1 + 0.6 * this.input.pitch);
+                if (guidance.distance > this.arrival.touchdownRadius) {
+                    // Never let the glide reach the ground short of the field
+                    descentRate = Math.min(descentRate, Math.max(height - 0.01, 0) / Math.max(guidance.timeToGo, 1));
+                }
+                this.state.flightPathAngle = this.getPathAngleForRate(Math.max(descentRate, 0));
+                break;
+            }
+                
+            case 'rollout': {
+                // Brake to a stop on the runway
+                const deceleration = this.currentType.minSpeed * this.arrival.rolloutDeceleration;
+                this.state.speed = Math.max(this.state.speed - deceleration * deltaTime, 0);
+                this.state.pitch = THREE.MathUtils.lerp(this.state.pitch, 0, deltaTime * 3);
+                this.state.roll = THREE.MathUtils.lerp(this.state.roll, 0, deltaTime * 3);
+                this.state.flightPathAngle = 0;
+                
+                if (this.state.speed < 1) {
+                    this.completeLanding();
+                }
                 break;
+            }
+        }
+    },
+    
+    /**
+     * Steer with the nosewheel and roll under the pilot's throttle and brakes
+     * @param {number} deltaTime
+     */
+    updateTaxi(deltaTime) {
+        const taxi = this.taxi;
+        this.state.pitch = 0;
+        this.state.roll = 0;
+        this.state.flightPathAngle = 0;
+        
+        // Throttle input moves the throttle lever, as in the air
+        this.state.throttle = this.state.engineOut ? 0 : THREE.MathUtils.clamp(
+            this.state.throttle + this.input.throttle * this.physics.throttleRate * deltaTime,
+            0,
+            1
+        );
+        
+        // Thrust against rolling resistance and the brakes, up to taxi speed
+        const thrust = this.getThrust(this.getAirDensity(this.state.altitude)) / this.currentType.mass * 3.6; // km/h per second
+        const deceleration = taxi.rollingResistance + this.input.brake * taxi.brakeDeceleration;
+        this.state.speed = THREE.MathUtils.clamp(this.state.speed + (thrust - deceleration) * deltaTime, 0, taxi.maxSpeed);
+        
+        // Rudder pedals or the stick turn the nosewheel, which only turns a moving aircraft
+        const steering = THREE.MathUtils.clamp(this.input.yaw + this.input.roll, -1, 1);
+        this.state.heading += steering * taxi.steeringRate * Math.min(this.state.speed / taxi.steeringSpeed, 1) * deltaTime;
+    },
+    
+    /**
+     * Start the takeoff roll from wherever the aircraft has taxied to
+     * @returns {boolean} Whether the roll started; the aircraft must be lined up on a runway when the airport has them
+     */
+    startTakeoffRoll() {
+        if (this.flightPhase !== 'taxiing') return false;
+        
+        const airport = this.state.takeoffAirport;
+        if (airport && airport.runways && airport.runways.length > 0) {
+            const runway = Airports.findLinedUpRunway(airport, this.getPosition(), this.state.heading);
+            if (!runway) return false;
+            this.state.takeoffRunway = runway;
+        }
+        
+        this.state.throttle = this.state.engineOut ? 0 : 1; // Full power for the takeoff run
+        this.takeoffAcceleration = this.getTakeoffAcceleration();
+        this.setFlightPhase('takeoff_roll');
+        return true;
+    },
+    
+    /**
+     * Get the acceleration that reaches rotation speed within the takeoff roll
+     * The type's takeoff distance is used, shortened to fit the runway left ahead
+     * @returns {number} km/h per second
+     */
+    getTakeoffAcceleration() {
+        const runway = this.state.takeoffRunway;
+        let available = Infinity;
+        if (runway) {
+            const used = Math.max(Airports.getRunwayOffset(runway, this.getPosition()).along, 0);
+            available = Math.max(runway.length / 1000 - used, 0) * this.departure.runwayMargin;
         }
+        const distance = Math.max(Math.min(this.currentType.takeoffDistance / 1000, available), 0.1); // km
+        
+        // The ground moves at the map scale, so the roll covers the runway that much faster
+        const mapScale = Units.getMapScale();
+        const takeoffSpeed = this.currentType.speed * this.departure.rotationSpeed;
+        const speedSquared = Math.max(takeoffSpeed * takeoffSpeed - this.state.speed * this.state.speed, 0);
+        return mapScale * speedSquared / (7200 * distance);
     },
     
     /**
@@ -522,7 +1719,7 @@ const Aircraft = {
      */
     setFlightPhase(phase) {
         this.flightPhase = phase;
-        this.phaseStartTime = Date.now();
+        this.phaseStartTime = Simulation.now();
         
         // Dispatch event for UI updates
         window.dispatchEvent(new CustomEvent('flightPhaseChanged', {
@@ -532,13 +1729,14 @@ const Aircraft = {
     
     /**
      * Set control input
-     * @param {Object} input - { pitch, roll, yaw, throttle }
+     * @param {Object} input - { pitch, roll, yaw, throttle, brake }
      */
     setInput(input) {
         if (input.pitch !== undefined) this.input.pitch = THREE.MathUtils.clamp(input.pitch, -1, 1);
         if (input.roll !== undefined) this.input.roll = THREE.MathUtils.clamp(input.roll, -1, 1);
         if (input.yaw !== undefined) this.input.yaw = THREE.MathUtils.clamp(input.yaw, -1, 1);
         if (input.throttle !== undefined) this.input.throttle = THREE.MathUtils.clamp(input.throttle, -1, 1);
+        if (input.brake !== undefined) this.input.brake = THREE.MathUtils.clamp(input.brake, 0, 1);
     },
     
     /**
@@ -552,22 +1750,52 @@ const Aircraft = {
     /**
      * Takeoff from an airport
      * @param {Object} airport - Airport data
+     * @param {Object|null} runway - Runway end to depart from { ident, heading, lat, lon, length }
      */
-    takeoff(airport) {
-        // Start on runway at ground level
-        const position = Earth.latLonToVector3(airport.lat, airport.lon, 0.5);
+    takeoff(airport, runway = null) {
+        // Each flight runs on its own clock and random sequence
+        Simulation.reset();
+        
+        // Line up on the runway threshold at ground level, or the airport itself without runway data
+        const start = runway || airport;
+        const position = Earth.latLonToVector3(start.lat, start.lon, Units.altitudeToScene(this.physics.groundLevel));
         this.state.position.copy(position);
-        this.state.altitude = 0.5;
-        this.state.heading = 0;
+        this.state.altitude = this.physics.groundLevel;
+        this.state.heading = runway ? runway.heading : 0;
         this.state.pitch = 0;
         this.state.roll = 0;
+        this.state.flightPathAngle = 0;
+        this.state.angleOfAttack = 0;
+        this.resetAttitudeFrame();
+        this.setAttitudeFromAngles();
+        this.state.throttle = 0; // Idle until the pilot taxis or starts the roll
+        this.state.fuel = this.currentType.fuelCapacity;
+        this.state.fuelFlow = 0;
+        this.state.engineOut = false;
         this.state.speed = 0; // Start from standstill
         this.state.verticalSpeed = 0;
+        this.state.groundSpeed = 0;
+        this.state.drift = 0;
+        this.state.touchdown = null;
+        this.state.crash = null;
+        this.state.loadFactor = 1;
+        this.state.stalled = false;
+        this.state.buffet = 0;
+        this.state.structuralFailure = false;
+        this.overstressTime = 0;
+        this.setWarnings({});
+        this.clearFailures();
+        this.resetSystems(this.currentType.flapNotches ? 1 : 0); // Takeoff flaps
         this.state.isFlying = true;
+        this.stats = { distanceFlown: 0, maxAltitude: this.state.altitude, maxSpeed: 0 };
         this.state.takeoffAirport = airport;
-        this.state.flightStartTime = Date.now();
+        this.state.takeoffRunway = runway;
+        this.state.flightStartTime = Simulation.now();
+        this.state.flightEndTime = null;
         
         this.group.position.copy(this.state.position);
+        this.group.visible = true;
+        this.pose.snap = true;
         
         // Start takeoff sequence
         this.setFlightPhase('taxiing');
@@ -582,12 +1810,24 @@ const Aircraft = {
     },
     
     /**
-     * Get distance to destination
+     * Set flight plan to follow
+     * @param {Object|null} plan - FlightPlan, or null to fly direct
+     */
+    setFlightPlan(plan) {
+        this.state.flightPlan = plan;
+    },
+    
+    /**
+     * Get distance to destination, along the flight plan when one is active
      * @returns {number} Distance in km
      */
     getDistanceToDestination() {
         if (!this.state.destinationAirport) return null;
         
+        if (this.state.flightPlan && this.state.flightPlan.getActiveWaypoint()) {
+            return this.getArrivalGuidance().distance;
+        }
+        
         const destPos = Earth.latLonToVector3(
             this.state.destinationAirport.lat,
             this.state.destinationAirport.lon,
@@ -595,7 +1835,204 @@ const Aircraft = {
         );
         
         const distance = this.state.position.distanceTo(destPos);
-        return distance * (Earth.radius / Earth.sceneRadius);
+        return Units.sceneToKm(distance);
+    },
+    
+    /**
+     * Get distance and bearing to the next waypoint, or the destination when flying direct
+     * @returns {Object|null} { waypoint, distance (km), bearing (degrees) }
+     */
+    getNavGuidance() {
+        const plan = this.state.flightPlan;
+        const waypoint = (plan && plan.getActiveWaypoint()) || this.state.destinationAirport;
+        if (!waypoint) return null;
+        
+        const position = this.getPosition();
+        
+        return {
+            waypoint,
+            distance: Earth.greatCircleDistance(position.lat, position.lon, waypoint.lat, waypoint.lon),
+            bearing: Earth.initialBearing(position.lat, position.lon, waypoint.lat, waypoint.lon)
+        };
+    },
+    
+    /**
+     * Get distance, bearing and time to go to the destination over the ground
+     * @returns {Object|null} { distance (km), bearing (degrees), timeToGo (s) }
+     */
+    getArrivalGuidance() {
+        if (!this.state.destinationAirport) return null;
+        
+        // Distance runs along the remaining legs; bearing is to the next waypoint
+        const nav = this.getNavGuidance();
+        const plan = this.state.flightPlan;
+        const distance = nav.distance + (plan && plan.getActiveWaypoint() ? plan.getDistanceToNextStop() : 0);
+        const timeToGo = distance / Math.max(Units.flownToMap(this.state.groundSpeed), 1) * 3600;
+        
+        return { distance, bearing: nav.bearing, timeToGo };
+    },
+    
+    /**
+     * Get time needed to descend to the approach gate and fly the approach
+     * @returns {number} Seconds
+     */
+    getTimeToDescend() {
+        const gateAltitude = this.physics.groundLevel + this.arrival.approachHeight;
+        const height = Math.max(this.state.altitude - gateAltitude, 0);
+        return height / this.arrival.maxDescentRate + this.arrival.approachTime;
+    },
+    
+    /**
+     * Handle main gear contact during the landing phase
+     * @param {number} pathRad - Flight path angle at contact in radians
+     */
+    onTouchdown(pathRad) {
+        const guidance = this.getArrivalGuidance();
+        if (!guidance || guidance.distance > this.arrival.touchdownRadius) return;
+        
+        this.state.touchdown = {
+            verticalSpeed: this.state.speed / 3.6 * Math.sin(pathRad), // m/s, negative when sinking
+            distance: guidance.distance,
+            bank: this.state.roll
+        };
+        
+        this.setFlightPhase('rollout');
+    },
+    
+    /**
+     * Decide what contact with the surface means in the airborne phases
+     * @param {number} pathRad - Flight path angle at contact in radians
+     */
+    onGroundContact(pathRad) {
+        const airborne = ['flying', 'descending', 'landing'];
+        if (!airborne.includes(this.flightPhase)) return;
+        
+        const sinkRate = -this.state.speed / 3.6 * Math.sin(pathRad); // m/s
+        const gentle = sinkRate <= this.collision.maxSinkRate &&
+            Math.abs(this.state.roll) <= this.collision.maxBank;
+        const inLandingZone = this.isInLandingZone();
+        
+        if (this.state.structuralFailure) {
+            this.crash('structuralFailure');
+        } else if (!inLandingZone) {
+            this.crash('terrain');
+        } else if (!gentle) {
+            this.crash('hardLanding');
+        } else if (this.state.gearPosition < 1) {
+            this.crash('gearUp');
+        } else if (this.flightPhase === 'landing') {
+            this.onTouchdown(pathRad);
+        }
+        
+        // Gentle contact inside any other airport zone rolls along the surface
+    },
+    
+    /**
+     * Check whether the aircraft is over an airport where it may touch down
+     * @returns {boolean}
+     */
+    isInLandingZone() {
+        if (typeof Airports === 'undefined') return false;
+        
+        const position = this.getPosition();
+        return Airports.getAll().some(airport =>
+            Earth.greatCircleDistance(position.lat, position.lon, airport.lat, airport.lon) <=
+                this.arrival.touchdownRadius
+        );
+    },
+    
+    /**
+     * Wreck the aircraft and end the flight
+     * @param {string} cause - 'terrain', 'hardLanding', 'gearUp' or 'structuralFailure'
+     */
+    crash(cause) {
+        const position = this.getPosition();
+        const pathRad = THREE.MathUtils.degToRad(this.state.flightPathAngle);
+        
+        this.state.crash = {
+            cause,
+            lat: position.lat,
+            lon: position.lon,
+            speed: this.state.speed,
+            verticalSpeed: this.state.speed / 3.6 * Math.sin(pathRad), // m/s, negative when sinking
+            bank: this.state.roll
+        };
+        
+        this.state.speed = 0;
+        this.state.verticalSpeed = 0;
+        this.state.groundSpeed = 0;
+        this.state.throttle = 0;
+        this.state.loadFactor = 1;
+        this.state.stalled = false;
+        this.state.buffet = 0;
+        this.setWarnings({});
+        this.state.isFlying = false;
+        this.state.flightEndTime = Simulation.now();
+        this.group.visible = false;
+        this.setFlightPhase('crashed');
+        
+        window.dispatchEvent(new CustomEvent('crashed', {
+            detail: {
+                crash: this.state.crash,
+                position: this.state.position.clone()
+            }
+        }));
+    },
+    
+    /**
+     * Put the aircraft back in the air above the crash site, repaired and refuelled
+     */
+    respawn() {
+        const crash = this.state.crash || this.getPosition();
+        const altitude = this.physics.groundLevel + this.collision.respawnHeight;
+        
+        this.state.position.copy(Earth.latLonToVector3(crash.lat, crash.lon, Units.altitudeToScene(altitude)));
+        this.state.altitude = altitude;
+        this.clearFailures();
+        this.resetSystems(0);
+        if (this.currentType.retractableGear) {
+            this.state.gearDown = false;
+            this.state.gearPosition = 0;
+        }
+        this.state.speed = this.currentType.speed;
+        this.state.pitch = this.getTrimAngleOfAttack();
+        this.state.roll = 0;
+        this.state.flightPathAngle = 0;
+        this.resetAttitudeFrame();
+        this.setAttitudeFromAngles();
+        this.state.verticalSpeed = 0;
+        this.state.fuel = this.currentType.fuelCapacity;
+        this.state.engineOut = false;
+        this.state.structuralFailure = false;
+        this.overstressTime = 0;
+        this.state.throttle = this.getTrimThrottle();
+        this.state.crash = null;
+        this.state.isFlying = true;
+        this.state.flightEndTime = null;
+        
+        this.group.position.copy(this.state.position);
+        this.group.visible = true;
+        this.pose.snap = true;
+        
+        this.setFlightPhase('flying');
+    },
+    
+    /**
+     * Stop on the runway and end the flight
+     */
+    completeLanding() {
+        this.state.speed = 0;
+        this.state.verticalSpeed = 0;
+        this.state.isFlying = false;
+        this.state.flightEndTime = Simulation.now();
+        this.setFlightPhase('landed');
+        
+        window.dispatchEvent(new CustomEvent('landed', {
+            detail: {
+                airport: this.state.destinationAirport,
+                touchdown: this.state.touchdown
+            }
+        }));
     },
     
     /**
@@ -603,16 +2040,19 @@ const Aircraft = {
      * @returns {number}
      */
     getFlightTime() {
-        if (!this.state.flightStartTime) return 0;
-        return (Date.now() - this.state.flightStartTime) / 1000;
+        if (this.state.flightStartTime === null) return 0;
+        const endTime = this.state.flightEndTime !== null ? this.state.flightEndTime : Simulation.now();
+        return (endTime - this.state.flightStartTime) / 1000;
     },
     
     /**
      * Get current position in lat/lon
-     * @returns {Object} { lat, lon, altitude }
+     * @returns {Object} { lat, lon, altitude (km) }
      */
     getPosition() {
-        return Earth.vector3ToLatLon(this.state.position);
+        const position = Earth.vector3ToLatLon(this.state.position);
+        position.altitude = Units.sceneToAltitude(position.altitude);
+        return position;
     },
     
     /**
@@ -639,6 +2079,14 @@ const Aircraft = {
         return this.currentType;
     },
     
+    /**
+     * Get flight statistics
+     * @returns {Object} { distanceFlown, maxAltitude, maxSpeed }
+     */
+    getStats() {
+        return this.stats;
+    },
+    
     /**
      * Get current flight phase
      * @returns {string}
@@ -0,0 +1,377 @@
+/**
+ * Sky Flight - Airfield Module
+ * Draws the departure airport's runways around the aircraft while it is on the ground
+ */
+
+const Airfield = {
+    group: null,
+    airport: null,
+    materials: [],
+    shown: false,
+    wheelHeight: null, // scene units from the aircraft origin down to its wheels
+    
+    // Surface settings
+    settings: {
+        scale: 200, // the surface is drawn this many times its size on the map, so it reads against the aircraft
+        phases: ['taxiing', 'takeoff_roll', 'climbing'], // shown while departing, fading out over the climb
+        groundMargin: 3, // scene units of grass beyond the runway ends
+        dashLength: 0.5, // scene units
+        dashGap: 0.5,
+        markingWidth: 0.06,
+        thresholdStripes: 8,
+        thresholdLength: 0.6,
+        minClearance: 0.05, // scene units the surface stays above the globe, under gear that reaches lower
+        colors: {
+            grass: 0x3d5c3a,
+            runway: 0x3a3a3a,
+            marking: 0xffffff,
+            apron: 0x6e6e6e,
+            building: 0xb8b4a8,
+            glass: 0x66aacc
+        }
+    },
+    
+    /**
+     * Initialize the airfield surface
+     * @param {THREE.Scene} scene
+     * @returns {THREE.Group}
+     */
+    init(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        
+        scene.add(this.group);
+        
+        // Each flight draws the airport it departs from
+        window.addEventListener('takeoff', (e) => {
+            this.build(e.detail.airport);
+        });
+        
+        return this.group;
+    },
+    
+    /**
+     * Get scene units per km of the drawn surface
+     * @returns {number}
+     */
+    getUnitsPerKm() {
+        return Units.kmToScene(this.settings.scale);
+    },
+    
+    /**
+     * Convert a position to drawn surface coordinates around the airport
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {THREE.Vector3} x east, z south, in scene units
+     */
+    toSurface(lat, lon) {
+        const kmPerDegree = Earth.radius * Math.PI / 180;
+        const north = (lat - this.airport.lat) * kmPerDegree;
+        const east = (((lon - this.airport.lon + 540) % 360) - 180) * kmPerDegree *
+            Math.cos(THREE.MathUtils.degToRad(this.airport.lat));
+        
+        return new THREE.Vector3(east, 0, -north).multiplyScalar(this.getUnitsPerKm());
+    },
+    
+    /**
+     * Create a material that fades with the surface
+     * @param {number} color
+     * @returns {THREE.Material}
+     */
+    createMaterial(color) {
+        const material = new THREE.MeshPhongMaterial({ color, shininess: 5 });
+        this.materials.push(material);
+        return material;
+    },
+    
+    /**
+     * Create a flat rectangle lying on the surface
+     * @param {number} width - Scene units across
+     * @param {number} length - Scene units along -z
+     * @param {THREE.Material} material
+     * @param {number} height - Scene units above the surface, to keep layers apart
+     * @returns {THREE.Mesh}
+     */
+    createPatch(width, length, material, height) {
+        const geometry = new THREE.PlaneGeometry(width, length);
+        geometry.rotateX(-Math.PI / 2);
+        
+        const patch = new THREE.Mesh(geometry, material);
+        patch.position.y = height;
+        return patch;
+    },
+    
+    /**
+     * Rebuild the surface for an airport
+     * @param {Object} airport
+     */
+    build(airport) {
+        this.clear();
+        this.airport = airport;
+        this.wheelHeight = null;
+        
+        const colors = this.settings.colors;
+        const materials = {
+            grass: this.createMaterial(colors.grass),
+            runway: this.createMaterial(colors.runway),
+            marking: this.createMaterial(colors.marking),
+            apron: this.createMaterial(colors.apron),
+            building: this.createMaterial(colors.building),
+            glass: this.createMaterial(colors.glass)
+        };
+        
+        const runways = (airport.runways || []).map(runway => this.createRunway(runway, materials));
+        
+        // Grass out to beyond the furthest runway end
+        const extent = runways.reduce((max, runway) => Math.max(max, runway.extent), 0) + this.settings.groundMargin;
+        const grass = new THREE.Mesh(new THREE.CircleGeometry(extent, 48), materials.grass);
+        grass.geometry.rotateX(-Math.PI / 2);
+        this.group.add(grass);
+        
+        runways.forEach(runway => this.group.add(runway.group));
+        
+        if (runways.length > 0) {
+            this.group.add(this.createTerminal(runways, materials));
+        }
+        
+        // The surface lies in the airport's local horizon: x east, y up, z south
+        const frame = Earth.getLocalFrame(Earth.latLonToVector3(airport.lat, airport.lon));
+        const south = frame.north.clone().negate();
+        this.group.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(frame.east, frame.up, south));
+    },
+    
+    /**
+     * Create a runway with its centerline, threshold stripes and numbers
+     * @param {Object} runway - { ident, length, width, ends }
+     * @param {Object} materials
+     * @returns {Object} { group, center, direction, length, width, extent }
+     */
+    createRunway(runway, materials) {
+        const settings = this.settings;
+        const [first, second] = runway.ends;
+        const start = this.toSurface(first.lat, first.lon);
+        const end = this.toSurface(second.lat, second.lon);
+        
+        const center = start.clone().add(end).multiplyScalar(0.5);
+        const direction = end.clone().sub(start);
+        const length = direction.length();
+        direction.normalize();
+        
+        // Drawn as wide as the strip a takeoff roll can start from
+        const width = Math.max(runway.width / 1000, Airports.lineUp.maxCrossTrack * 2) * this.getUnitsPerKm();
+        
+        // Laid out along -z from the first end at +z
+        const group = new THREE.Group();
+        group.position.copy(center);
+        group.rotation.y = Math.atan2(-direction.x, -direction.z);
+        
+        group.add(this.createPatch(width, length, materials.runway, 0.01));
+        
+        // Centerline dashes between the numbers
+        const markingsStart = settings.thresholdLength + width;
+        for (let z = -length / 2 + markingsStart; z < length / 2 - markingsStart; z += settings.dashLength + settings.dashGap) {
+            const dash = this.createPatch(settings.markingWidth, settings.dashLength, materials.marking, 0.02);
+            dash.position.z = z + settings.dashLength / 2;
+            group.add(dash);
+        }
+        
+        // Threshold stripes and the runway number at each end, read from the approach
+        runway.ends.forEach((runwayEnd, index) => {
+            const side = index === 0 ? 1 : -1;
+            const stripeWidth = width / (settings.thresholdStripes * 2);
+            for (let i = 0; i < settings.thresholdStripes; i++) {
+                const stripe = this.createPatch(stripeWidth, settings.thresholdLength, materials.marking, 0.02);
+                stripe.position.x = -width / 2 + stripeWidth * (2 * i + 1);
+                stripe.position.z = side * (length / 2 - settings.thresholdLength / 2);
+                group.add(stripe);
+            }
+            
+            const number = this.createRunwayNumber(runwayEnd.ident, width * 0.6);
+            if (number) {
+                number.position.z = side * (length / 2 - settings.thresholdLength - width * 0.5);
+                if (side < 0) number.rotation.y = Math.PI;
+                group.add(number);
+            }
+        });
+        
+        const extent = Math.max(start.length(), end.length());
+        return { group, center, direction, length, width, extent };
+    },
+    
+    /**
+     * Create a painted runway number
+     * @param {string} ident - Runway end, e.g. '27R'
+     * @param {number} size - Scene units
+     * @returns {THREE.Mesh|null}
+     */
+    createRunwayNumber(ident, size) {
+        if (typeof document === 'undefined') return null;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 56px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(ident, 64, 64);
+        
+        const material = new THREE.MeshPhongMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthWrite: false
+        });
+        this.materials.push(material);
+        
+        return this.createPatch(size, size, material, 0.02);
+    },
+    
+    /**
+     * Create an apron, terminal and tower beside the longest runway, away from the others
+     * @param {Array} runways - Drawn runways from createRunway()
+     * @param {Object} materials
+     * @returns {THREE.Group}
+     */
+    createTerminal(runways, materials) {
+        const main = runways.reduce((a, b) => (b.length > a.length ? b : a));
+        const others = runways.filter(runway => runway !== main);
+        
+        // Right of the runway direction, unless the other runways lie that way
+        const right = new THREE.Vector3(-main.direction.z, 0, main.direction.x);
+        const otherSide = others.reduce((sum, runway) => sum + runway.center.clone().sub(main.center).dot(right), 0);
+        const side = otherSide > 0 ? -1 : 1;
+        
+        const apronLength = main.length * 0.4;
+        const apronDepth = 2.5;
+        
+        const group = new THREE.Group();
+        group.position.copy(main.center).addScaledVector(right, side * (main.width / 2 + 1 + apronDepth / 2));
+        group.rotation.y = Math.atan2(-main.direction.x, -main.direction.z) + (side < 0 ? Math.PI : 0);
+        
+        group.add(this.createPatch(apronDepth, apronLength, materials.apron, 0.01));
+        
+        // Terminal along the far edge of the apron
+        const terminal = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.5, apronLength * 0.7), materials.building);
+        terminal.position.set(apronDepth / 2 + 0.4, 0.25, 0);
+        group.add(terminal);
+        
+        // Control tower at one end of the terminal
+        const tower = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.16, 1.4, 8), materials.building);
+        tower.position.set(apronDepth / 2 + 0.4, 0.7, apronLength * 0.45);
+        group.add(tower);
+        
+        const cab = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.22, 0.3, 8), materials.glass);
+        cab.position.set(apronDepth / 2 + 0.4, 1.5, apronLength * 0.45);
+        group.add(cab);
+        
+        return group;
+    },
+    
+    /**
+     * Remove the current surface
+     */
+    clear() {
+        this.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+        });
+        this.materials.forEach(material => {
+            if (material.map) material.map.dispose();
+            material.dispose();
+        });
+        this.materials = [];
+        this.group.clear();
+        this.setShown(false);
+        this.airport = null;
+    },
+    
+    /**
+     * Measure how far the wheels hang below the aircraft origin
+     * @param {Object} aircraft - Aircraft module
+     * @returns {number} Scene units
+     */
+    measureWheelHeight(aircraft) {
+        const { group, mesh } = aircraft;
+        const position = group.position.clone();
+        const quaternion = group.quaternion.clone();
+        const meshQuaternion = mesh.quaternion.clone();
+        
+        group.position.set(0, 0, 0);
+        group.quaternion.identity();
+        mesh.quaternion.identity();
+        group.updateMatrixWorld(true);
+        
+        const box = new THREE.Box3().setFromObject(mesh);
+        
+        group.position.copy(position);
+        group.quaternion.copy(quaternion);
+        mesh.quaternion.copy(meshQuaternion);
+        group.updateMatrixWorld(true);
+        
+        return Math.max(-box.min.y, 0);
+    },
+    
+    /**
+     * Show or hide the surface, with the airport marker it stands in for
+     * @param {boolean} shown
+     */
+    setShown(shown) {
+        if (shown === this.shown) return;
+        
+        this.shown = shown;
+        this.group.visible = shown;
+        if (this.airport) {
+            Airports.setMarkerVisible(this.airport.icao, !shown);
+        }
+    },
+    
+    /**
+     * Keep the surface under the aircraft
+     * The surface is larger than the map, so it is placed around the aircraft's
+     * drawn position and slides beneath it as the aircraft moves
+     * @param {Object} aircraft - Aircraft module
+     */
+    update(aircraft) {
+        const phase = aircraft.getFlightPhase();
+        const departing = this.airport && aircraft.state.isFlying && aircraft.mesh &&
+            aircraft.state.takeoffAirport === this.airport && this.settings.phases.includes(phase);
+        
+        this.setShown(Boolean(departing));
+        if (!departing) return;
+        
+        // Measured once the gear has been lowered for the flight
+        if (this.wheelHeight === null) {
+            this.wheelHeight = this.measureWheelHeight(aircraft);
+        }
+        
+        // Fade out as the aircraft climbs away
+        const opacity = phase === 'climbing'
+            ? 1 - (Simulation.now() - aircraft.phaseStartTime) / aircraft.phaseDurations.climbing
+            : 1;
+        this.materials.forEach(material => {
+            material.transparent = opacity < 1 || Boolean(material.map);
+            material.opacity = Math.max(opacity, 0);
+        });
+        
+        // The point under the wheels, at the height they roll on
+        const position = aircraft.group.position;
+        const surfaceRadius = Earth.sceneRadius + Math.max(
+            aircraft.physics.groundLevel - this.wheelHeight,
+            this.settings.minClearance
+        );
+        const under = position.clone().normalize().multiplyScalar(surfaceRadius);
+        
+        const location = Earth.vector3ToLatLon(position);
+        const offset = this.toSurface(location.lat, location.lon).applyQuaternion(this.group.quaternion);
+        this.group.position.copy(under).sub(offset);
+    },
+    
+    /**
+     * Get airfield group
+     * @returns {THREE.Group}
+     */
+    getGroup() {
+        return this.group;
+    }
+};
@@ -9,6 +9,7 @@ const Airports = {
     group: null,
     selectedAirport: null,
     destinationAirport: null,
+    menuMode: 'select', // 'select' or 'plan'
     
     // Marker settings
     markerSettings: {
@@ -19,6 +20,12 @@ const Airports = {
         destinationColor: 0xff4444
     },
     
+    // How closely an aircraft must be lined up on a runway to start the takeoff roll
+    lineUp: {
+        maxCrossTrack: 0.3, // km either side of the centerline
+        maxHeadingError: 20 // degrees off the runway heading
+    },
+    
     /**
      * Initialize airports
      * @param {THREE.Scene} scene
@@ -36,6 +43,11 @@ const Airports = {
         
         scene.add(this.group);
         
+        // Keep the planning panel in step with the flight plan
+        window.addEventListener('flightPlanChanged', () => {
+            this.updateFlightPlanPanel();
+        });
+        
         return this.group;
     },
     
@@ -168,6 +180,11 @@ const Airports = {
                     <span class="info-label" data-i18n="icaoCode">${I18n.t('icaoCode')}</span>
                     <span class="info-value">${airport.icao}</span>
                 </div>
+                ${airport.runways ? `
+                <div class="info-row">
+                    <span class="info-label" data-i18n="runways">${I18n.t('runways')}</span>
+                    <span class="info-value">${airport.runways.map(runway => runway.ident).join(', ')}</span>
+                </div>` : ''}
             </div>
             <div class="airport-info-actions">
                 <button class="action-btn primary" onclick="Airports.takeoffFrom('${airport.icao}')">
@@ -176,6 +193,9 @@ const Airports = {
                 <button class="action-btn secondary" onclick="Airports.setAsDestination('${airport.icao}')">
                     <span data-i18n="setAsDestination">${I18n.t('setAsDestination')}</span>
                 </button>
+                <button class="action-btn secondary" onclick="Airports.addToFlightPlan('${airport.icao}')">
+                    <span data-i18n="addToFlightPlan">${I18n.t('addToFlightPlan')}</span>
+                </button>
             </div>
         `;
         
@@ -201,8 +221,9 @@ const Airports = {
     /**
      * Takeoff from specified airport
      * @param {string} icao - ICAO code
+     * @param {string} runwayIdent - Runway end to depart from; asks the player when the airport has a choice
      */
-    takeoffFrom(icao) {
+    takeoffFrom(icao, runwayIdent) {
         const airport = this.data.find(a => a.icao === icao);
         if (!airport) return;
         
@@ -215,8 +236,16 @@ const Airports = {
             return;
         }
         
+        // Check if runway is selected
+        const runways = this.getRunwayEnds(airport);
+        if (!runwayIdent && runways.length > 1) {
+            this.showRunwaySelection(airport);
+            return;
+        }
+        
         // Takeoff
-        Aircraft.takeoff(airport);
+        const runway = runways.find(end => end.ident === runwayIdent) || runways[0] || null;
+        Aircraft.takeoff(airport, runway);
         
         // Show HUD
         HUD.show();
@@ -251,21 +280,12 @@ const Airports = {
             <div class="modal-content">
                 <h2 data-i18n="selectAircraft">${I18n.t('selectAircraft')}</h2>
                 <div class="aircraft-options">
-                    <div class="aircraft-option" onclick="Airports.selectAircraftAndTakeoff('cessna', '${airport.icao}')">
-                        <span class="aircraft-emoji">🛩️</span>
-                        <span class="aircraft-name" data-i18n="cessna">${I18n.t('cessna')}</span>
-                        <span class="aircraft-desc" data-i18n="cessnaDesc">${I18n.t('cessnaDesc')}</span>
-                    </div>
-                    <div class="aircraft-option" onclick="Airports.selectAircraftAndTakeoff('airliner', '${airport.icao}')">
-                        <span class="aircraft-emoji">✈️</span>
-                        <span class="aircraft-name" data-i18n="airliner">${I18n.t('airliner')}</span>
-                        <span class="aircraft-desc" data-i18n="airlinerDesc">${I18n.t('airlinerDesc')}</span>
-                    </div>
-                    <div class="aircraft-option" onclick="Airports.selectAircraftAndTakeoff('jet', '${airport.icao}')">
-                        <span class="aircraft-emoji">🛫</span>
-                        <span class="aircraft-name" data-i18n="jet">${I18n.t('jet')}</span>
-                        <span class="aircraft-desc" data-i18n="jetDesc">${I18n.t('jetDesc')}</span>
-                    </div>
+                    ${Aircraft.getTypes().map(spec => `
+                    <div class="aircraft-option" onclick="Airports.selectAircraftAndTakeoff('${spec.id}', '${airport.icao}')">
+                        <span class="aircraft-emoji">${spec.emoji}</span>
+                        <span class="aircraft-name" data-i18n="aircraft.${spec.id}">${I18n.t(`aircraft.${spec.id}`)}</span>
+                        <span class="aircraft-desc" data-i18n="aircraft.${spec.id}.desc">${I18n.t(`aircraft.${spec.id}.desc`)}</span>
+                    </div>`).join('')}
                 </div>
                 <button class="close-modal-btn" onclick="document.getElementById('aircraft-selection').remove()">
                     <span data-i18n="close">${I18n.t('close')}</span>
@@ -297,6 +317,125 @@ const Airports = {
         this.takeoffFrom(icao);
     },
     
+    /**
+     * Get every runway end an aircraft can depart from
+     * @param {Object} airport
+     * @returns {Array} { ident, heading, lat, lon, length (m) }
+     */
+    getRunwayEnds(airport) {
+        if (!airport.runways) return [];
+        
+        return airport.runways.flatMap(runway =>
+            runway.ends.map(end => ({ ...end, length: runway.length }))
+        );
+    },
+    
+    /**
+     * Get where a position lies relative to a runway end
+     * @param {Object} end - Runway end { heading, lat, lon }
+     * @param {Object} position - { lat, lon }
+     * @returns {Object} { along, cross } km down the runway from the threshold and right of the centerline
+     */
+    getRunwayOffset(end, position) {
+        const kmPerDegree = Earth.radius * Math.PI / 180;
+        const north = (position.lat - end.lat) * kmPerDegree;
+        const east = (((position.lon - end.lon + 540) % 360) - 180) * kmPerDegree *
+            Math.cos(THREE.MathUtils.degToRad(end.lat));
+        const headingRad = THREE.MathUtils.degToRad(end.heading);
+        
+        return {
+            along: north * Math.cos(headingRad) + east * Math.sin(headingRad),
+            cross: east * Math.cos(headingRad) - north * Math.sin(headingRad)
+        };
+    },
+    
+    /**
+     * Find the runway end an aircraft is lined up on, with runway left ahead of it
+     * @param {Object} airport
+     * @param {Object} position - { lat, lon }
+     * @param {number} heading - Degrees
+     * @returns {Object|null} Runway end { ident, heading, lat, lon, length }
+     */
+    findLinedUpRunway(airport, position, heading) {
+        const limits = this.lineUp;
+        
+        return this.getRunwayEnds(airport).find(end => {
+            const offset = this.getRunwayOffset(end, position);
+            const headingError = Math.abs(((heading - end.heading + 540) % 360) - 180);
+            return Math.abs(offset.cross) <= limits.maxCrossTrack &&
+                headingError <= limits.maxHeadingError &&
+                offset.along >= -limits.maxCrossTrack &&
+                offset.along < end.length / 1000;
+        }) || null;
+    },
+    
+    /**
+     * Get the wind component along a runway at the surface
+     * @param {Object} airport
+     * @param {Object} end - Runway end
+     * @returns {number} km/h, positive for a headwind
+     */
+    getHeadwind(airport, end) {
+        const wind = Wind.getWind(airport.lat, airport.lon, Aircraft.physics.groundLevel);
+        const headingRad = THREE.MathUtils.degToRad(end.heading);
+        return -(wind.east * Math.sin(headingRad) + wind.north * Math.cos(headingRad));
+    },
+    
+    /**
+     * Show runway selection dialog
+     * @param {Object} airport
+     */
+    showRunwaySelection(airport) {
+        const existingDialog = document.getElementById('runway-selection');
+        if (existingDialog) existingDialog.remove();
+        
+        // Taking off into the wind gives the shortest roll
+        const runways = this.getRunwayEnds(airport).map(end => ({ ...end, headwind: this.getHeadwind(airport, end) }));
+        const best = runways.reduce((a, b) => (b.headwind > a.headwind ? b : a));
+        
+        const dialog = document.createElement('div');
+        dialog.id = 'runway-selection';
+        dialog.className = 'modal-overlay';
+        
+        dialog.innerHTML = `
+            <div class="modal-content">
+                <h2 data-i18n="selectRunway">${I18n.t('selectRunway')}</h2>
+                <div class="runway-options">
+                    ${runways.map(end => `
+                    <div class="runway-option ${end === best ? 'recommended' : ''}"
+                         onclick="Airports.selectRunwayAndTakeoff('${airport.icao}', '${end.ident}')">
+                        <span class="runway-ident">${end.ident}</span>
+                        <span class="runway-heading">${Math.round(end.heading).toString().padStart(3, '0')}°</span>
+                        <span class="runway-length">${Units.format(end.length / 1000, 'altitude')}</span>
+                        <span class="runway-wind" data-i18n="${end.headwind >= 0 ? 'headwind' : 'tailwind'}">${I18n.t(end.headwind >= 0 ? 'headwind' : 'tailwind')}</span>
+                        <span class="runway-wind-speed">${Units.format(Math.abs(end.headwind), 'speed')}</span>
+                    </div>`).join('')}
+                </div>
+                <button class="close-modal-btn" onclick="document.getElementById('runway-selection').remove()">
+                    <span data-i18n="close">${I18n.t('close')}</span>
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(dialog);
+        
+        requestAnimationFrame(() => {
+            dialog.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Select runway and takeoff
+     * @param {string} icao - Airport ICAO code
+     * @param {string} runwayIdent - Runway end
+     */
+    selectRunwayAndTakeoff(icao, runwayIdent) {
+        const dialog = document.getElementById('runway-selection');
+        if (dialog) dialog.remove();
+        
+        this.takeoffFrom(icao, runwayIdent);
+    },
+    
     /**
      * Set airport as destination
      * @param {string} icao - ICAO code
@@ -305,6 +444,11 @@ const Airports = {
         const airport = this.data.find(a => a.icao === icao);
         if (!airport) return;
         
+        // Picking a destination by hand replaces the flight plan
+        if (FlightPlan.active && !FlightPlan.isNextStop(icao)) {
+            FlightPlan.deactivate();
+        }
+        
         // Reset previous destination marker
         if (this.destinationAirport) {
             const prevIndex = this.data.findIndex(a => a.icao === this.destinationAirport.icao);
@@ -336,6 +480,36 @@ const Airports = {
         }));
     },
     
+    /**
+     * Clear the current destination
+     */
+    clearDestination() {
+        if (this.destinationAirport) {
+            const index = this.data.findIndex(a => a.icao === this.destinationAirport.icao);
+            if (index >= 0 && this.markers[index]) {
+                this.markers[index].material.color.setHex(this.markerSettings.color);
+                this.markers[index].material.emissive.setHex(this.markerSettings.color);
+            }
+        }
+        
+        this.destinationAirport = null;
+        Aircraft.setDestination(null);
+        HUD.updateDestination(null);
+    },
+    
+    /**
+     * Append an airport to the flight plan
+     * @param {string} icao - ICAO code
+     */
+    addToFlightPlan(icao) {
+        const airport = this.data.find(a => a.icao === icao);
+        if (!airport) return;
+        
+        FlightPlan.addAirport(airport);
+        this.hideAirportInfo();
+        HUD.showMessage(`${I18n.t('addedToFlightPlan')}: ${airport.iata}`);
+    },
+    
     /**
      * Get all airports
      * @returns {Array}
@@ -382,11 +556,15 @@ const Airports = {
     
     /**
      * Show airport selection menu
+     * @param {string} mode - 'select' to pick an airport, 'plan' to build a flight plan
      */
-    showMenu() {
+    showMenu(mode = 'select') {
         const existingMenu = document.getElementById('airport-menu');
         if (existingMenu) existingMenu.remove();
         
+        this.menuMode = mode;
+        const planning = mode === 'plan';
+        
         const menu = document.createElement('div');
         menu.id = 'airport-menu';
         menu.className = 'modal-overlay';
@@ -402,9 +580,24 @@ const Airports = {
         menu.innerHTML = `
             <div class="modal-content airport-menu-content">
                 <div class="modal-header">
-                    <h2 data-i18n="selectAirport">${I18n.t('selectAirport')}</h2>
-                    <button class="close-btn" onclick="Airports.hideMenu()">×</button>
+                    <h2 data-i18n="${planning ? 'flightPlan' : 'selectAirport'}">${I18n.t(planning ? 'flightPlan' : 'selectAirport')}</h2>
+                    <div class="menu-header-actions">
+                        <button class="menu-mode-btn" onclick="Airports.showMenu('${planning ? 'select' : 'plan'}')">
+                            <span data-i18n="${planning ? 'selectAirport' : 'flightPlan'}">${I18n.t(planning ? 'selectAirport' : 'flightPlan')}</span>
+                        </button>
+                        <button class="menu-mode-btn" onclick="Failures.showSetup()">
+                            <span data-i18n="trainingScenario">${I18n.t('trainingScenario')}</span>
+                        </button>
+                        <button class="menu-mode-btn" onclick="Multiplayer.showSetup()">
+                            <span data-i18n="multiplayer">${I18n.t('multiplayer')}</span>
+                        </button>
+                        <button class="menu-mode-btn" onclick="Replay.showMenu()">
+                            <span data-i18n="replays">${I18n.t('replays')}</span>
+                        </button>
+                        <button class="close-btn" onclick="Airports.hideMenu()">×</button>
+                    </div>
                 </div>
+                ${planning ? '<div class="flight-plan-panel" id="flight-plan-panel"></div>' : ''}
                 <input type="text" 
                        id="airport-search" 
                        class="airport-search" 
@@ -418,6 +611,7 @@ const Airports = {
         `;
         
         document.body.appendChild(menu);
+        this.updateFlightPlanPanel();
         
         requestAnimationFrame(() => {
             menu.classList.add('visible');
@@ -425,6 +619,131 @@ const Airports = {
         });
     },
     
+    /**
+     * Render the flight plan editor inside the airport menu
+     */
+    updateFlightPlanPanel() {
+        const panel = document.getElementById('flight-plan-panel');
+        if (!panel) return;
+        
+        panel.innerHTML = `
+            <div class="plan-waypoints" id="plan-waypoints">
+                ${FlightPlan.waypoints.length === 0 ? `<div class="plan-empty" data-i18n="flightPlanEmpty">${I18n.t('flightPlanEmpty')}</div>` : ''}
+            </div>
+            <div class="plan-fix-form">
+                <input type="number" id="plan-fix-lat" step="any" min="-90" max="90"
+                       placeholder="${I18n.t('latitude')}" data-i18n-placeholder="latitude">
+                <input type="number" id="plan-fix-lon" step="any" min="-180" max="180"
+                       placeholder="${I18n.t('longitude')}" data-i18n-placeholder="longitude">
+                <input type="text" id="plan-fix-name" maxlength="8"
+                       placeholder="${I18n.t('fixName')}" data-i18n-placeholder="fixName">
+                <button class="plan-btn" onclick="Airports.addFlightPlanFix()">
+                    <span data-i18n="addFix">${I18n.t('addFix')}</span>
+                </button>
+            </div>
+            <div class="info-row plan-total">
+                <span class="info-label" data-i18n="totalDistance">${I18n.t('totalDistance')}</span>
+                <span class="info-value">${Units.format(FlightPlan.getTotalDistance(), 'distance')}</span>
+            </div>
+            <div class="plan-actions">
+                <button class="action-btn primary" onclick="Airports.flyFlightPlan()" ${FlightPlan.isFlyable() ? '' : 'disabled'}>
+                    <span data-i18n="flyFlightPlan">${I18n.t('flyFlightPlan')}</span>
+                </button>
+                <button class="action-btn secondary" onclick="document.getElementById('plan-import-file').click()">
+                    <span data-i18n="importRoute">${I18n.t('importRoute')}</span>
+                </button>
+                <button class="action-btn secondary" onclick="FlightPlan.clear()">
+                    <span data-i18n="clearFlightPlan">${I18n.t('clearFlightPlan')}</span>
+                </button>
+                <input type="file" id="plan-import-file" accept=".gpx,.kml" hidden
+                       onchange="RouteImport.importFile(this.files[0])">
+            </div>
+        `;
+        
+        // Rows are built as elements: fix names can come from imported route files
+        const list = document.getElementById('plan-waypoints');
+        const legs = FlightPlan.getLegs();
+        FlightPlan.waypoints.forEach((waypoint, index) => {
+            const isActive = FlightPlan.active && index === FlightPlan.activeIndex;
+            list.appendChild(this.createFlightPlanRow(waypoint, index, legs[index - 1], isActive));
+        });
+    },
+    
+    /**
+     * Create one waypoint row of the flight plan editor
+     * @param {Object} waypoint
+     * @param {number} index
+     * @param {Object} leg - Leg arriving at the waypoint; none for the departure
+     * @param {boolean} isActive - Whether the aircraft is flying towards it
+     * @returns {HTMLElement}
+     */
+    createFlightPlanRow(waypoint, index, leg, isActive) {
+        const row = document.createElement('div');
+        row.className = `plan-waypoint ${waypoint.type}${isActive ? ' active' : ''}`;
+        
+        const number = document.createElement('span');
+        number.className = 'plan-index';
+        number.textContent = index + 1;
+        
+        const ident = document.createElement('span');
+        ident.className = 'plan-ident';
+        ident.textContent = waypoint.name;
+        
+        const legInfo = document.createElement('span');
+        legInfo.className = 'plan-leg';
+        if (leg) {
+            legInfo.textContent = `${Units.format(leg.distance, 'distance')} · ${Math.round(leg.bearing).toString().padStart(3, '0')}°`;
+        } else {
+            const departure = document.createElement('span');
+            departure.setAttribute('data-i18n', 'departure');
+            departure.textContent = I18n.t('departure');
+            legInfo.appendChild(departure);
+        }
+        
+        row.append(number, ident, legInfo);
+        
+        const actions = [
+            ['↑', () => FlightPlan.moveWaypoint(index, -1)],
+            ['↓', () => FlightPlan.moveWaypoint(index, 1)],
+            ['×', () => FlightPlan.removeWaypoint(index)]
+        ];
+        actions.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'plan-btn';
+            button.textContent = label;
+            button.addEventListener('click', action);
+            row.appendChild(button);
+        });
+        
+        return row;
+    },
+    
+    /**
+     * Add the fix typed into the planning panel
+     */
+    addFlightPlanFix() {
+        const lat = parseFloat(document.getElementById('plan-fix-lat').value);
+        const lon = parseFloat(document.getElementById('plan-fix-lon').value);
+        const name = document.getElementById('plan-fix-name').value.trim().toUpperCase();
+        
+        if (!FlightPlan.addFix(lat, lon, name)) {
+            HUD.showMessage(I18n.t('invalidFix'));
+        }
+    },
+    
+    /**
+     * Take off and fly the flight plan
+     */
+    flyFlightPlan() {
+        if (!FlightPlan.isFlyable()) {
+            HUD.showMessage(I18n.t('flightPlanNeedsDeparture'));
+            return;
+        }
+        
+        this.hideMenu();
+        FlightPlan.fly();
+    },
+    
     /**
      * Hide airport menu
      */
@@ -460,6 +779,13 @@ const Airports = {
      * @param {string} icao
      */
     selectFromMenu(icao) {
+        // Planning adds to the flight plan and keeps the menu open
+        if (this.menuMode === 'plan') {
+            const airport = this.data.find(a => a.icao === icao);
+            if (airport) FlightPlan.addAirport(airport);
+            return;
+        }
+        
         this.hideMenu();
         
         const airport = this.data.find(a => a.icao === icao);
@@ -477,6 +803,16 @@ const Airports = {
         }
     },
     
+    /**
+     * Show or hide an airport's marker, e.g. while its surface is drawn in its place
+     * @param {string} icao - ICAO code
+     * @param {boolean} visible
+     */
+    setMarkerVisible(icao, visible) {
+        const marker = this.markers.find(m => m.userData.airport.icao === icao);
+        if (marker) marker.visible = visible;
+    },
+    
     /**
      * Get markers group
      * @returns {THREE.Group}
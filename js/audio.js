@@ -39,6 +39,12 @@ const Audio = {
         enabled: true
     },
     
+    // Repeating alert while any flight envelope warning is active
+    warningAlert: {
+        interval: 1.5, // seconds
+        timer: 0
+    },
+    
     /**
      * Initialize audio system
      */
@@ -115,6 +121,52 @@ const Audio = {
         window.addEventListener('flightPhaseChanged', (e) => {
             this.onFlightPhaseChanged(e.detail.phase);
         });
+        
+        window.addEventListener('landed', () => {
+            this.stopEngineSound();
+            this.stopWindSound();
+        });
+        
+        window.addEventListener('crashed', () => {
+            this.stopEngineSound();
+            this.stopWindSound();
+            this.playCrash();
+        });
+        
+        window.addEventListener('respawned', () => {
+            this.startEngineSound();
+            this.startWindSound();
+        });
+        
+        window.addEventListener('fuelLow', () => {
+            this.playNotification('warning');
+        });
+        
+        window.addEventListener('fuelExhausted', () => {
+            this.playNotification('alert');
+            this.stopEngineSound();
+        });
+        
+        window.addEventListener('autopilotChanged', (e) => {
+            if (e.detail.reason === 'pilot' || e.detail.reason === 'approach') {
+                this.playNotification('warning');
+            }
+        });
+        
+        window.addEventListener('failure', () => {
+            this.playNotification('alert');
+        });
+        
+        window.addEventListener('flightWarning', (e) => {
+            if (e.detail.active) {
+                this.playNotification('alert');
+                this.warningAlert.timer = 0;
+            }
+        });
+        
+        window.addEventListener('trafficAdvisory', (e) => {
+            if (e.detail.active) this.playNotification('warning');
+        });
     },
     
     /**
@@ -286,6 +338,17 @@ const Audio = {
                 );
             }
         }
+        
+        // Keep sounding the alert until the warnings clear
+        if (aircraft.getActiveWarnings().length > 0) {
+            this.warningAlert.timer += deltaTime;
+            if (this.warningAlert.timer >= this.warningAlert.interval) {
+                this.warningAlert.timer = 0;
+                this.playNotification('alert');
+            }
+        } else {
+            this.warningAlert.timer = 0;
+        }
     },
     
     /**
@@ -317,6 +380,21 @@ const Audio = {
                     this.engineSound.gain.gain.setTargetAtTime(0.5, this.context.currentTime, 0.5);
                 }
                 break;
+                
+            case 'descending':
+            case 'landing':
+                // Throttled back for the arrival
+                if (this.engineSound.gain) {
+                    this.engineSound.gain.gain.setTargetAtTime(0.35, this.context.currentTime, 0.5);
+                }
+                break;
+                
+            case 'rollout':
+                // Reverse thrust roar
+                if (this.engineSound.gain) {
+                    this.engineSound.gain.gain.setTargetAtTime(0.6, this.context.currentTime, 0.2);
+                }
+                break;
         }
     },
     
@@ -364,6 +442,55 @@ const Audio = {
         }
     },
     
+    /**
+     * Play the impact sound: a burst of low-passed noise over a falling rumble
+     */
+    playCrash() {
+        if (!this.settings.enabled || !this.context) return;
+        if (this.context.state === 'suspended') return;
+        
+        try {
+            const now = this.context.currentTime;
+            const duration = 2;
+            
+            // Decaying noise burst
+            const bufferSize = Math.floor(this.context.sampleRate * duration);
+            const buffer = this.context.createBuffer(1, bufferSize, this.context.sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < bufferSize; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 3);
+            }
+            
+            const noise = this.context.createBufferSource();
+            noise.buffer = buffer;
+            
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(2000, now);
+            filter.frequency.exponentialRampToValueAtTime(200, now + duration);
+            
+            const rumble = this.context.createOscillator();
+            rumble.type = 'sawtooth';
+            rumble.frequency.setValueAtTime(80, now);
+            rumble.frequency.exponentialRampToValueAtTime(30, now + duration);
+            
+            const gain = this.context.createGain();
+            gain.gain.setValueAtTime(0.8, now);
+            gain.gain.exponentialRampToValueAtTime(0.01, now + duration);
+            
+            noise.connect(filter);
+            rumble.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.channels.effects);
+            
+            noise.start(now);
+            rumble.start(now);
+            rumble.stop(now + duration);
+        } catch (error) {
+            // Ignore crash sound errors
+        }
+    },
+    
     /**
      * Set master volume
      * @param {number} volume - 0 to 1
@@ -0,0 +1,302 @@
+/**
+ * Sky Flight - Autopilot Module
+ * Heading, altitude, speed and NAV hold modes driving Aircraft.setInput
+ */
+
+const Autopilot = {
+    engaged: false,
+    
+    // Engaged modes; NAV replaces heading hold with the great-circle bearing to the next waypoint
+    modes: {
+        heading: false,
+        altitude: false,
+        speed: false,
+        nav: false
+    },
+    
+    // Hold targets
+    targets: {
+        heading: 0, // degrees
+        altitude: 0, // km
+        speed: 0 // km/h
+    },
+    
+    // Pilot input beyond this on any axis takes over from the autopilot
+    disengageThreshold: 0.5,
+    
+    // Mode limits
+    limits: {
+        maxBank: 25, // degrees
+        maxPathAngle: 5, // degrees of climb or descent
+        maxPathCorrection: 5 // degrees of pitch on top of the path angle
+    },
+    
+    controllers: {},
+    
+    /**
+     * Initialize autopilot
+     */
+    init() {
+        this.controllers = {
+            heading: this.createPID(1.5, 0, 0.8, this.limits.maxBank), // heading error → bank
+            altitude: this.createPID(10, 0, 5, this.limits.maxPathAngle), // altitude error → path angle
+            path: this.createPID(0.8, 0.2, 0, this.limits.maxPathCorrection), // path angle error → pitch
+            speed: this.createPID(0.02, 0, 0.05, 1) // speed error → throttle input
+        };
+        
+        // A new flight starts hand-flown
+        window.addEventListener('takeoff', () => {
+            this.disengage();
+        });
+        
+        window.addEventListener('landed', () => {
+            this.disengage();
+        });
+        
+        window.addEventListener('crashed', () => {
+            this.disengage();
+        });
+        
+        // The approach is flown by the arrival sequence
+        window.addEventListener('flightPhaseChanged', (e) => {
+            if (e.detail.phase === 'landing' && this.engaged) {
+                this.disengage('approach');
+            }
+        });
+    },
+    
+    /**
+     * Create a PID controller
+     * @param {number} kp - Proportional gain
+     * @param {number} ki - Integral gain
+     * @param {number} kd - Derivative gain
+     * @param {number} limit - Output magnitude limit
+     * @returns {Object} Controller with update(error, deltaTime) and reset()
+     */
+    createPID(kp, ki, kd, limit) {
+        return {
+            kp, ki, kd, limit,
+            integral: 0,
+            lastError: null,
+            
+            update(error, deltaTime) {
+                const derivative = this.lastError === null || deltaTime <= 0
+                    ? 0
+                    : (error - this.lastError) / deltaTime;
+                this.lastError = error;
+                
+                // Clamp the integral so it cannot wind up beyond the output limit
+                if (this.ki > 0) {
+                    this.integral = Math.max(-this.limit / this.ki,
+                        Math.min(this.limit / this.ki, this.integral + error * deltaTime));
+                }
+                
+                const output = this.kp * error + this.ki * this.integral + this.kd * derivative;
+                return Math.max(-this.limit, Math.min(this.limit, output));
+            },
+            
+            reset() {
+                this.integral = 0;
+                this.lastError = null;
+            }
+        };
+    },
+    
+    /**
+     * Check whether the aircraft is in a phase the autopilot can fly, with electrical power
+     * @returns {boolean}
+     */
+    isAvailable() {
+        const phase = Aircraft.getFlightPhase();
+        return Aircraft.state.isFlying && !Aircraft.state.electricalFailed &&
+            (phase === 'flying' || phase === 'descending');
+    },
+    
+    /**
+     * Engage heading, altitude and speed hold at the current values
+     * @returns {boolean} Whether the autopilot engaged
+     */
+    engage() {
+        if (!this.isAvailable()) return false;
+        
+        const state = Aircraft.getState();
+        this.targets.heading = Math.round(state.heading) % 360;
+        this.targets.altitude = state.altitude;
+        this.targets.speed = Math.round(state.speed);
+        
+        this.modes.heading = true;
+        this.modes.altitude = true;
+        this.modes.speed = !state.engineOut;
+        this.modes.nav = false;
+        
+        this.resetControllers();
+        this.engaged = true;
+        this.dispatchChange();
+        return true;
+    },
+    
+    /**
+     * Disengage all modes
+     * @param {string} reason - 'pilot', 'approach' or undefined when switched off
+     */
+    disengage(reason) {
+        const wasEngaged = this.engaged;
+        
+        this.engaged = false;
+        this.modes.heading = false;
+        this.modes.altitude = false;
+        this.modes.speed = false;
+        this.modes.nav = false;
+        
+        if (wasEngaged) {
+            this.dispatchChange(reason);
+        }
+    },
+    
+    /**
+     * Toggle autopilot master
+     */
+    toggle() {
+        if (this.engaged) {
+            this.disengage();
+        } else {
+            this.engage();
+        }
+    },
+    
+    /**
+     * Toggle NAV mode, engaging the autopilot if needed
+     */
+    toggleNav() {
+        if (this.modes.nav) {
+            // Hold the current heading when leaving NAV
+            this.modes.nav = false;
+            this.targets.heading = Math.round(Aircraft.getState().heading) % 360;
+            this.dispatchChange();
+            return;
+        }
+        
+        if (!Aircraft.getNavGuidance()) {
+            window.dispatchEvent(new CustomEvent('autopilotChanged', {
+                detail: { ...this.getStatus(), reason: 'noDestination' }
+            }));
+            return;
+        }
+        
+        if (!this.engaged && !this.engage()) return;
+        
+        this.modes.nav = true;
+        this.controllers.heading.reset();
+        this.dispatchChange();
+    },
+    
+    /**
+     * Set a hold target
+     * @param {string} mode - 'heading', 'altitude' or 'speed'
+     * @param {number} value
+     */
+    setTarget(mode, value) {
+        if (!(mode in this.targets)) return;
+        
+        this.targets[mode] = mode === 'heading' ? ((value % 360) + 360) % 360 : value;
+        this.controllers[mode].reset();
+        this.dispatchChange();
+    },
+    
+    /**
+     * Reset all controllers
+     */
+    resetControllers() {
+        Object.values(this.controllers).forEach(controller => controller.reset());
+    },
+    
+    /**
+     * Combine pilot input with autopilot commands
+     * @param {Object} pilotInput - Control output { pitch, roll, yaw, throttle }
+     * @param {number} deltaTime
+     * @returns {Object} Input for Aircraft.setInput
+     */
+    update(pilotInput, deltaTime) {
+        const input = { ...pilotInput };
+        if (!this.engaged) return input;
+        
+        if (!this.isAvailable()) {
+            this.disengage();
+            return input;
+        }
+        
+        // Strong stick input hands control back to the pilot
+        const stick = Math.max(Math.abs(input.pitch), Math.abs(input.roll), Math.abs(input.yaw));
+        if (stick >= this.disengageThreshold) {
+            this.disengage('pilot');
+            return input;
+        }
+        
+        // Moving the throttle only drops the autothrottle
+        if (this.modes.speed && Math.abs(input.throttle) >= this.disengageThreshold) {
+            this.modes.speed = false;
+            this.dispatchChange('pilot');
+        }
+        
+        const state = Aircraft.getState();
+        const phase = Aircraft.getFlightPhase();
+        
+        // Lateral: heading or NAV bearing → bank → roll input
+        if (this.modes.heading || this.modes.nav) {
+            let targetHeading = this.targets.heading;
+            if (this.modes.nav) {
+                const guidance = Aircraft.getNavGuidance();
+                if (guidance) {
+                    // Crab into the wind so the track, not the nose, points at the waypoint
+                    targetHeading = guidance.bearing + Aircraft.getWindCorrectionAngle(guidance.bearing);
+                } else {
+                    this.toggleNav();
+                }
+            }
+            
+            const headingError = ((targetHeading - state.heading + 540) % 360) - 180;
+            const targetBank = this.controllers.heading.update(headingError, deltaTime);
+            input.roll = THREE.MathUtils.clamp((targetBank - state.roll) / 10, -1, 1);
+        }
+        
+        // Vertical and speed modes stand by while the arrival sequence manages the descent
+        if (phase !== 'flying') return input;
+        
+        // Vertical: altitude → flight path angle → pitch input
+        if (this.modes.altitude) {
+            const targetPath = this.controllers.altitude.update(this.targets.altitude - state.altitude, deltaTime);
+            const correction = this.controllers.path.update(targetPath - state.flightPathAngle, deltaTime);
+            const targetPitch = targetPath + Aircraft.getTrimAngleOfAttack() + correction;
+            input.pitch = THREE.MathUtils.clamp((targetPitch - state.pitch) / 5, -1, 1);
+        }
+        
+        // Speed: speed error → throttle lever movement
+        if (this.modes.speed) {
+            input.throttle = this.controllers.speed.update(this.targets.speed - state.speed, deltaTime);
+        }
+        
+        return input;
+    },
+    
+    /**
+     * Get autopilot status for display
+     * @returns {Object} { engaged, modes, targets }
+     */
+    getStatus() {
+        return {
+            engaged: this.engaged,
+            modes: { ...this.modes },
+            targets: { ...this.targets }
+        };
+    },
+    
+    /**
+     * Notify listeners of a mode change
+     * @param {string} reason - Why the change happened, if not requested by the pilot
+     */
+    dispatchChange(reason) {
+        window.dispatchEvent(new CustomEvent('autopilotChanged', {
+            detail: { ...this.getStatus(), reason }
+        }));
+    }
+};
@@ -27,6 +27,15 @@ const Camera = {
         }
     },
     
+    // Low chase position while the aircraft is on the ground, blended in and out of the third-person view
+    groundSettings: {
+        distance: 3.5,
+        height: 0.5,
+        blendRate: 1.5 // share of the blend per second
+    },
+    groundPhases: ['taxiing', 'takeoff_roll', 'rollout'],
+    groundBlend: 0,
+    
     // Transition state
     transition: {
         active: false,
@@ -149,12 +158,20 @@ const Camera = {
         const flightPhase = aircraft.getFlightPhase();
         if (flightPhase === 'takeoff_roll' || flightPhase === 'climbing') {
             this.shake.intensity = 0.05;
-        } else if (flightPhase === 'taxiing') {
+        } else if (flightPhase === 'taxiing' || flightPhase === 'rollout') {
             this.shake.intensity = 0.02;
         } else {
             this.shake.intensity = THREE.MathUtils.lerp(this.shake.intensity, 0, 0.05);
         }
         
+        // Ease down to the ground camera while taxiing and rolling
+        const groundTarget = this.groundPhases.includes(flightPhase) ? 1 : 0;
+        const blendStep = this.groundSettings.blendRate * deltaTime;
+        this.groundBlend += THREE.MathUtils.clamp(groundTarget - this.groundBlend, -blendStep, blendStep);
+        
+        // Stall and overspeed buffet
+        this.shake.intensity = Math.max(this.shake.intensity, aircraft.state.buffet * 0.08);
+        
         this.shake.time += deltaTime * 20;
         
         // Get aircraft position and orientation
@@ -165,26 +182,34 @@ const Camera = {
         if (this.currentView === 'cockpit') {
             // First person - inside cockpit
             const cockpitOffset = new THREE.Vector3(0.5, 0.2, 0);
+            cockpitOffset.applyQuaternion(aircraft.mesh.quaternion);
             cockpitOffset.applyQuaternion(aircraft.group.quaternion);
             
             this.camera.position.copy(aircraftPos).add(cockpitOffset);
             
             // Look in flight direction
             const forward = new THREE.Vector3(1, 0, 0);
-            forward.applyQuaternion(aircraft.group.quaternion);
             forward.applyEuler(aircraft.mesh.rotation);
+            forward.applyQuaternion(aircraft.group.quaternion);
+            
+            // Roll with the airframe, so the horizon turns over in a roll or loop
+            const cockpitUp = new THREE.Vector3(0, 1, 0);
+            cockpitUp.applyQuaternion(aircraft.mesh.quaternion);
+            cockpitUp.applyQuaternion(aircraft.group.quaternion);
             
             const lookAtPos = this.camera.position.clone().add(forward.multiplyScalar(10));
+            this.camera.up.copy(cockpitUp);
             this.camera.lookAt(lookAtPos);
-            this.camera.up.copy(up);
             
         } else if (this.currentView === 'thirdPerson') {
             // Third person - behind and above aircraft
             const backward = new THREE.Vector3(-1, 0, 0);
             backward.applyQuaternion(aircraft.group.quaternion);
             
-            const upOffset = up.clone().multiplyScalar(this.state.height);
-            const backOffset = backward.multiplyScalar(this.state.distance);
+            const distance = THREE.MathUtils.lerp(this.state.distance, this.groundSettings.distance, this.groundBlend);
+            const height = THREE.MathUtils.lerp(this.state.height, this.groundSettings.height, this.groundBlend);
+            const upOffset = up.clone().multiplyScalar(height);
+            const backOffset = backward.multiplyScalar(distance);
             
             const targetPos = aircraftPos.clone()
                 .add(upOffset)
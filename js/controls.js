@@ -25,14 +25,22 @@ const Controls = {
         pitch: 0,
         roll: 0,
         yaw: 0,
-        throttle: 0
+        throttle: 0,
+        brake: 0
     },
     
     // Callbacks
     callbacks: {
         onViewChange: null,
         onMenuOpen: null,
-        onStabilize: null
+        onStabilize: null,
+        onAutopilotToggle: null,
+        onNavToggle: null,
+        onGearToggle: null,
+        onFlapsChange: null,
+        onSpoilersToggle: null,
+        onTimeRateChange: null,
+        onTakeoffRoll: null
     },
     
     /**
@@ -66,6 +74,9 @@ const Controls = {
      */
     setupKeyboardControls() {
         document.addEventListener('keydown', (e) => {
+            // Typing in a text field (search, chat) doesn't fly the aircraft
+            if (e.target.closest && e.target.closest('input, textarea')) return;
+            
             this.keys[e.code] = true;
             
             // Handle special keys
@@ -85,10 +96,55 @@ const Controls = {
                         this.callbacks.onStabilize();
                     }
                     break;
+                case 'KeyP':
+                    if (this.callbacks.onAutopilotToggle) {
+                        this.callbacks.onAutopilotToggle();
+                    }
+                    break;
+                case 'KeyN':
+                    if (this.callbacks.onNavToggle) {
+                        this.callbacks.onNavToggle();
+                    }
+                    break;
+                case 'KeyG':
+                    if (this.callbacks.onGearToggle) {
+                        this.callbacks.onGearToggle();
+                    }
+                    break;
+                case 'KeyF':
+                    if (this.callbacks.onFlapsChange) {
+                        this.callbacks.onFlapsChange(1);
+                    }
+                    break;
+                case 'KeyR':
+                    if (this.callbacks.onFlapsChange) {
+                        this.callbacks.onFlapsChange(-1);
+                    }
+                    break;
+                case 'Slash':
+                    if (this.callbacks.onSpoilersToggle) {
+                        this.callbacks.onSpoilersToggle();
+                    }
+                    break;
+                case 'BracketRight':
+                    if (this.callbacks.onTimeRateChange) {
+                        this.callbacks.onTimeRateChange(1);
+                    }
+                    break;
+                case 'BracketLeft':
+                    if (this.callbacks.onTimeRateChange) {
+                        this.callbacks.onTimeRateChange(-1);
+                    }
+                    break;
+                case 'KeyT':
+                    if (this.callbacks.onTakeoffRoll) {
+                        this.callbacks.onTakeoffRoll();
+                    }
+                    break;
             }
             
             // Prevent default for game controls
-            if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) {
+            if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Slash'].includes(e.code)) {
                 e.preventDefault();
             }
         });
@@ -272,10 +328,74 @@ const Controls = {
             }
         });
         
+        // Autopilot buttons
+        const autopilotBtn = document.createElement('button');
+        autopilotBtn.className = 'mobile-btn autopilot-btn';
+        autopilotBtn.innerHTML = 'AP';
+        autopilotBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.callbacks.onAutopilotToggle) {
+                this.callbacks.onAutopilotToggle();
+            }
+        });
+        
+        const navBtn = document.createElement('button');
+        navBtn.className = 'mobile-btn autopilot-btn';
+        navBtn.innerHTML = 'NAV';
+        navBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.callbacks.onNavToggle) {
+                this.callbacks.onNavToggle();
+            }
+        });
+        
+        buttonsContainer.appendChild(autopilotBtn);
+        buttonsContainer.appendChild(navBtn);
         buttonsContainer.appendChild(accelBtn);
         buttonsContainer.appendChild(stabilizeBtn);
         buttonsContainer.appendChild(decelBtn);
         document.body.appendChild(buttonsContainer);
+        
+        // Gear, flap, spoiler and time acceleration buttons
+        const systemsContainer = document.createElement('div');
+        systemsContainer.id = 'mobile-systems';
+        systemsContainer.className = 'mobile-buttons mobile-systems';
+        
+        const systemButtons = [
+            { label: 'GEAR', action: () => this.callbacks.onGearToggle && this.callbacks.onGearToggle() },
+            { label: 'FLAP<br>+', action: () => this.callbacks.onFlapsChange && this.callbacks.onFlapsChange(1) },
+            { label: 'FLAP<br>−', action: () => this.callbacks.onFlapsChange && this.callbacks.onFlapsChange(-1) },
+            { label: 'SPLR', action: () => this.callbacks.onSpoilersToggle && this.callbacks.onSpoilersToggle() },
+            { label: 'TIME<br>⏩', action: () => this.callbacks.onTimeRateChange && this.callbacks.onTimeRateChange(0) },
+            { label: 'T/O', action: () => this.callbacks.onTakeoffRoll && this.callbacks.onTakeoffRoll() }
+        ];
+        
+        systemButtons.forEach(({ label, action }) => {
+            const button = document.createElement('button');
+            button.className = 'mobile-btn system-btn';
+            button.innerHTML = label;
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                action();
+            });
+            systemsContainer.appendChild(button);
+        });
+        
+        // Wheel brakes, held while taxiing
+        const brakeBtn = document.createElement('button');
+        brakeBtn.className = 'mobile-btn system-btn brake-btn';
+        brakeBtn.innerHTML = 'BRK';
+        brakeBtn.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.output.brake = 1;
+        });
+        brakeBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            this.output.brake = 0;
+        });
+        systemsContainer.appendChild(brakeBtn);
+        
+        document.body.appendChild(systemsContainer);
     },
     
     /**
@@ -315,6 +435,7 @@ const Controls = {
             this.output.roll = 0;
             this.output.yaw = 0;
             this.output.throttle = 0;
+            this.output.brake = 0;
             
             // Pitch
             if (this.keys['KeyW'] || this.keys['ArrowUp']) {
@@ -347,6 +468,11 @@ const Controls = {
             if (this.keys['ControlLeft'] || this.keys['ControlRight']) {
                 this.output.throttle = -1;
             }
+            
+            // Wheel brakes, held
+            if (this.keys['KeyB']) {
+                this.output.brake = 1;
+            }
         } else if (Settings.get('controlMode') === 'gyroscope') {
             // Gyroscope controls (phone orientation)
             // Beta = pitch (front/back tilt)
@@ -383,6 +509,62 @@ const Controls = {
         this.callbacks.onStabilize = callback;
     },
     
+    /**
+     * Set callback for autopilot master toggle
+     * @param {Function} callback
+     */
+    onAutopilotToggle(callback) {
+        this.callbacks.onAutopilotToggle = callback;
+    },
+    
+    /**
+     * Set callback for NAV mode toggle
+     * @param {Function} callback
+     */
+    onNavToggle(callback) {
+        this.callbacks.onNavToggle = callback;
+    },
+    
+    /**
+     * Set callback for landing gear toggle
+     * @param {Function} callback
+     */
+    onGearToggle(callback) {
+        this.callbacks.onGearToggle = callback;
+    },
+    
+    /**
+     * Set callback for flap changes, called with 1 to extend or -1 to retract
+     * @param {Function} callback
+     */
+    onFlapsChange(callback) {
+        this.callbacks.onFlapsChange = callback;
+    },
+    
+    /**
+     * Set callback for spoiler toggle
+     * @param {Function} callback
+     */
+    onSpoilersToggle(callback) {
+        this.callbacks.onSpoilersToggle = callback;
+    },
+    
+    /**
+     * Set callback for time acceleration, called with 1 for faster, -1 for slower or 0 to cycle
+     * @param {Function} callback
+     */
+    onTimeRateChange(callback) {
+        this.callbacks.onTimeRateChange = callback;
+    },
+    
+    /**
+     * Set callback for starting the takeoff roll
+     * @param {Function} callback
+     */
+    onTakeoffRoll(callback) {
+        this.callbacks.onTakeoffRoll = callback;
+    },
+    
     /**
      * Show or hide mobile controls
      * @param {boolean} show
@@ -390,8 +572,10 @@ const Controls = {
     showMobileControls(show) {
         const joystick = document.getElementById('joystick-container');
         const buttons = document.getElementById('mobile-buttons');
+        const systems = document.getElementById('mobile-systems');
         
         if (joystick) joystick.style.display = show ? 'block' : 'none';
         if (buttons) buttons.style.display = show ? 'flex' : 'none';
+        if (systems) systems.style.display = show ? 'flex' : 'none';
     }
 };
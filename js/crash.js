@@ -0,0 +1,278 @@
+/**
+ * Sky Flight - Crash Module
+ * Impact effect, crash report and the ways back into the air
+ */
+
+const Crash = {
+    scene: null,
+    effect: null,
+    
+    // Effect settings
+    settings: {
+        particleCount: 150,
+        particleSpeed: 3, // scene units per second
+        fireballSize: 1.5, // scene units at full size
+        duration: 4, // seconds
+        reportDelay: 1500 // ms before the report appears
+    },
+    
+    // Report text for each crash cause
+    causeKeys: {
+        terrain: 'crashTerrain',
+        hardLanding: 'crashHardLanding',
+        gearUp: 'crashGearUp',
+        structuralFailure: 'crashStructuralFailure'
+    },
+    
+    /**
+     * Initialize crash handling
+     * @param {THREE.Scene} scene
+     */
+    init(scene) {
+        this.scene = scene;
+        
+        window.addEventListener('crashed', (e) => {
+            this.createEffect(e.detail.position);
+            
+            setTimeout(() => this.showReport(e.detail.crash), this.settings.reportDelay);
+        });
+        
+        // A new flight clears any wreckage still burning
+        window.addEventListener('takeoff', () => {
+            this.removeEffect();
+        });
+    },
+    
+    /**
+     * Create the fireball and debris burst at the impact point
+     * @param {THREE.Vector3} position
+     */
+    createEffect(position) {
+        this.removeEffect();
+        
+        const group = new THREE.Group();
+        group.position.copy(position);
+        
+        // Fireball
+        const fireball = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({
+                color: 0xff6600,
+                transparent: true,
+                opacity: 1,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false
+            })
+        );
+        fireball.scale.setScalar(0.01);
+        group.add(fireball);
+        
+        // Debris thrown outwards, mostly away from the surface
+        const count = this.settings.particleCount;
+        const positions = new Float32Array(count * 3);
+        const velocities = [];
+        const up = position.clone().normalize();
+        
+        for (let i = 0; i < count; i++) {
+            const direction = new THREE.Vector3(
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1
+            ).normalize().addScaledVector(up, 0.8).normalize();
+            velocities.push(direction.multiplyScalar(this.settings.particleSpeed * (0.3 + Math.random() * 0.7)));
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const debris = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xffaa33,
+            size: 0.15,
+            transparent: true,
+            opacity: 1,
+            depthWrite: false
+        }));
+        debris.frustumCulled = false;
+        group.add(debris);
+        
+        this.scene.add(group);
+        this.effect = { group, fireball, debris, velocities, up, age: 0 };
+    },
+    
+    /**
+     * Animate the impact effect
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        if (!this.effect) return;
+        
+        const effect = this.effect;
+        effect.age += deltaTime;
+        const t = Math.min(effect.age / this.settings.duration, 1);
+        
+        // Fireball swells quickly, then fades
+        const growth = Math.min(effect.age / 0.4, 1);
+        effect.fireball.scale.setScalar(this.settings.fireballSize * (0.2 + 0.8 * growth));
+        effect.fireball.material.opacity = 1 - t;
+        effect.fireball.material.color.setHSL(0.08 * (1 - t), 1, 0.5 * (1 - t) + 0.1);
+        
+        // Debris flies out and falls back under a little gravity
+        const attribute = effect.debris.geometry.getAttribute('position');
+        const array = attribute.array;
+        effect.velocities.forEach((velocity, i) => {
+            velocity.addScaledVector(effect.up, -2 * deltaTime);
+            array[i * 3] += velocity.x * deltaTime;
+            array[i * 3 + 1] += velocity.y * deltaTime;
+            array[i * 3 + 2] += velocity.z * deltaTime;
+        });
+        attribute.needsUpdate = true;
+        effect.debris.material.opacity = 1 - t;
+        
+        if (t >= 1) {
+            this.removeEffect();
+        }
+    },
+    
+    /**
+     * Remove the impact effect from the scene
+     */
+    removeEffect() {
+        if (!this.effect) return;
+        
+        const { group, fireball, debris } = this.effect;
+        this.scene.remove(group);
+        fireball.geometry.dispose();
+        fireball.material.dispose();
+        debris.geometry.dispose();
+        debris.material.dispose();
+        this.effect = null;
+    },
+    
+    /**
+     * Show crash report
+     * @param {Object} crash - Crash record { cause, lat, lon, speed, verticalSpeed, bank }
+     */
+    showReport(crash) {
+        const existing = document.getElementById('crash-report');
+        if (existing) existing.remove();
+        
+        const state = Aircraft.getState();
+        const stats = Aircraft.getStats();
+        const causeKey = this.causeKeys[crash.cause] || 'crashTerrain';
+        const departure = state.takeoffAirport;
+        
+        const panel = document.createElement('div');
+        panel.id = 'crash-report';
+        panel.className = 'modal-overlay';
+        
+        panel.innerHTML = `
+            <div class="modal-content summary-content">
+                <div class="modal-header">
+                    <h2 data-i18n="crashReport">${I18n.t('crashReport')}</h2>
+                </div>
+                
+                <div class="crash-cause" data-i18n="${causeKey}">${I18n.t(causeKey)}</div>
+                
+                <div class="summary-section">
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="impactSpeed">${I18n.t('impactSpeed')}</span>
+                        <span class="info-value">${Units.format(crash.speed, 'speed')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="touchdownRate">${I18n.t('touchdownRate')}</span>
+                        <span class="info-value">${Units.format(crash.verticalSpeed * 3.6, 'verticalSpeed')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="bankAngle">${I18n.t('bankAngle')}</span>
+                        <span class="info-value">${Math.abs(crash.bank).toFixed(1)}°</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="crashLocation">${I18n.t('crashLocation')}</span>
+                        <span class="info-value">${crash.lat.toFixed(2)}°, ${crash.lon.toFixed(2)}°</span>
+                    </div>
+                </div>
+                
+                <div class="summary-section">
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="totalFlightTime">${I18n.t('totalFlightTime')}</span>
+                        <span class="info-value">${FlightSummary.formatTime(Aircraft.getFlightTime())}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="distanceFlown">${I18n.t('distanceFlown')}</span>
+                        <span class="info-value">${Units.format(stats.distanceFlown, 'distance')}</span>
+                    </div>
+                </div>
+                
+                <div class="summary-actions">
+                    ${departure ? `
+                    <button class="action-btn primary" onclick="Crash.restart()">
+                        <span data-i18n="restartFrom">${I18n.t('restartFrom')}</span> ${departure.iata}
+                    </button>` : ''}
+                    <button class="action-btn ${departure ? 'secondary' : 'primary'}" onclick="Crash.respawn()">
+                        <span data-i18n="respawnInAir">${I18n.t('respawnInAir')}</span>
+                    </button>
+                    <button class="action-btn secondary" onclick="Crash.chooseAirport()">
+                        <span data-i18n="chooseAirport">${I18n.t('chooseAirport')}</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+        
+        requestAnimationFrame(() => {
+            panel.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Hide crash report
+     */
+    hide() {
+        const panel = document.getElementById('crash-report');
+        if (panel) {
+            panel.classList.remove('visible');
+            setTimeout(() => panel.remove(), 300);
+        }
+    },
+    
+    /**
+     * Take off again from the last departure airport
+     */
+    restart() {
+        this.hide();
+        const state = Aircraft.getState();
+        Airports.takeoffFrom(state.takeoffAirport.icao, state.takeoffRunway && state.takeoffRunway.ident);
+    },
+    
+    /**
+     * Continue the flight in the air above the crash site
+     */
+    respawn() {
+        this.hide();
+        this.removeEffect();
+        Aircraft.respawn();
+        
+        HUD.show();
+        Camera.setView('thirdPerson', false);
+        
+        if (Settings.isMobile()) {
+            Controls.showMobileControls(true);
+        }
+        
+        window.dispatchEvent(new CustomEvent('respawned', {
+            detail: { position: Aircraft.getPosition() }
+        }));
+    },
+    
+    /**
+     * Return to the globe and pick a new departure airport
+     */
+    chooseAirport() {
+        this.hide();
+        FlightPlan.deactivate();
+        Airports.clearDestination();
+        Game.returnToGlobe();
+        Airports.showMenu();
+    }
+};
@@ -184,12 +184,12 @@ const Earth = {
     },
     
     /**
-     * Get local hour based on longitude
+     * Get local hour based on longitude, following the simulated clock so time acceleration advances the sun
      * @param {number} longitude - Longitude in degrees
      * @returns {number} Local hour (0-24)
      */
     getLocalHour(longitude) {
-        const now = new Date();
+        const now = Simulation.getDate();
         const utcHours = now.getUTCHours() + now.getUTCMinutes() / 60;
         const localHour = (utcHours + longitude / 15 + 24) % 24;
         return localHour;
@@ -225,11 +225,117 @@ const Earth = {
         const altitude = radius - this.sceneRadius;
         
         const lat = 90 - Math.acos(position.y / radius) * (180 / Math.PI);
-        const lon = ((Math.atan2(position.z, -position.x) * (180 / Math.PI)) - 180 + 360) % 360 - 180;
+        const lon = ((Math.atan2(position.z, -position.x) * (180 / Math.PI)) - 180 + 540) % 360 - 180;
         
         return { lat, lon, altitude };
     },
     
+    /**
+     * Great-circle distance between two points
+     * @param {number} lat1 - Latitude in degrees
+     * @param {number} lon1 - Longitude in degrees
+     * @param {number} lat2 - Latitude in degrees
+     * @param {number} lon2 - Longitude in degrees
+     * @returns {number} Distance in km
+     */
+    greatCircleDistance(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        
+        return 2 * this.radius * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+    
+    /**
+     * Initial bearing of the great circle from point 1 to point 2
+     * @param {number} lat1 - Latitude in degrees
+     * @param {number} lon1 - Longitude in degrees
+     * @param {number} lat2 - Latitude in degrees
+     * @param {number} lon2 - Longitude in degrees
+     * @returns {number} Bearing in degrees clockwise from north (0-360)
+     */
+    initialBearing(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const phi1 = lat1 * toRad;
+        const phi2 = lat2 * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        
+        const y = Math.sin(dLon) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        
+        return (Math.atan2(y, x) * (180 / Math.PI) + 360) % 360;
+    },
+    
+    /**
+     * Sample points along the great circle between two locations
+     * @param {number} lat1 - Latitude in degrees
+     * @param {number} lon1 - Longitude in degrees
+     * @param {number} lat2 - Latitude in degrees
+     * @param {number} lon2 - Longitude in degrees
+     * @param {number} altitude - Height above the surface in scene units
+     * @param {number} stepDegrees - Maximum arc between samples
+     * @returns {THREE.Vector3[]} Points including both ends
+     */
+    greatCirclePoints(lat1, lon1, lat2, lon2, altitude = 0, stepDegrees = 1) {
+        const start = this.latLonToVector3(lat1, lon1, 0).normalize();
+        const end = this.latLonToVector3(lat2, lon2, 0).normalize();
+        const angle = start.angleTo(end);
+        const segments = Math.max(1, Math.ceil(THREE.MathUtils.radToDeg(angle) / stepDegrees));
+        const radius = this.sceneRadius + altitude;
+        const points = [];
+        
+        // Antipodal ends have no unique great circle, and interpolating between them passes through
+        // the centre; take the one over the poles (or over longitude 0 when the ends are the poles)
+        let axis = null;
+        if (Math.sin(angle) < 1e-6 && angle > Math.PI / 2) {
+            const pole = Math.abs(start.y) > 0.99 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+            axis = new THREE.Vector3().crossVectors(start, pole).normalize();
+        }
+        
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            
+            // Spherical interpolation; coincident ends have no great circle to follow
+            let point;
+            if (axis) {
+                point = start.clone().applyAxisAngle(axis, t * angle);
+            } else if (Math.sin(angle) < 1e-6) {
+                point = start.clone().lerp(end, t);
+            } else {
+                const a = Math.sin((1 - t) * angle) / Math.sin(angle);
+                const b = Math.sin(t * angle) / Math.sin(angle);
+                point = start.clone().multiplyScalar(a).add(end.clone().multiplyScalar(b));
+            }
+            
+            points.push(point.normalize().multiplyScalar(radius));
+        }
+        
+        return points;
+    },
+    
+    /**
+     * Get local tangent frame (up, north, east) at a position
+     * @param {THREE.Vector3} position
+     * @returns {Object} { up, north, east } unit vectors
+     */
+    getLocalFrame(position) {
+        const up = position.clone().normalize();
+        const east = new THREE.Vector3(0, 1, 0).cross(up);
+        
+        // East is undefined exactly over a pole, pick a stable fallback
+        if (east.lengthSq() < 1e-12) {
+            east.set(0, 0, -1);
+        }
+        east.normalize();
+        
+        const north = new THREE.Vector3().crossVectors(up, east);
+        
+        return { up, north, east };
+    },
+    
     /**
      * Get Earth mesh
      * @returns {THREE.Mesh}
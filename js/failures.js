@@ -0,0 +1,256 @@
+/**
+ * Sky Flight - Failures Module
+ * Injects system failures on a schedule or at random for emergency training
+ */
+
+const Failures = {
+    // Failure types in menu order
+    types: ['engine', 'fuelLeak', 'hydraulic', 'instruments', 'electrical'],
+    
+    // Menu name and checklist text for each failure
+    nameKeys: {
+        engine: 'failureEngine',
+        fuelLeak: 'failureFuelLeak',
+        hydraulic: 'failureHydraulic',
+        instruments: 'failureInstruments',
+        electrical: 'failureElectrical'
+    },
+    checklistKeys: {
+        engine: 'checklistEngine',
+        fuelLeak: 'checklistFuelLeak',
+        hydraulic: 'checklistHydraulic',
+        instruments: 'checklistInstruments',
+        electrical: 'checklistElectrical'
+    },
+    
+    // Failure settings
+    settings: {
+        randomMeanTime: 600, // seconds between random failures on average
+        randomStartDelay: 60, // seconds after takeoff before random failures can strike
+        instrumentCount: 2, // instruments lost in an instrument failure
+        checklistDuration: 10000 // ms the checklist stays on screen
+    },
+    
+    // Trigger times offered in the scenario menu, seconds after takeoff (0 = never)
+    scheduleTimes: [0, 60, 180, 600],
+    
+    // Failures in effect this flight, and scheduled ones that have already struck
+    active: {},
+    triggered: {},
+    
+    /**
+     * Initialize failure handling
+     */
+    init() {
+        // A new flight starts with a healthy aircraft and re-arms the scenario
+        window.addEventListener('takeoff', () => {
+            this.triggered = {};
+            this.repairAll();
+        });
+        
+        // Respawning repairs the aircraft; scheduled failures do not strike again
+        window.addEventListener('respawned', () => {
+            this.repairAll();
+        });
+    },
+    
+    /**
+     * Get the training scenario
+     * @returns {Object} { mode: 'off' | 'random' | 'scheduled', schedule: { type: seconds } }
+     */
+    getScenario() {
+        return Settings.get('failureScenario');
+    },
+    
+    /**
+     * Trigger scheduled and random failures
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        const airborne = ['flying', 'descending', 'landing'];
+        if (!Aircraft.state.isFlying || !airborne.includes(Aircraft.getFlightPhase())) return;
+        
+        const scenario = this.getScenario();
+        const flightTime = Aircraft.getFlightTime();
+        
+        if (scenario.mode === 'scheduled') {
+            this.types.forEach(type => {
+                const time = scenario.schedule[type];
+                if (time > 0 && !this.triggered[type] && flightTime >= time) {
+                    this.trigger(type);
+                }
+            });
+        } else if (scenario.mode === 'random' && flightTime >= this.settings.randomStartDelay) {
+            if (Simulation.random() < deltaTime / this.settings.randomMeanTime) {
+                const candidates = this.types.filter(type => !this.active[type]);
+                if (candidates.length > 0) {
+                    this.trigger(candidates[Math.floor(Simulation.random() * candidates.length)]);
+                }
+            }
+        }
+    },
+    
+    /**
+     * Fail a system and show its checklist
+     * @param {string} type - One of this.types
+     * @returns {boolean} Whether the failure was new
+     */
+    trigger(type) {
+        if (!this.types.includes(type) || this.active[type]) return false;
+        
+        this.active[type] = true;
+        this.triggered[type] = true;
+        this.apply(type, true);
+        
+        HUD.showMessage(I18n.t(this.checklistKeys[type]), this.settings.checklistDuration);
+        
+        window.dispatchEvent(new CustomEvent('failure', {
+            detail: { type }
+        }));
+        return true;
+    },
+    
+    /**
+     * Apply or remove the effect of a failure
+     * @param {string} type
+     * @param {boolean} failed
+     */
+    apply(type, failed) {
+        if (type === 'instruments') {
+            HUD.setFailedInstruments(failed ? this.pickInstruments() : []);
+            return;
+        }
+        
+        Aircraft.setFailure(type, failed);
+        
+        if (type === 'electrical') {
+            HUD.setLighting(!failed);
+        }
+    },
+    
+    /**
+     * Choose which instruments go blank
+     * @returns {string[]} Instrument names
+     */
+    pickInstruments() {
+        const names = Object.keys(HUD.instruments);
+        for (let i = names.length - 1; i > 0; i--) {
+            const j = Math.floor(Simulation.random() * (i + 1));
+            [names[i], names[j]] = [names[j], names[i]];
+        }
+        return names.slice(0, this.settings.instrumentCount);
+    },
+    
+    /**
+     * Clear every active failure
+     */
+    repairAll() {
+        Object.keys(this.active).forEach(type => {
+            this.apply(type, false);
+        });
+        this.active = {};
+    },
+    
+    /**
+     * Get failures in effect
+     * @returns {string[]}
+     */
+    getActive() {
+        return Object.keys(this.active);
+    },
+    
+    /**
+     * Show the training scenario setup
+     */
+    showSetup() {
+        const existing = document.getElementById('failure-setup');
+        if (existing) existing.remove();
+        
+        const scenario = this.getScenario();
+        const modes = ['off', 'random', 'scheduled'];
+        const modeKeys = { off: 'scenarioOff', random: 'scenarioRandom', scheduled: 'scenarioScheduled' };
+        
+        const panel = document.createElement('div');
+        panel.id = 'failure-setup';
+        panel.className = 'modal-overlay';
+        
+        panel.innerHTML = `
+            <div class="modal-content settings-content">
+                <div class="modal-header">
+                    <h2 data-i18n="trainingScenario">${I18n.t('trainingScenario')}</h2>
+                    <button class="close-btn" onclick="Failures.hideSetup()">×</button>
+                </div>
+                
+                <div class="settings-section">
+                    <label data-i18n="failureMode">${I18n.t('failureMode')}</label>
+                    <div class="settings-options">
+                        ${modes.map(mode => `
+                        <button class="option-btn ${scenario.mode === mode ? 'active' : ''}"
+                                onclick="Failures.setMode('${mode}')" data-i18n="${modeKeys[mode]}">${I18n.t(modeKeys[mode])}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                
+                ${scenario.mode === 'scheduled' ? this.types.map(type => `
+                <div class="settings-section">
+                    <label data-i18n="${this.nameKeys[type]}">${I18n.t(this.nameKeys[type])}</label>
+                    <div class="settings-options">
+                        ${this.scheduleTimes.map(time => `
+                        <button class="option-btn ${(scenario.schedule[type] || 0) === time ? 'active' : ''}"
+                                onclick="Failures.setSchedule('${type}', ${time})">${time ? `${time / 60} min` : I18n.t('never')}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                `).join('') : ''}
+                
+                ${scenario.mode === 'random' ? `
+                <p class="scenario-note" data-i18n="scenarioRandomNote">${I18n.t('scenarioRandomNote')}</p>
+                ` : ''}
+                
+                <button class="close-modal-btn" onclick="Failures.hideSetup()">
+                    <span data-i18n="close">${I18n.t('close')}</span>
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+        
+        requestAnimationFrame(() => {
+            panel.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Hide the training scenario setup
+     */
+    hideSetup() {
+        const panel = document.getElementById('failure-setup');
+        if (panel) {
+            panel.classList.remove('visible');
+            setTimeout(() => panel.remove(), 300);
+        }
+    },
+    
+    /**
+     * Set how failures are triggered
+     * @param {string} mode - 'off', 'random' or 'scheduled'
+     */
+    setMode(mode) {
+        Settings.set('failureScenario', { ...this.getScenario(), mode });
+        this.showSetup();
+    },
+    
+    /**
+     * Schedule a failure
+     * @param {string} type
+     * @param {number} time - Seconds after takeoff, 0 for never
+     */
+    setSchedule(type, time) {
+        const scenario = this.getScenario();
+        Settings.set('failureScenario', {
+            ...scenario,
+            schedule: { ...scenario.schedule, [type]: time }
+        });
+        this.showSetup();
+    }
+};
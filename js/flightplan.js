@@ -0,0 +1,365 @@
+/**
+ * Sky Flight - Flight Plan Module
+ * Ordered waypoints joined by great-circle legs, with leg sequencing
+ */
+
+const FlightPlan = {
+    // Waypoints: { type: 'airport' | 'fix', ident, name, lat, lon, airport }
+    waypoints: [],
+    activeIndex: 0,
+    active: false,
+    pendingIndex: null, // leg to start once the takeoff from its departure actually happens
+    
+    // A fix counts as passed inside this distance or once it is behind the aircraft
+    sequenceRadius: 10, // km
+    abeamRadius: 50, // km
+    
+    /**
+     * Initialize flight plan
+     */
+    init() {
+        // Airports in the plan are stops: landing there completes the leg
+        window.addEventListener('landed', (e) => {
+            if (!this.active) return;
+            
+            const stop = this.getNextStopIndex();
+            const airport = e.detail.airport;
+            if (stop >= 0 && airport && this.waypoints[stop].ident === airport.icao) {
+                this.activeIndex = stop + 1;
+                this.dispatchChange();
+                
+                if (this.activeIndex >= this.waypoints.length) {
+                    this.deactivate();
+                }
+            }
+        });
+        
+        window.addEventListener('takeoff', (e) => {
+            const icao = e.detail.airport.icao;
+            
+            // A plan waits for its takeoff, since picking the runway or aircraft can still be cancelled
+            if (this.pendingIndex !== null) {
+                const index = this.pendingIndex;
+                const departure = this.waypoints[index - 1];
+                this.pendingIndex = null;
+                
+                if (departure && departure.ident === icao && index < this.waypoints.length) {
+                    this.activate(index);
+                    return;
+                }
+            }
+            
+            // Taking off anywhere but the current stop abandons the plan
+            if (!this.active) return;
+            
+            const departure = this.waypoints[this.activeIndex - 1];
+            if (!departure || departure.ident !== icao) {
+                this.deactivate();
+            }
+        });
+    },
+    
+    /**
+     * Add an airport waypoint
+     * @param {Object} airport - Airport data
+     */
+    addAirport(airport) {
+        this.waypoints.push({
+            type: 'airport',
+            ident: airport.icao,
+            name: airport.iata,
+            lat: airport.lat,
+            lon: airport.lon,
+            airport
+        });
+        this.onEdited();
+    },
+    
+    /**
+     * Add an arbitrary lat/lon fix
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {string} name - Optional fix name
+     * @returns {boolean} Whether the fix was valid
+     */
+    addFix(lat, lon, name) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return false;
+        }
+        
+        const ident = name || `WP${this.waypoints.length + 1}`;
+        this.waypoints.push({ type: 'fix', ident, name: ident, lat, lon, airport: null });
+        this.onEdited();
+        return true;
+    },
+    
+    /**
+     * Remove a waypoint
+     * @param {number} index
+     */
+    removeWaypoint(index) {
+        if (index < 0 || index >= this.waypoints.length) return;
+        
+        this.waypoints.splice(index, 1);
+        if (index < this.activeIndex) {
+            this.activeIndex--;
+        }
+        this.onEdited();
+    },
+    
+    /**
+     * Move a waypoint up or down the plan
+     * @param {number} index
+     * @param {number} offset - -1 for earlier, 1 for later
+     */
+    moveWaypoint(index, offset) {
+        const target = index + offset;
+        if (index < 0 || target < 0 || index >= this.waypoints.length || target >= this.waypoints.length) return;
+        
+        const [waypoint] = this.waypoints.splice(index, 1);
+        this.waypoints.splice(target, 0, waypoint);
+        this.onEdited();
+    },
+    
+    /**
+     * Remove all waypoints
+     */
+    clear() {
+        this.deactivate();
+        this.pendingIndex = null;
+        this.waypoints = [];
+        this.activeIndex = 0;
+        this.onEdited();
+    },
+    
+    /**
+     * Keep the active plan consistent after an edit
+     */
+    onEdited() {
+        if (this.active) {
+            this.activeIndex = Math.min(Math.max(this.activeIndex, 1), this.waypoints.length);
+            if (this.activeIndex >= this.waypoints.length) {
+                this.deactivate();
+            } else {
+                this.applyDestination();
+            }
+        }
+        
+        this.dispatchChange();
+    },
+    
+    /**
+     * Get legs between consecutive waypoints
+     * @returns {Array} [{ from, to, distance, bearing }] distance in km, bearing in degrees
+     */
+    getLegs() {
+        const legs = [];
+        
+        for (let i = 1; i < this.waypoints.length; i++) {
+            const from = this.waypoints[i - 1];
+            const to = this.waypoints[i];
+            legs.push({
+                from,
+                to,
+                distance: Earth.greatCircleDistance(from.lat, from.lon, to.lat, to.lon),
+                bearing: Earth.initialBearing(from.lat, from.lon, to.lat, to.lon)
+            });
+        }
+        
+        return legs;
+    },
+    
+    /**
+     * Get total planned distance
+     * @returns {number} km
+     */
+    getTotalDistance() {
+        return this.getLegs().reduce((total, leg) => total + leg.distance, 0);
+    },
+    
+    /**
+     * Get distance along the plan between two waypoints
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     * @returns {number} km
+     */
+    getDistanceBetween(fromIndex, toIndex) {
+        let distance = 0;
+        
+        for (let i = fromIndex + 1; i <= toIndex && i < this.waypoints.length; i++) {
+            const from = this.waypoints[i - 1];
+            const to = this.waypoints[i];
+            distance += Earth.greatCircleDistance(from.lat, from.lon, to.lat, to.lon);
+        }
+        
+        return distance;
+    },
+    
+    /**
+     * Get the waypoint currently being flown to
+     * @returns {Object|null}
+     */
+    getActiveWaypoint() {
+        return this.active ? this.waypoints[this.activeIndex] || null : null;
+    },
+    
+    /**
+     * Get index of the next airport stop at or after the active waypoint
+     * @returns {number} Index, or -1 if the plan has no more stops
+     */
+    getNextStopIndex() {
+        for (let i = this.activeIndex; i < this.waypoints.length; i++) {
+            if (this.waypoints[i].type === 'airport') return i;
+        }
+        return -1;
+    },
+    
+    /**
+     * Get distance from the active waypoint to the next stop
+     * @returns {number} km
+     */
+    getDistanceToNextStop() {
+        const stop = this.getNextStopIndex();
+        return stop >= 0 ? this.getDistanceBetween(this.activeIndex, stop) : 0;
+    },
+    
+    /**
+     * Check whether an airport is the next stop of the active plan
+     * @param {string} icao
+     * @returns {boolean}
+     */
+    isNextStop(icao) {
+        const stop = this.getNextStopIndex();
+        return this.active && stop >= 0 && this.waypoints[stop].ident === icao;
+    },
+    
+    /**
+     * Check whether the plan can be flown
+     * @returns {boolean}
+     */
+    isFlyable() {
+        return this.waypoints.length >= 2 && this.waypoints[0].type === 'airport';
+    },
+    
+    /**
+     * Take off from the first waypoint and fly the plan; it becomes active with the takeoff
+     * @returns {boolean} Whether the takeoff was requested
+     */
+    fly() {
+        if (!this.isFlyable()) return false;
+        
+        this.pendingIndex = 1;
+        Airports.takeoffFrom(this.waypoints[0].ident);
+        return true;
+    },
+    
+    /**
+     * Take off from the last stop reached and fly the next part of the plan once the aircraft leaves
+     * @returns {boolean} Whether a leg was left to fly
+     */
+    continueFlight() {
+        const departure = this.waypoints[this.activeIndex - 1];
+        if (!departure || departure.type !== 'airport' || this.activeIndex >= this.waypoints.length) {
+            return false;
+        }
+        
+        this.pendingIndex = this.activeIndex;
+        Airports.takeoffFrom(departure.ident);
+        return true;
+    },
+    
+    /**
+     * Start following the plan from a leg once the aircraft has taken off
+     * @param {number} index - Waypoint the first leg flies to
+     */
+    activate(index) {
+        this.active = true;
+        this.activeIndex = index;
+        Aircraft.setFlightPlan(this);
+        
+        this.applyDestination();
+        this.dispatchChange();
+    },
+    
+    /**
+     * Check whether a landing left part of the plan to fly
+     * @returns {boolean}
+     */
+    hasRemainingLegs() {
+        const departure = this.waypoints[this.activeIndex - 1];
+        return this.activeIndex > 0 && this.activeIndex < this.waypoints.length &&
+            !!departure && departure.type === 'airport';
+    },
+    
+    /**
+     * Stop following the plan, keeping its waypoints
+     */
+    deactivate() {
+        if (!this.active) return;
+        
+        this.active = false;
+        Aircraft.setFlightPlan(null);
+        this.dispatchChange();
+    },
+    
+    /**
+     * Point the arrival sequence at the next stop
+     */
+    applyDestination() {
+        const stop = this.getNextStopIndex();
+        
+        if (stop >= 0) {
+            Airports.setAsDestination(this.waypoints[stop].ident);
+        } else {
+            Airports.clearDestination();
+        }
+    },
+    
+    /**
+     * Advance past fixes the aircraft has reached
+     * @param {Object} position - Aircraft position { lat, lon }
+     */
+    sequence(position) {
+        const waypoint = this.getActiveWaypoint();
+        if (!waypoint || waypoint.type !== 'fix') return;
+        
+        const distance = Earth.greatCircleDistance(position.lat, position.lon, waypoint.lat, waypoint.lon);
+        let passed = distance <= this.sequenceRadius;
+        
+        // Past abeam: the fix now lies behind, relative to the inbound leg course
+        const previous = this.waypoints[this.activeIndex - 1];
+        if (!passed && previous && distance <= this.abeamRadius) {
+            const course = (Earth.initialBearing(waypoint.lat, waypoint.lon, previous.lat, previous.lon) + 180) % 360;
+            const bearing = Earth.initialBearing(position.lat, position.lon, waypoint.lat, waypoint.lon);
+            const offset = Math.abs(((bearing - course + 540) % 360) - 180);
+            passed = offset > 90;
+        }
+        
+        if (!passed) return;
+        
+        this.activeIndex++;
+        
+        window.dispatchEvent(new CustomEvent('waypointPassed', {
+            detail: { waypoint, next: this.getActiveWaypoint() }
+        }));
+        
+        if (this.activeIndex >= this.waypoints.length) {
+            this.deactivate();
+        } else {
+            this.dispatchChange();
+        }
+    },
+    
+    /**
+     * Notify listeners that the plan changed
+     */
+    dispatchChange() {
+        window.dispatchEvent(new CustomEvent('flightPlanChanged', {
+            detail: {
+                waypoints: this.waypoints,
+                activeIndex: this.activeIndex,
+                active: this.active
+            }
+        }));
+    }
+};
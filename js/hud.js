@@ -5,8 +5,23 @@
 
 const HUD = {
     elements: {},
+    instruments: {},
     visible: false,
     
+    // Annunciator text for each flight phase
+    phaseNames: {
+        idle: 'READY',
+        taxiing: 'TAXIING',
+        takeoff_roll: 'TAKEOFF',
+        climbing: 'CLIMBING',
+        flying: 'CRUISING',
+        descending: 'DESCENDING',
+        landing: 'LANDING',
+        rollout: 'ROLLOUT',
+        landed: 'LANDED',
+        crashed: 'CRASHED'
+    },
+    
     /**
      * Initialize HUD
      */
@@ -44,6 +59,9 @@ const HUD = {
                     <button class="hud-btn" id="btn-menu" onclick="Airports.showMenu()">
                         <span>📍</span>
                     </button>
+                    <button class="hud-btn" id="btn-multiplayer" onclick="Multiplayer.showSetup()">
+                        <span>🌐</span>
+                    </button>
                     <button class="hud-btn" id="btn-settings" onclick="SettingsUI.show()">
                         <span>⚙️</span>
                     </button>
@@ -51,7 +69,7 @@ const HUD = {
             </div>
             
             <!-- Compass -->
-            <div class="hud-compass">
+            <div class="hud-compass" id="hud-compass">
                 <div class="compass-ring">
                     <div class="compass-arrow"></div>
                     <div class="compass-value" id="compass-value">N 0°</div>
@@ -63,11 +81,28 @@ const HUD = {
                 <span data-i18n="thirdPerson">${I18n.t('thirdPerson')}</span>
             </div>
             
+            <!-- Wind, airspeed against ground speed, and drift -->
+            <div class="hud-wind" id="hud-wind">
+                <div class="wind-row">
+                    <span class="wind-arrow" id="wind-arrow">↓</span>
+                    <span id="wind-value">---°/0</span>
+                </div>
+                <div class="wind-row" id="wind-speeds">TAS 0 GS 0</div>
+                <div class="wind-row" id="wind-drift">DRIFT 0°</div>
+            </div>
+            
             <!-- Flight phase indicator -->
             <div class="hud-flight-phase" id="hud-flight-phase">
                 <span class="phase-value" id="phase-name">READY</span>
+                <span class="time-rate" id="hud-time-rate"></span>
             </div>
             
+            <!-- Autopilot mode annunciator -->
+            <div class="hud-autopilot" id="hud-autopilot"></div>
+            
+            <!-- Flight envelope warnings -->
+            <div class="hud-warnings" id="hud-warnings"></div>
+            
             <!-- Attitude indicator -->
             <div class="hud-attitude" id="hud-attitude">
                 <div class="attitude-horizon" id="attitude-horizon"></div>
@@ -75,23 +110,42 @@ const HUD = {
                 <div class="attitude-marker"></div>
             </div>
             
+            <!-- Gear, flaps and spoilers -->
+            <div class="hud-systems" id="hud-systems">
+                <span class="system-item" id="hud-gear">GEAR DN</span>
+                <span class="system-item" id="hud-flaps">FLAPS 0</span>
+                <span class="system-item" id="hud-spoilers">SPLR</span>
+            </div>
+            
             <!-- Vertical speed indicator -->
             <div class="hud-vsi" id="hud-vsi">
                 <span class="vsi-label">V/S</span>
                 <span class="vsi-value" id="vsi-value">0</span>
-                <span class="vsi-unit">m/s</span>
+                <span class="vsi-unit" id="vsi-unit">m/s</span>
                 <div class="vsi-indicator">
                     <div class="vsi-bar" id="vsi-bar"></div>
                 </div>
+                <span class="vsi-label g-label">G</span>
+                <span class="g-value" id="g-value">1.0</span>
+            </div>
+            
+            <!-- Traffic display, heading up with the player in the middle -->
+            <div class="hud-traffic" id="hud-traffic">
+                <div class="traffic-scope" id="traffic-scope">
+                    <div class="traffic-ring"></div>
+                    <span class="traffic-own">▲</span>
+                    <div id="traffic-targets"></div>
+                </div>
+                <span class="traffic-label" id="traffic-label">TFC</span>
             </div>
             
             <!-- Bottom info bar -->
             <div class="hud-bottom">
-                <div class="hud-info-item">
+                <div class="hud-info-item" id="hud-altitude-item">
                     <span class="info-label" data-i18n="altitude">${I18n.t('altitude')}</span>
                     <span class="info-value" id="hud-altitude">0 km</span>
                 </div>
-                <div class="hud-info-item">
+                <div class="hud-info-item" id="hud-speed-item">
                     <span class="info-label" data-i18n="speed">${I18n.t('speed')}</span>
                     <span class="info-value" id="hud-speed">0 km/h</span>
                 </div>
@@ -99,6 +153,14 @@ const HUD = {
                     <span class="info-label" data-i18n="distance">${I18n.t('distance')}</span>
                     <span class="info-value" id="hud-distance">-- km</span>
                 </div>
+                <div class="hud-info-item" id="hud-fuel-item">
+                    <span class="info-label" data-i18n="fuel">${I18n.t('fuel')}</span>
+                    <span class="info-value" id="hud-fuel">100%</span>
+                </div>
+                <div class="hud-info-item" id="hud-range-item">
+                    <span class="info-label" data-i18n="range">${I18n.t('range')}</span>
+                    <span class="info-value" id="hud-range">-- km</span>
+                </div>
                 <div class="hud-info-item">
                     <span class="info-label" data-i18n="flightTime">${I18n.t('flightTime')}</span>
                     <span class="info-value" id="hud-time">00:00</span>
@@ -109,6 +171,8 @@ const HUD = {
             <div class="hud-destination" id="hud-destination">
                 <span class="dest-label" data-i18n="destination">${I18n.t('destination')}</span>
                 <span class="dest-value" id="dest-name" data-i18n="noDestination">${I18n.t('noDestination')}</span>
+                <span class="dest-waypoint" id="dest-waypoint"></span>
+                <span class="dest-eta" id="dest-eta"></span>
             </div>
             
             <!-- Speed lines container -->
@@ -124,14 +188,44 @@ const HUD = {
             speed: document.getElementById('hud-speed'),
             distance: document.getElementById('hud-distance'),
             time: document.getElementById('hud-time'),
+            fuel: document.getElementById('hud-fuel'),
+            fuelItem: document.getElementById('hud-fuel-item'),
+            range: document.getElementById('hud-range'),
+            rangeItem: document.getElementById('hud-range-item'),
             compass: document.getElementById('compass-value'),
             destination: document.getElementById('dest-name'),
+            waypoint: document.getElementById('dest-waypoint'),
+            eta: document.getElementById('dest-eta'),
+            windArrow: document.getElementById('wind-arrow'),
+            windValue: document.getElementById('wind-value'),
+            windSpeeds: document.getElementById('wind-speeds'),
+            windDrift: document.getElementById('wind-drift'),
             view: document.getElementById('hud-view'),
             flightPhase: document.getElementById('phase-name'),
+            timeRate: document.getElementById('hud-time-rate'),
             vsiValue: document.getElementById('vsi-value'),
+            vsiUnit: document.getElementById('vsi-unit'),
             vsiBar: document.getElementById('vsi-bar'),
+            traffic: document.getElementById('hud-traffic'),
+            trafficTargets: document.getElementById('traffic-targets'),
+            trafficLabel: document.getElementById('traffic-label'),
             attitudeHorizon: document.getElementById('attitude-horizon'),
-            speedLines: document.getElementById('speed-lines')
+            speedLines: document.getElementById('speed-lines'),
+            autopilot: document.getElementById('hud-autopilot'),
+            warnings: document.getElementById('hud-warnings'),
+            loadFactor: document.getElementById('g-value'),
+            gear: document.getElementById('hud-gear'),
+            flaps: document.getElementById('hud-flaps'),
+            spoilers: document.getElementById('hud-spoilers')
+        };
+        
+        // Instruments that can fail, by name
+        this.instruments = {
+            attitude: document.getElementById('hud-attitude'),
+            vsi: document.getElementById('hud-vsi'),
+            compass: document.getElementById('hud-compass'),
+            altitude: document.getElementById('hud-altitude-item'),
+            speed: document.getElementById('hud-speed-item')
         };
         
         // Initialize speed lines
@@ -140,6 +234,63 @@ const HUD = {
         // Listen for flight phase changes
         window.addEventListener('flightPhaseChanged', (e) => {
             this.updateFlightPhase(e.detail.phase);
+            
+            // The pilot taxis to the runway and starts the roll
+            if (e.detail.phase === 'taxiing') {
+                this.showMessage(I18n.t(Settings.isMobile() ? 'taxiHintMobile' : 'taxiHint'), 6000);
+            }
+        });
+        
+        // Fuel warnings
+        window.addEventListener('fuelLow', () => {
+            this.showMessage(I18n.t('lowFuel'));
+        });
+        
+        window.addEventListener('fuelExhausted', () => {
+            this.showMessage(I18n.t('fuelExhausted'), 5000);
+        });
+        
+        // Flight plan sequencing
+        window.addEventListener('flightPlanChanged', () => {
+            this.updateWaypoint(FlightPlan.getActiveWaypoint());
+        });
+        
+        window.addEventListener('waypointPassed', (e) => {
+            this.showMessage(`${I18n.t('waypointPassed')}: ${e.detail.waypoint.name}`);
+        });
+        
+        // Autopilot disconnect warnings
+        window.addEventListener('autopilotChanged', (e) => {
+            const { engaged, reason } = e.detail;
+            if (reason === 'approach') {
+                this.showMessage(I18n.t('autopilotApproach'));
+            } else if (reason === 'noDestination') {
+                this.showMessage(I18n.t('navNeedsDestination'));
+            } else if (reason === 'pilot') {
+                this.showMessage(I18n.t(engaged ? 'autothrottleDisconnected' : 'autopilotDisconnected'));
+            }
+        });
+        
+        // Time acceleration dropping back to real time on its own
+        window.addEventListener('timeRateChanged', (e) => {
+            const { rate, reason } = e.detail;
+            if (reason === 'warning') {
+                this.showMessage(I18n.t('timeRateWarning'));
+            } else if (reason === 'approach') {
+                this.showMessage(I18n.t('timeRateApproach'));
+            } else if (rate > 1) {
+                this.showMessage(`${I18n.t('timeRate')}: ${rate}x`);
+            }
+        });
+        
+        // Stall, overspeed, g-load and gear warnings
+        window.addEventListener('flightWarning', () => {
+            this.updateWarnings(Aircraft.getActiveWarnings());
+        });
+        
+        // Traffic advisories share the warning banners
+        window.addEventListener('trafficAdvisory', () => {
+            this.updateWarnings(Aircraft.getActiveWarnings());
         });
     },
     
@@ -167,12 +318,12 @@ const HUD = {
         
         // Altitude
         if (this.elements.altitude && data.altitude !== undefined) {
-            this.elements.altitude.textContent = `${data.altitude.toFixed(1)} km`;
+            this.elements.altitude.textContent = Units.format(data.altitude, 'altitude');
         }
         
         // Speed
         if (this.elements.speed && data.speed !== undefined) {
-            this.elements.speed.textContent = `${Math.round(data.speed)} km/h`;
+            this.elements.speed.textContent = Units.format(data.speed, 'speed');
             
             // Update speed lines visibility based on speed
             this.updateSpeedLines(data.speed, data.maxSpeed || 1000);
@@ -180,19 +331,29 @@ const HUD = {
         
         // Vertical speed
         if (this.elements.vsiValue && data.verticalSpeed !== undefined) {
-            // Convert from km/h to m/s (approx)
-            const vsMs = Math.round(data.verticalSpeed * 1000 / 3600);
-            const sign = vsMs > 0 ? '+' : '';
-            this.elements.vsiValue.textContent = `${sign}${vsMs}`;
+            const vs = Math.round(Units.convert(data.verticalSpeed, 'verticalSpeed'));
+            const sign = vs > 0 ? '+' : '';
+            this.elements.vsiValue.textContent = `${sign}${vs}`;
+            if (this.elements.vsiUnit) {
+                this.elements.vsiUnit.textContent = Units.getUnit('verticalSpeed');
+            }
             
-            // Update VSI bar
+            // Update VSI bar, full scale at 50 m/s whatever the display unit
             if (this.elements.vsiBar) {
+                const vsMs = Math.round(data.verticalSpeed / 3.6);
                 const barHeight = Math.min(Math.abs(vsMs) / 50, 1) * 50;
                 this.elements.vsiBar.style.height = `${barHeight}%`;
                 this.elements.vsiBar.className = `vsi-bar ${vsMs > 0 ? 'climbing' : vsMs < 0 ? 'descending' : ''}`;
             }
         }
         
+        // Load factor, flagged beyond the airframe limits
+        if (this.elements.loadFactor && data.loadFactor !== undefined) {
+            this.elements.loadFactor.textContent = data.loadFactor.toFixed(1);
+            this.elements.loadFactor.classList.toggle('warning',
+                data.loadFactor > data.maxLoadFactor || data.loadFactor < data.minLoadFactor);
+        }
+        
         // Pitch for attitude indicator
         if (this.elements.attitudeHorizon && data.pitch !== undefined) {
             // Map pitch (-90 to 90) to translate percentage
@@ -203,12 +364,61 @@ const HUD = {
         // Distance to destination
         if (this.elements.distance) {
             if (data.distance !== null && data.distance !== undefined) {
-                this.elements.distance.textContent = `${Math.round(data.distance)} km`;
+                this.elements.distance.textContent = Units.format(data.distance, 'distance');
             } else {
-                this.elements.distance.textContent = '-- km';
+                this.elements.distance.textContent = `-- ${Units.getUnit('distance')}`;
             }
         }
         
+        // Time to go at the current ground speed, so head and tail winds show up
+        if (this.elements.eta) {
+            this.elements.eta.textContent = data.timeToGo !== null && data.timeToGo !== undefined
+                ? `${I18n.t('eta')} ${Math.ceil(data.timeToGo / 60)} min`
+                : '';
+        }
+        
+        // Wind, airspeed and ground speed
+        if (this.elements.windValue && data.wind) {
+            this.updateWind(data.wind, data.heading);
+        }
+        
+        // Fuel remaining, flagged once into the reserve
+        if (this.elements.fuel && data.fuel !== undefined) {
+            const percent = data.fuelCapacity ? data.fuel / data.fuelCapacity * 100 : 0;
+            this.elements.fuel.textContent = `${Math.round(percent)}%`;
+            this.elements.fuelItem.classList.toggle('warning', data.fuel <= data.fuelReserve);
+        }
+        
+        // Estimated range, flagged when it falls short of the destination
+        if (this.elements.range && data.range !== undefined) {
+            this.elements.range.textContent = Units.format(data.range, 'distance');
+            
+            const shortOfDestination = data.distance !== null && data.distance !== undefined &&
+                data.range < data.distance;
+            this.elements.rangeItem.classList.toggle('warning', shortOfDestination);
+        }
+        
+        // Autopilot modes
+        if (this.elements.autopilot && data.autopilot) {
+            this.updateAutopilot(data.autopilot);
+        }
+        
+        // Traffic around the aircraft
+        if (this.elements.traffic && data.traffic) {
+            this.updateTraffic(data.traffic, data.trafficAdvisory);
+        }
+        
+        // Gear, flaps and spoilers
+        if (this.elements.gear && data.systems) {
+            this.updateSystems(data.systems);
+        }
+        
+        // Time acceleration, shown beside the flight phase
+        if (this.elements.timeRate && data.timeRate !== undefined) {
+            this.elements.timeRate.textContent = data.timeRate > 1 ? `${data.timeRate}x` : '';
+            this.elements.timeRate.classList.toggle('active', data.timeRate > 1);
+        }
+        
         // Flight time
         if (this.elements.time && data.flightTime !== undefined) {
             const minutes = Math.floor(data.flightTime / 60);
@@ -241,6 +451,136 @@ const HUD = {
         }
     },
     
+    /**
+     * Update gear, flap and spoiler indicators
+     * @param {Object} systems - Aircraft systems status
+     */
+    updateSystems(systems) {
+        const { gear, flaps, spoilers } = this.elements;
+        
+        // Green when down and locked, amber while travelling, dim when up
+        const gearInTransit = systems.gearPosition > 0 && systems.gearPosition < 1;
+        gear.textContent = gearInTransit ? 'GEAR ···' : systems.gearPosition >= 1 ? 'GEAR DN' : 'GEAR UP';
+        gear.classList.toggle('down', systems.gearPosition >= 1);
+        gear.classList.toggle('transit', gearInTransit);
+        gear.classList.toggle('fixed', !systems.retractableGear);
+        
+        const flapsMoving = Math.abs(systems.flapAngle - systems.flapTarget) > 0.5;
+        flaps.textContent = `FLAPS ${Math.round(systems.flapAngle)}`;
+        flaps.classList.toggle('extended', systems.flapAngle > 0.5 && !flapsMoving);
+        flaps.classList.toggle('transit', flapsMoving);
+        
+        spoilers.style.display = systems.hasSpoilers ? '' : 'none';
+        spoilers.classList.toggle('extended', systems.spoilerPosition > 0.99);
+        spoilers.classList.toggle('transit', systems.spoilerPosition > 0 && systems.spoilerPosition <= 0.99);
+    },
+    
+    /**
+     * Update wind and drift readouts
+     * @param {Object} wind - Aircraft wind triangle { windDirection, windSpeed, airspeed, groundSpeed, drift }
+     * @param {number} heading - Aircraft heading in degrees
+     */
+    updateWind(wind, heading) {
+        const speed = Math.round(wind.windSpeed);
+        const direction = Math.round(wind.windDirection) % 360;
+        this.elements.windValue.textContent = speed > 0
+            ? `${direction.toString().padStart(3, '0')}°/${Units.format(wind.windSpeed, 'speed')}`
+            : 'CALM';
+        
+        // Arrow points the way the wind blows, relative to the nose
+        this.elements.windArrow.style.visibility = speed > 0 ? 'visible' : 'hidden';
+        this.elements.windArrow.style.transform = `rotate(${wind.windDirection - (heading || 0)}deg)`;
+        
+        const airspeed = Math.round(Units.convert(wind.airspeed, 'speed'));
+        const groundSpeed = Math.round(Units.convert(wind.groundSpeed, 'speed'));
+        this.elements.windSpeeds.textContent = `TAS ${airspeed} GS ${groundSpeed}`;
+        
+        const drift = Math.round(wind.drift);
+        this.elements.windDrift.textContent = `DRIFT ${Math.abs(drift)}°${drift > 0 ? 'R' : drift < 0 ? 'L' : ''}`;
+    },
+    
+    /**
+     * Update autopilot mode annunciator
+     * @param {Object} status - Autopilot status { engaged, modes, targets }
+     */
+    updateAutopilot(status) {
+        const el = this.elements.autopilot;
+        el.classList.toggle('active', status.engaged);
+        if (!status.engaged) return;
+        
+        const { modes, targets } = status;
+        const items = ['<span class="ap-mode ap-master">AP</span>'];
+        
+        if (modes.nav) {
+            items.push('<span class="ap-mode">NAV</span>');
+        } else if (modes.heading) {
+            items.push(`<span class="ap-mode">HDG ${Math.round(targets.heading).toString().padStart(3, '0')}</span>`);
+        }
+        if (modes.altitude) {
+            items.push(`<span class="ap-mode">ALT ${Math.round(Units.convert(targets.altitude, 'altitude'))}</span>`);
+        }
+        if (modes.speed) {
+            items.push(`<span class="ap-mode">SPD ${Math.round(Units.convert(targets.speed, 'speed'))}</span>`);
+        }
+        
+        const html = items.join('');
+        if (el.innerHTML !== html) {
+            el.innerHTML = html;
+        }
+    },
+    
+    /**
+     * Draw traffic on the display: bearing off the nose, range, and altitude relative to the player
+     * @param {Object[]} targets - Traffic.getTargets()
+     * @param {boolean} advisory - Whether any traffic is inside the alert range
+     */
+    updateTraffic(targets, advisory) {
+        this.elements.traffic.style.display = Traffic.getCount() > 0 ? '' : 'none';
+        
+        // Relative altitude in hundreds of the display unit, with an arrow for climbing or descending traffic
+        this.elements.trafficTargets.innerHTML = targets.map(target => {
+            const bearing = THREE.MathUtils.degToRad(target.relativeBearing);
+            const x = 50 + 50 * target.range * Math.sin(bearing);
+            const y = 50 - 50 * target.range * Math.cos(bearing);
+            const hundreds = Math.round(Units.convert(target.relativeAltitude, 'altitude') / 100);
+            const tag = `${hundreds >= 0 ? '+' : '-'}${Math.abs(hundreds).toString().padStart(2, '0')}`;
+            const arrow = target.trend > 0 ? '↑' : target.trend < 0 ? '↓' : '';
+            return `<span class="traffic-target traffic-${target.level}" style="left: ${x}%; top: ${y}%">` +
+                `<span class="traffic-tag">${tag}${arrow}</span></span>`;
+        }).join('');
+        
+        // The label names the display range, or calls out the traffic
+        this.elements.trafficLabel.textContent = advisory
+            ? I18n.t('warnTraffic')
+            : Units.format(Traffic.getDisplayRange(), 'distance');
+        this.elements.trafficLabel.classList.toggle('active', advisory);
+    },
+    
+    /**
+     * Show a banner for each active flight envelope warning and traffic advisory
+     * @param {string[]} warnings - Active warning types
+     */
+    updateWarnings(warnings) {
+        const keys = {
+            stallWarning: 'warnStallWarning',
+            stall: 'warnStall',
+            overspeed: 'warnOverspeed',
+            overstress: 'warnOverstress',
+            structuralFailure: 'warnStructuralFailure',
+            gearUnsafe: 'warnGearUnsafe',
+            traffic: 'warnTraffic'
+        };
+        
+        if (Traffic.advisory) {
+            warnings = [...warnings, 'traffic'];
+        }
+        
+        this.elements.warnings.innerHTML = warnings
+            .filter(type => keys[type])
+            .map(type => `<span class="warning-banner warning-${type}" data-i18n="${keys[type]}">${I18n.t(keys[type])}</span>`)
+            .join('');
+    },
+    
     /**
      * Update speed lines effect
      * @param {number} speed - Current speed
@@ -268,17 +608,7 @@ const HUD = {
     updateFlightPhase(phase) {
         if (!this.elements.flightPhase) return;
         
-        const phaseNames = {
-            'idle': 'READY',
-            'taxiing': 'TAXIING',
-            'takeoff_roll': 'TAKEOFF',
-            'climbing': 'CLIMBING',
-            'flying': 'CRUISING',
-            'descending': 'DESCENDING',
-            'landing': 'LANDING'
-        };
-        
-        this.elements.flightPhase.textContent = phaseNames[phase] || phase.toUpperCase();
+        this.elements.flightPhase.textContent = this.phaseNames[phase] || phase.toUpperCase();
         this.elements.flightPhase.className = `phase-value phase-${phase}`;
     },
     
@@ -298,6 +628,16 @@ const HUD = {
         }
     },
     
+    /**
+     * Show the flight plan waypoint being flown to, when it is not the destination itself
+     * @param {Object|null} waypoint
+     */
+    updateWaypoint(waypoint) {
+        if (!this.elements.waypoint) return;
+        
+        this.elements.waypoint.textContent = waypoint && waypoint.type === 'fix' ? `→ ${waypoint.name}` : '';
+    },
+    
     /**
      * Update view indicator
      * @param {string} view
@@ -358,6 +698,27 @@ const HUD = {
         }
     },
     
+    /**
+     * Blank out failed instruments
+     * @param {string[]} failed - Instrument names from this.instruments
+     */
+    setFailedInstruments(failed) {
+        Object.keys(this.instruments).forEach(name => {
+            const el = this.instruments[name];
+            if (el) el.classList.toggle('instrument-failed', failed.includes(name));
+        });
+    },
+    
+    /**
+     * Dim the instrument lighting when electrical power is lost
+     * @param {boolean} lit
+     */
+    setLighting(lit) {
+        if (this.elements.hud) {
+            this.elements.hud.classList.toggle('unlit', !lit);
+        }
+    },
+    
     /**
      * Show message notification
      * @param {string} message
@@ -406,6 +767,10 @@ const SettingsUI = {
         const currentMode = Settings.get('dayNightMode');
         const currentControl = Settings.get('controlMode');
         const currentQuality = Settings.get('quality');
+        const currentUnits = Settings.get('unitSystem');
+        const currentMapScale = Units.getMapScaleName();
+        const currentTraffic = Settings.get('traffic');
+        const currentAlertRange = Settings.get('trafficAlertRange');
         
         panel.innerHTML = `
             <div class="modal-content settings-content">
@@ -460,6 +825,50 @@ const SettingsUI = {
                     </div>
                 </div>
                 
+                <div class="settings-section">
+                    <label data-i18n="unitSystem">${I18n.t('unitSystem')}</label>
+                    <div class="settings-options">
+                        <button class="option-btn ${currentUnits === 'metric' ? 'active' : ''}" 
+                                onclick="SettingsUI.setUnitSystem('metric')" data-i18n="metric">${I18n.t('metric')}</button>
+                        <button class="option-btn ${currentUnits === 'imperial' ? 'active' : ''}" 
+                                onclick="SettingsUI.setUnitSystem('imperial')" data-i18n="imperial">${I18n.t('imperial')}</button>
+                    </div>
+                </div>
+                
+                <div class="settings-section">
+                    <label data-i18n="mapScale">${I18n.t('mapScale')}</label>
+                    <div class="settings-options">
+                        <button class="option-btn ${currentMapScale === 'compressed' ? 'active' : ''}" 
+                                onclick="SettingsUI.setMapScale('compressed')" data-i18n="compressed">${I18n.t('compressed')}</button>
+                        <button class="option-btn ${currentMapScale === 'real' ? 'active' : ''}" 
+                                onclick="SettingsUI.setMapScale('real')" data-i18n="real">${I18n.t('real')}</button>
+                    </div>
+                </div>
+                
+                <div class="settings-section">
+                    <label data-i18n="traffic">${I18n.t('traffic')}</label>
+                    <div class="settings-options">
+                        <button class="option-btn ${currentTraffic === 'off' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTraffic('off')" data-i18n="trafficOff">${I18n.t('trafficOff')}</button>
+                        <button class="option-btn ${currentTraffic === 'light' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTraffic('light')" data-i18n="trafficLight">${I18n.t('trafficLight')}</button>
+                        <button class="option-btn ${currentTraffic === 'busy' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTraffic('busy')" data-i18n="trafficBusy">${I18n.t('trafficBusy')}</button>
+                    </div>
+                </div>
+                
+                <div class="settings-section">
+                    <label data-i18n="trafficAlertRange">${I18n.t('trafficAlertRange')}</label>
+                    <div class="settings-options">
+                        <button class="option-btn ${currentAlertRange === 'near' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTrafficAlertRange('near')" data-i18n="alertNear">${I18n.t('alertNear')}</button>
+                        <button class="option-btn ${currentAlertRange === 'standard' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTrafficAlertRange('standard')" data-i18n="alertStandard">${I18n.t('alertStandard')}</button>
+                        <button class="option-btn ${currentAlertRange === 'wide' ? 'active' : ''}" 
+                                onclick="SettingsUI.setTrafficAlertRange('wide')" data-i18n="alertWide">${I18n.t('alertWide')}</button>
+                    </div>
+                </div>
+                
                 <button class="close-modal-btn" onclick="SettingsUI.hide()">
                     <span data-i18n="close">${I18n.t('close')}</span>
                 </button>
@@ -522,6 +931,42 @@ const SettingsUI = {
         this.updateActiveButton('quality', quality);
     },
     
+    /**
+     * Set display units
+     * @param {string} system - 'metric' or 'imperial'
+     */
+    setUnitSystem(system) {
+        Settings.set('unitSystem', system);
+        this.updateActiveButton('unitSystem', system);
+    },
+    
+    /**
+     * Set how fast the globe passes beneath the aircraft
+     * @param {string} scale - 'compressed' or 'real'
+     */
+    setMapScale(scale) {
+        Settings.set('mapScale', scale);
+        this.updateActiveButton('mapScale', scale);
+    },
+    
+    /**
+     * Set how many AI aircraft fly; takes effect from the next takeoff
+     * @param {string} density - 'off', 'light' or 'busy'
+     */
+    setTraffic(density) {
+        Settings.set('traffic', density);
+        this.updateActiveButton('traffic', density);
+    },
+    
+    /**
+     * Set the separation that raises a traffic advisory
+     * @param {string} range - 'near', 'standard' or 'wide'
+     */
+    setTrafficAlertRange(range) {
+        Settings.set('trafficAlertRange', range);
+        this.updateActiveButton('trafficAlertRange', range);
+    },
+    
     /**
      * Update active button state
      * @param {string} section
@@ -15,14 +15,6 @@ const I18n = {
             selectAirport: 'Select Airport',
             settings: 'Settings',
             
-            // Aircraft types
-            cessna: 'Cessna',
-            cessnaDesc: 'Private Plane - Speed: 300 km/h, Easy handling',
-            airliner: 'Airliner',
-            airlinerDesc: 'Commercial Plane - Speed: 850 km/h, Medium handling',
-            jet: 'Jet',
-            jetDesc: 'Jet Fighter - Speed: 1500 km/h, Sensitive handling',
-            
             // Airport info
             airportInfo: 'Airport Info',
             city: 'City',
@@ -31,6 +23,29 @@ const I18n = {
             iataCode: 'IATA',
             takeoffFromHere: 'Takeoff from here',
             setAsDestination: 'Set as destination',
+            addToFlightPlan: 'Add to flight plan',
+            
+            // Flight plan
+            flightPlan: 'Flight Plan',
+            flightPlanEmpty: 'Pick airports below or add a lat/lon fix',
+            departure: 'Departure',
+            latitude: 'Lat',
+            longitude: 'Lon',
+            fixName: 'Name',
+            addFix: 'Add fix',
+            totalDistance: 'Total distance',
+            flyFlightPlan: 'Fly plan',
+            clearFlightPlan: 'Clear',
+            invalidFix: 'Enter a latitude (-90 to 90) and longitude (-180 to 180)',
+            flightPlanNeedsDeparture: 'A flight plan needs an airport to start from and at least one more waypoint',
+            addedToFlightPlan: 'Added to flight plan',
+            waypointPassed: 'Waypoint passed',
+            continueFlight: 'Continue to',
+            importRoute: 'Import GPX/KML',
+            routeImported: 'Waypoints imported',
+            routeImportFailed: 'Not a GPX route or KML LineString with valid coordinates',
+            routeImportNeedsGround: 'Land before importing a route',
+            dropRoute: 'Drop a GPX or KML file to plan the route',
             
             // HUD
             altitude: 'ALT',
@@ -38,8 +53,17 @@ const I18n = {
             heading: 'HDG',
             distance: 'DIST',
             flightTime: 'TIME',
+            fuel: 'FUEL',
+            range: 'RANGE',
             destination: 'DEST',
             noDestination: 'No destination',
+            eta: 'ETA',
+            
+            // Runways
+            runways: 'Runways',
+            selectRunway: 'Select Runway',
+            headwind: 'Headwind',
+            tailwind: 'Tailwind',
             
             // Settings
             language: 'Language',
@@ -54,6 +78,20 @@ const I18n = {
             high: 'High',
             medium: 'Medium',
             low: 'Low',
+            unitSystem: 'Units',
+            metric: 'Metric (m, km/h)',
+            imperial: 'Aviation (ft, kt, nm)',
+            mapScale: 'Map Scale',
+            compressed: 'Compressed (faster)',
+            real: 'Real (1:1)',
+            traffic: 'Air Traffic',
+            trafficOff: 'Off',
+            trafficLight: 'Light',
+            trafficBusy: 'Busy',
+            trafficAlertRange: 'Traffic Alert Range',
+            alertNear: 'Near',
+            alertStandard: 'Standard',
+            alertWide: 'Wide',
             close: 'Close',
             
             // Views
@@ -80,12 +118,113 @@ const I18n = {
             selectAircraftFirst: 'Please select an aircraft first',
             takeoffSuccess: 'Takeoff successful!',
             arrivedAtDestination: 'Arrived at destination!',
+            lowFuel: 'Low fuel - reserve reached',
+            fuelExhausted: 'Out of fuel - engine failure, glide to land',
+            autopilotDisconnected: 'Autopilot disconnected',
+            autopilotApproach: 'Autopilot off - fly the approach',
+            autothrottleDisconnected: 'Autothrottle disconnected',
+            navNeedsDestination: 'Set a destination to use NAV',
+            warnStallWarning: 'STALL WARNING',
+            warnStall: 'STALL',
+            warnOverspeed: 'OVERSPEED',
+            warnOverstress: 'OVER-G',
+            warnStructuralFailure: 'STRUCTURAL FAILURE',
+            warnGearUnsafe: 'GEAR NOT DOWN',
+            warnTraffic: 'TRAFFIC',
+            
+            // Time acceleration
+            timeRate: 'Time',
+            timeRateWarning: 'Warning - back to real time',
+            timeRateApproach: 'Approaching destination - back to real time',
+            timeRateUnavailable: 'Time acceleration is only available in cruise',
+            
+            // Taxiing
+            taxiHint: 'Taxi: Q/E steer, Shift/Ctrl throttle, B brakes - T to start the takeoff roll',
+            taxiHintMobile: 'Taxi: stick to steer, SPD for throttle, BRK to brake - T/O to start the takeoff roll',
+            lineUpOnRunway: 'Line up on a runway to start the takeoff roll',
+            
+            // Flight summary
+            flightSummary: 'Flight Summary',
+            landingPerfect: 'Perfect landing',
+            landingSmooth: 'Smooth landing',
+            landingAcceptable: 'Acceptable landing',
+            landingHard: 'Hard landing',
+            landingUnsafe: 'Unsafe landing',
+            touchdownRate: 'Touchdown rate',
+            touchdownDistance: 'Distance from airport',
+            bankAngle: 'Bank angle',
+            totalFlightTime: 'Flight time',
+            distanceFlown: 'Distance flown',
+            maxAltitude: 'Max altitude',
+            maxSpeed: 'Max speed',
+            flyAgain: 'Fly again',
+            
+            // Crash report
+            crashReport: 'Crash Report',
+            crashTerrain: 'Flew into terrain',
+            crashHardLanding: 'Hard impact at the airport',
+            crashGearUp: 'Landed with the gear up',
+            crashStructuralFailure: 'Airframe broke up in flight',
+            impactSpeed: 'Impact speed',
+            crashLocation: 'Location',
+            restartFrom: 'Restart from',
+            respawnInAir: 'Respawn in the air',
+            chooseAirport: 'Choose airport',
+            
+            // Failures
+            trainingScenario: 'Training',
+            failureMode: 'Failures',
+            scenarioOff: 'Off',
+            scenarioRandom: 'Random',
+            scenarioScheduled: 'Scheduled',
+            scenarioRandomNote: 'Any failure may strike from one minute after takeoff, about once every ten minutes.',
+            never: 'Never',
+            failureEngine: 'Engine failure',
+            failureFuelLeak: 'Fuel leak',
+            failureHydraulic: 'Hydraulic failure',
+            failureInstruments: 'Instrument failure',
+            failureElectrical: 'Electrical failure',
+            checklistEngine: 'ENGINE FAILURE\n1. Pitch for best glide speed\n2. Pick a landing site\n3. Fuel quantity - check',
+            checklistFuelLeak: 'FUEL LEAK\n1. Fuel quantity and range - monitor\n2. Divert to the nearest airport\n3. Prepare for an engine failure',
+            checklistHydraulic: 'HYDRAULIC FAILURE\n1. Expect heavy controls\n2. Flaps and spoilers - inoperative\n3. Gear - lower early, gravity extension only',
+            checklistInstruments: 'INSTRUMENT FAILURE\n1. Cross-check the remaining instruments\n2. Fly by outside references\n3. Avoid large attitude changes',
+            checklistElectrical: 'ELECTRICAL FAILURE\n1. Autopilot and cockpit lighting - lost\n2. Fly by hand\n3. Land as soon as practical',
             
             // Aircraft selection
             selectAircraft: 'Select Aircraft',
             
             // Search
             searchAirport: 'Search airport...',
+            
+            // Multiplayer
+            multiplayer: 'Multiplayer',
+            multiplayerHint: 'Start the relay with "node server/relay.js" on any computer on your network, then connect every browser to its address.',
+            serverAddress: 'Server',
+            playerName: 'Pilot name',
+            connect: 'Connect',
+            disconnect: 'Disconnect',
+            mpOffline: 'Not connected',
+            mpConnecting: 'Connecting...',
+            mpOnline: 'Connected',
+            mpConnectionFailed: 'Could not reach the multiplayer server',
+            playersOnline: 'Pilots',
+            playerJoined: 'joined',
+            playerLeft: 'left',
+            chatPlaceholder: 'Message, Enter to send',
+            
+            // Replays
+            replays: 'Replays',
+            noReplays: 'No recorded flights yet. Every flight is recorded automatically.',
+            watchReplay: 'Watch replay',
+            replayNeedsGround: 'Finish the flight to watch a replay',
+            replayUnavailable: 'Recording not available',
+            outcomeLanded: 'Landed',
+            outcomeCrashed: 'Crashed',
+            outcomeAbandoned: 'Unfinished',
+            
+            // Track export
+            exportTrack: 'Export track',
+            trackUnavailable: 'No track recorded for this flight',
         },
         zh: {
             // Game title
@@ -95,14 +234,6 @@ const I18n = {
             selectAirport: '选择机场',
             settings: '设置',
             
-            // Aircraft types
-            cessna: '塞斯纳',
-            cessnaDesc: '私人飞机 - 速度: 300 km/h, 简单操控',
-            airliner: '客机',
-            airlinerDesc: '商用客机 - 速度: 850 km/h, 中等操控',
-            jet: '喷气机',
-            jetDesc: '喷气式战斗机 - 速度: 1500 km/h, 灵敏操控',
-            
             // Airport info
             airportInfo: '机场信息',
             city: '城市',
@@ -111,6 +242,29 @@ const I18n = {
             iataCode: 'IATA代码',
             takeoffFromHere: '从这里起飞',
             setAsDestination: '设为目的地',
+            addToFlightPlan: '加入飞行计划',
+            
+            // Flight plan
+            flightPlan: '飞行计划',
+            flightPlanEmpty: '从下方选择机场或添加经纬度航点',
+            departure: '起飞',
+            latitude: '纬度',
+            longitude: '经度',
+            fixName: '名称',
+            addFix: '添加航点',
+            totalDistance: '总距离',
+            flyFlightPlan: '执行计划',
+            clearFlightPlan: '清空',
+            invalidFix: '请输入纬度 (-90 到 90) 和经度 (-180 到 180)',
+            flightPlanNeedsDeparture: '飞行计划需要以机场为起点，并至少再有一个航点',
+            addedToFlightPlan: '已加入飞行计划',
+            waypointPassed: '已通过航点',
+            continueFlight: '继续飞往',
+            importRoute: '导入 GPX/KML',
+            routeImported: '已导入航点',
+            routeImportFailed: '不是包含有效坐标的 GPX 航路或 KML 线路',
+            routeImportNeedsGround: '请先着陆再导入航路',
+            dropRoute: '拖放 GPX 或 KML 文件以规划航路',
             
             // HUD
             altitude: '高度',
@@ -118,8 +272,17 @@ const I18n = {
             heading: '航向',
             distance: '距离',
             flightTime: '时间',
+            fuel: '燃油',
+            range: '航程',
             destination: '目的地',
             noDestination: '无目的地',
+            eta: '预计',
+            
+            // Runways
+            runways: '跑道',
+            selectRunway: '选择跑道',
+            headwind: '逆风',
+            tailwind: '顺风',
             
             // Settings
             language: '语言',
@@ -134,6 +297,20 @@ const I18n = {
             high: '高',
             medium: '中',
             low: '低',
+            unitSystem: '单位',
+            metric: '公制 (米、千米/时)',
+            imperial: '航空 (英尺、节、海里)',
+            mapScale: '地图比例',
+            compressed: '压缩 (更快)',
+            real: '真实 (1:1)',
+            traffic: '空中交通',
+            trafficOff: '关闭',
+            trafficLight: '少量',
+            trafficBusy: '繁忙',
+            trafficAlertRange: '交通警告范围',
+            alertNear: '近',
+            alertStandard: '标准',
+            alertWide: '远',
             close: '关闭',
             
             // Views
@@ -160,12 +337,113 @@ const I18n = {
             selectAircraftFirst: '请先选择飞机',
             takeoffSuccess: '起飞成功！',
             arrivedAtDestination: '已到达目的地！',
+            lowFuel: '燃油不足 - 已进入备用油量',
+            fuelExhausted: '燃油耗尽 - 发动机停车，请滑翔降落',
+            autopilotDisconnected: '自动驾驶已断开',
+            autopilotApproach: '自动驾驶已断开 - 请手动进近',
+            autothrottleDisconnected: '自动油门已断开',
+            navNeedsDestination: '请先设置目的地以使用导航模式',
+            warnStallWarning: '失速警告',
+            warnStall: '失速',
+            warnOverspeed: '超速',
+            warnOverstress: '过载',
+            warnStructuralFailure: '结构损坏',
+            warnGearUnsafe: '起落架未放下',
+            warnTraffic: '交通警告',
+            
+            // Time acceleration
+            timeRate: '时间',
+            timeRateWarning: '出现警告 - 恢复实时',
+            timeRateApproach: '接近目的地 - 恢复实时',
+            timeRateUnavailable: '仅在巡航时可以加速时间',
+            
+            // Taxiing
+            taxiHint: '滑行: Q/E 转向, Shift/Ctrl 油门, B 刹车 - T 开始起飞滑跑',
+            taxiHintMobile: '滑行: 摇杆转向, SPD 调节油门, BRK 刹车 - T/O 开始起飞滑跑',
+            lineUpOnRunway: '请对准跑道后再开始起飞滑跑',
+            
+            // Flight summary
+            flightSummary: '飞行总结',
+            landingPerfect: '完美着陆',
+            landingSmooth: '平稳着陆',
+            landingAcceptable: '合格着陆',
+            landingHard: '重着陆',
+            landingUnsafe: '危险着陆',
+            touchdownRate: '接地下降率',
+            touchdownDistance: '距机场距离',
+            bankAngle: '坡度',
+            totalFlightTime: '飞行时间',
+            distanceFlown: '飞行距离',
+            maxAltitude: '最大高度',
+            maxSpeed: '最大速度',
+            flyAgain: '再飞一次',
+            
+            // Crash report
+            crashReport: '坠机报告',
+            crashTerrain: '撞击地面',
+            crashHardLanding: '在机场重重撞地',
+            crashGearUp: '未放起落架着陆',
+            crashStructuralFailure: '机体在空中解体',
+            impactSpeed: '撞击速度',
+            crashLocation: '位置',
+            restartFrom: '重新起飞于',
+            respawnInAir: '空中重生',
+            chooseAirport: '选择机场',
+            
+            // Failures
+            trainingScenario: '训练',
+            failureMode: '故障',
+            scenarioOff: '关闭',
+            scenarioRandom: '随机',
+            scenarioScheduled: '定时',
+            scenarioRandomNote: '起飞一分钟后可能发生任意故障，大约每十分钟一次。',
+            never: '从不',
+            failureEngine: '发动机故障',
+            failureFuelLeak: '燃油泄漏',
+            failureHydraulic: '液压故障',
+            failureInstruments: '仪表故障',
+            failureElectrical: '电气故障',
+            checklistEngine: '发动机故障\n1. 保持最佳滑翔速度\n2. 选择迫降场地\n3. 检查燃油量',
+            checklistFuelLeak: '燃油泄漏\n1. 监控燃油量和航程\n2. 备降最近的机场\n3. 做好发动机停车准备',
+            checklistHydraulic: '液压故障\n1. 操纵会变得沉重\n2. 襟翼和扰流板失效\n3. 提前放下起落架 (仅重力放出)',
+            checklistInstruments: '仪表故障\n1. 交叉检查其余仪表\n2. 参照外部目视飞行\n3. 避免大幅度姿态变化',
+            checklistElectrical: '电气故障\n1. 自动驾驶和驾驶舱照明失效\n2. 人工驾驶\n3. 尽快着陆',
             
             // Aircraft selection
             selectAircraft: '选择飞机',
             
             // Search
             searchAirport: '搜索机场...',
+            
+            // Multiplayer
+            multiplayer: '多人游戏',
+            multiplayerHint: '在局域网内任意一台电脑上运行 "node server/relay.js" 启动中继服务器，然后让所有浏览器连接到它的地址。',
+            serverAddress: '服务器',
+            playerName: '飞行员名称',
+            connect: '连接',
+            disconnect: '断开',
+            mpOffline: '未连接',
+            mpConnecting: '正在连接...',
+            mpOnline: '已连接',
+            mpConnectionFailed: '无法连接到多人游戏服务器',
+            playersOnline: '飞行员',
+            playerJoined: '加入了',
+            playerLeft: '离开了',
+            chatPlaceholder: '输入消息，按回车发送',
+            
+            // Replays
+            replays: '回放',
+            noReplays: '还没有飞行记录。每次飞行都会自动记录。',
+            watchReplay: '观看回放',
+            replayNeedsGround: '结束飞行后才能观看回放',
+            replayUnavailable: '无法读取该记录',
+            outcomeLanded: '已着陆',
+            outcomeCrashed: '坠毁',
+            outcomeAbandoned: '未完成',
+            
+            // Track export
+            exportTrack: '导出航迹',
+            trackUnavailable: '本次飞行没有记录航迹',
         }
     },
     
@@ -199,6 +477,18 @@ const I18n = {
         }
     },
     
+    /**
+     * Add translations supplied by data files
+     * @param {Object} translations - { en: { key: text }, zh: { key: text } }
+     */
+    addTranslations(translations) {
+        Object.keys(translations).forEach(lang => {
+            if (this.translations[lang]) {
+                Object.assign(this.translations[lang], translations[lang]);
+            }
+        });
+    },
+    
     /**
      * Get translation for a key
      * @param {string} key - Translation key
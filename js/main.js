@@ -157,20 +157,57 @@ const Game = {
         }
         
         // Initialize Aircraft
-        Aircraft.init(this.scene);
+        await Aircraft.init(this.scene);
         
         // Initialize Airports
         await Airports.init(this.scene);
         
+        // Initialize flight plan (before the summary so landings advance the plan first)
+        FlightPlan.init();
+        
+        // Accept GPX and KML routes dropped onto the page
+        RouteImport.init();
+        
+        // Initialize route and flown track lines
+        Route.init(this.scene);
+        
+        // Initialize the departure airport surface
+        Airfield.init(this.scene);
+        
+        // Initialize AI traffic
+        Traffic.init(this.scene);
+        
+        // Initialize multiplayer (connects from its menu)
+        Multiplayer.init(this.scene);
+        
+        // Initialize the flight recorder and replay player
+        Recorder.init();
+        Replay.init();
+        
         // Initialize Camera controller
         Camera.init(this.camera);
         
         // Initialize Controls
         Controls.init();
         
+        // Initialize Autopilot
+        Autopilot.init();
+        
         // Initialize HUD
         HUD.init();
         
+        // Initialize post-flight summary
+        FlightSummary.init();
+        
+        // Initialize crash handling
+        Crash.init(this.scene);
+        
+        // Initialize failure injection
+        Failures.init();
+        
+        // Initialize automatic return to real time
+        Simulation.init();
+        
         // Initialize Audio
         if (typeof Audio !== 'undefined') {
             Audio.init();
@@ -189,6 +226,39 @@ const Game = {
             Aircraft.stabilize();
         });
         
+        Controls.onAutopilotToggle(() => {
+            Autopilot.toggle();
+        });
+        
+        Controls.onNavToggle(() => {
+            Autopilot.toggleNav();
+        });
+        
+        Controls.onGearToggle(() => {
+            Aircraft.toggleGear();
+        });
+        
+        Controls.onFlapsChange((direction) => {
+            Aircraft.changeFlaps(direction);
+        });
+        
+        Controls.onSpoilersToggle(() => {
+            Aircraft.toggleSpoilers();
+        });
+        
+        Controls.onTimeRateChange((direction) => {
+            const changed = direction === 0 ? Simulation.cycleRate() : Simulation.changeRate(direction);
+            if (!changed && this.isFlying) {
+                HUD.showMessage(I18n.t('timeRateUnavailable'));
+            }
+        });
+        
+        Controls.onTakeoffRoll(() => {
+            if (Aircraft.getFlightPhase() === 'taxiing' && !Aircraft.startTakeoffRoll()) {
+                HUD.showMessage(I18n.t('lineUpOnRunway'));
+            }
+        });
+        
         // Setup orbit controls for pre-flight Earth exploration
         if (typeof THREE.OrbitControls !== 'undefined') {
             this.orbitControls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
@@ -220,6 +290,42 @@ const Game = {
             }
         });
         
+        // Landed event - flight is over, return to Earth exploration
+        window.addEventListener('landed', () => {
+            this.isFlying = false;
+            
+            if (typeof Audio !== 'undefined') {
+                Audio.playNotification('success');
+            }
+            HUD.hide();
+            Airports.clearDestination();
+            
+            if (Settings.isMobile()) {
+                Controls.showMobileControls(false);
+            }
+            
+            this.returnToGlobe();
+        });
+        
+        // Crashed event - keep the camera on the wreck until the pilot chooses what next
+        window.addEventListener('crashed', () => {
+            this.isFlying = false;
+            
+            HUD.hide();
+            
+            if (Settings.isMobile()) {
+                Controls.showMobileControls(false);
+            }
+        });
+        
+        // Respawned event - back in the air above the crash site
+        window.addEventListener('respawned', () => {
+            this.isFlying = true;
+            if (this.orbitControls) {
+                this.orbitControls.enabled = false;
+            }
+        });
+        
         // Focus airport event
         window.addEventListener('focusAirport', (e) => {
             if (!this.isFlying && this.orbitControls) {
@@ -243,6 +349,22 @@ const Game = {
         }
     },
     
+    /**
+     * Orbit the globe again, starting above the aircraft's last position
+     */
+    returnToGlobe() {
+        Traffic.clear();
+        
+        const position = Aircraft.getGroup().position;
+        this.camera.position.copy(position.clone().normalize().multiplyScalar(150));
+        this.camera.up.set(0, 1, 0);
+        if (this.orbitControls) {
+            this.orbitControls.target.set(0, 0, 0);
+            this.orbitControls.enabled = true;
+            this.orbitControls.update();
+        }
+    },
+    
     /**
      * Handle window resize
      */
@@ -265,12 +387,13 @@ const Game = {
             e.target.closest('.hud') ||
             e.target.closest('.airport-info-panel') ||
             e.target.closest('.mobile-buttons') ||
-            e.target.closest('.joystick-area')) {
+            e.target.closest('.joystick-area') ||
+            e.target.closest('.replay-bar')) {
             return;
         }
         
-        // Only allow airport selection when not flying
-        if (this.isFlying) return;
+        // Only allow airport selection when not flying or watching a replay
+        if (this.isFlying || Replay.active) return;
         
         // Calculate mouse position in normalized device coordinates
         this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
@@ -293,12 +416,13 @@ const Game = {
             e.target.closest('.hud') ||
             e.target.closest('.airport-info-panel') ||
             e.target.closest('.mobile-buttons') ||
-            e.target.closest('.joystick-area')) {
+            e.target.closest('.joystick-area') ||
+            e.target.closest('.replay-bar')) {
             return;
         }
         
-        // Only allow airport selection when not flying
-        if (this.isFlying) return;
+        // Only allow airport selection when not flying or watching a replay
+        if (this.isFlying || Replay.active) return;
         
         // Use changedTouches for touchend event
         if (e.changedTouches.length === 0) return;
@@ -351,21 +475,45 @@ const Game = {
         
         if (this.isPaused) return;
         
+        // Real time drives the visuals; the flight itself runs in fixed simulation steps
         const deltaTime = this.clock.getDelta();
         
         // Update controls input
         const input = Controls.update();
         
         if (this.isFlying) {
-            // Apply input to aircraft
-            Aircraft.setInput(input);
+            Simulation.advance(deltaTime, (step) => {
+                // Apply input to aircraft, with the autopilot flying any engaged modes
+                Aircraft.setInput(Autopilot.update(input, step));
+                
+                // Update aircraft
+                Aircraft.update(step);
+                
+                // Strike any scheduled or random failures
+                Failures.update(step);
+                
+                // Sample the flight for replays
+                Recorder.update(step);
+                
+                // Fly the AI traffic and check separation
+                Traffic.update(step);
+            });
             
-            // Update aircraft
-            Aircraft.update(deltaTime);
+            // Draw the aircraft between the last two steps
+            Aircraft.interpolate(Simulation.getAlpha());
             
             // Update camera to follow aircraft
             Camera.update(Aircraft, deltaTime);
             
+            // Extend the flown track
+            Route.update(Aircraft);
+            
+            // Keep the airport surface under the wheels
+            Airfield.update(Aircraft);
+            
+            // Place the AI traffic
+            Traffic.updateMeshes();
+            
             // Update clouds
             if (typeof Clouds !== 'undefined' && Clouds.group) {
                 Clouds.update(deltaTime, Aircraft);
@@ -384,23 +532,47 @@ const Game = {
             // Update HUD
             const state = Aircraft.getState();
             const currentType = Aircraft.getCurrentType();
+            const arrival = Aircraft.getArrivalGuidance();
             HUD.update({
                 altitude: state.altitude,
                 speed: state.speed,
                 heading: state.heading,
                 pitch: state.pitch,
                 verticalSpeed: state.verticalSpeed,
+                loadFactor: state.loadFactor,
+                maxLoadFactor: currentType ? currentType.maxLoadFactor : Infinity,
+                minLoadFactor: currentType ? currentType.minLoadFactor : -Infinity,
                 maxSpeed: currentType ? currentType.maxSpeed : 1000,
                 distance: Aircraft.getDistanceToDestination(),
-                flightTime: Aircraft.getFlightTime()
+                timeToGo: arrival ? arrival.timeToGo : null,
+                wind: Aircraft.getWindTriangle(),
+                flightTime: Aircraft.getFlightTime(),
+                fuel: state.fuel,
+                fuelCapacity: currentType ? currentType.fuelCapacity : 0,
+                fuelReserve: currentType ? currentType.fuelReserve : 0,
+                range: Aircraft.getEstimatedRange(),
+                autopilot: Autopilot.getStatus(),
+                systems: Aircraft.getSystems(),
+                traffic: Traffic.getTargets(),
+                trafficAdvisory: Traffic.advisory,
+                timeRate: Simulation.rate
             });
+        } else if (Replay.active) {
+            // Play back a recorded flight
+            Replay.update(deltaTime);
         } else {
-            // Update orbit controls for Earth exploration
-            if (this.orbitControls) {
+            // Update orbit controls for Earth exploration; left off while the camera watches a crash
+            if (this.orbitControls && this.orbitControls.enabled) {
                 this.orbitControls.update();
             }
         }
         
+        // Share this aircraft and draw the other players, in flight or not
+        Multiplayer.update(deltaTime);
+        
+        // Burn out any crash effect
+        Crash.update(deltaTime);
+        
         // Render scene
         this.renderer.render(this.scene, this.camera);
     },
@@ -511,6 +683,9 @@ const Game = {
      */
     resume() {
         this.isPaused = false;
+        
+        // Don't simulate the time spent paused
+        this.clock.getDelta();
     }
 };
 
@@ -0,0 +1,584 @@
+/**
+ * Sky Flight - Multiplayer Module
+ * Shares the world with other browsers through the relay in server/relay.js:
+ * broadcasts this aircraft, draws the others between their last states, and carries chat
+ */
+
+const Multiplayer = {
+    socket: null,
+    status: 'offline', // 'offline', 'connecting', 'online'
+    id: null,
+    name: '',
+    players: new Map(), // id -> { id, name, type, snapshots, group, model, label }
+    messages: [], // { name, text, own }
+    sendTimer: 0,
+    sentFlying: false, // whether the last state sent was in flight
+    clock: 0, // seconds since init, for snapshot timing
+    
+    // Network settings
+    settings: {
+        defaultPort: 8080,
+        sendInterval: 0.1, // seconds between states sent
+        interpolationDelay: 0.2, // seconds remote aircraft are drawn behind their latest state
+        staleTimeout: 10, // seconds without a state before a remote aircraft is hidden
+        maxSnapshots: 20,
+        maxMessages: 8, // chat lines shown
+        maxName: 16,
+        maxChat: 200,
+        labelHeight: 0.025 // name tag height as a share of the screen
+    },
+    
+    /**
+     * Initialize multiplayer
+     * @param {THREE.Scene} scene
+     */
+    init(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+        
+        this.createChat();
+        
+        // Enter opens the chat line while connected
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Enter' || this.status !== 'online') return;
+            if (e.target.closest && e.target.closest('input, textarea')) return;
+            
+            e.preventDefault();
+            this.openChat();
+        });
+        
+        window.addEventListener('languageChanged', () => {
+            this.updateChat();
+        });
+    },
+    
+    /**
+     * Get the relay address to offer by default
+     * @returns {string}
+     */
+    getDefaultServer() {
+        const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+        return `${protocol}://${location.hostname || 'localhost'}:${this.settings.defaultPort}`;
+    },
+    
+    /**
+     * Connect to a relay
+     * @param {string} url - ws:// or wss:// address
+     * @param {string} name - Player name shown to others
+     */
+    connect(url, name) {
+        this.disconnect();
+        
+        this.name = name.trim().slice(0, this.settings.maxName);
+        Settings.set('multiplayerServer', url);
+        Settings.set('playerName', this.name);
+        
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            HUD.showMessage(I18n.t('mpConnectionFailed'));
+            return;
+        }
+        
+        this.socket = socket;
+        this.setStatus('connecting');
+        
+        socket.addEventListener('open', () => {
+            this.send({ type: 'hello', name: this.name });
+        });
+        
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        });
+        
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            
+            if (this.status === 'connecting') {
+                HUD.showMessage(I18n.t('mpConnectionFailed'));
+            }
+            this.reset();
+        });
+    },
+    
+    /**
+     * Leave the shared world
+     */
+    disconnect() {
+        if (!this.socket) return;
+        
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.reset();
+    },
+    
+    /**
+     * Forget every remote player after the connection ends
+     */
+    reset() {
+        this.socket = null;
+        this.id = null;
+        this.players.forEach(player => this.removePlayer(player.id));
+        this.messages = [];
+        this.setStatus('offline');
+    },
+    
+    /**
+     * Change the connection status
+     * @param {string} status - 'offline', 'connecting' or 'online'
+     */
+    setStatus(status) {
+        if (status === this.status) return;
+        
+        this.status = status;
+        this.updateChat();
+        this.updateSetup();
+        
+        window.dispatchEvent(new CustomEvent('multiplayerStatus', {
+            detail: { status }
+        }));
+    },
+    
+    /**
+     * Send a message to the relay
+     * @param {Object} message
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    },
+    
+    /**
+     * Handle a message from the relay
+     * @param {Object} message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.name = message.name;
+                message.players.forEach(player => this.addPlayer(player.id, player.name));
+                this.sentFlying = false;
+                this.setStatus('online');
+                break;
+            case 'join':
+                this.addPlayer(message.id, message.name);
+                HUD.showMessage(`${message.name} ${I18n.t('playerJoined')}`);
+                break;
+            case 'leave': {
+                const player = this.players.get(message.id);
+                if (player) {
+                    HUD.showMessage(`${player.name} ${I18n.t('playerLeft')}`);
+                    this.removePlayer(message.id);
+                }
+                break;
+            }
+            case 'state':
+                this.receiveState(message.id, message.state);
+                break;
+            case 'chat':
+                this.addMessage(message.name, message.text, false);
+                break;
+        }
+    },
+    
+    /**
+     * Add a remote player
+     * @param {number} id
+     * @param {string} name
+     * @returns {Object}
+     */
+    addPlayer(id, name) {
+        if (this.players.has(id)) return this.players.get(id);
+        
+        const group = new THREE.Group();
+        group.visible = false;
+        
+        const label = this.createLabel(name);
+        group.add(label);
+        this.group.add(group);
+        
+        const player = { id, name, type: null, snapshots: [], group, model: null, label };
+        this.players.set(id, player);
+        this.updateChat();
+        this.updateSetup();
+        return player;
+    },
+    
+    /**
+     * Remove a remote player and its aircraft
+     * @param {number} id
+     */
+    removePlayer(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+        
+        this.group.remove(player.group);
+        player.label.material.map.dispose();
+        player.label.material.dispose();
+        this.players.delete(id);
+        this.updateChat();
+        this.updateSetup();
+    },
+    
+    /**
+     * Create a name tag that stays the same size on screen
+     * @param {string} name
+     * @returns {THREE.Sprite}
+     */
+    createLabel(name) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#00ff88';
+        context.font = 'bold 36px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(name, canvas.width / 2, canvas.height / 2);
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            sizeAttenuation: false
+        }));
+        const height = this.settings.labelHeight;
+        sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+        sprite.center.set(0.5, -0.5); // above the aircraft
+        return sprite;
+    },
+    
+    /**
+     * Store a remote aircraft's state for interpolation
+     * @param {number} id
+     * @param {Object} state - From getSnapshot()
+     */
+    receiveState(id, state) {
+        const player = this.players.get(id);
+        if (!player || !Array.isArray(state.position) || !Array.isArray(state.quaternion)) return;
+        
+        // Build the aircraft once its type is known, and again if it changes
+        if (state.type !== player.type && Aircraft.types[state.type]) {
+            if (player.model) player.group.remove(player.model);
+            player.model = Aircraft.createAircraftMesh(state.type);
+            player.group.add(player.model);
+            player.type = state.type;
+        }
+        
+        player.snapshots.push({
+            time: this.clock,
+            position: new THREE.Vector3().fromArray(state.position),
+            quaternion: new THREE.Quaternion().fromArray(state.quaternion),
+            state
+        });
+        if (player.snapshots.length > this.settings.maxSnapshots) {
+            player.snapshots.shift();
+        }
+    },
+    
+    /**
+     * Get this aircraft's state to broadcast
+     * @returns {Object}
+     */
+    getSnapshot() {
+        const state = Aircraft.getState();
+        const pose = Aircraft.pose;
+        
+        return {
+            type: Aircraft.currentType ? Aircraft.currentType.id : null,
+            isFlying: state.isFlying,
+            phase: Aircraft.getFlightPhase(),
+            position: state.position.toArray(),
+            quaternion: pose.quaternion.clone().multiply(pose.meshQuaternion).toArray(),
+            altitude: state.altitude,
+            speed: state.speed,
+            heading: state.heading,
+            pitch: state.pitch,
+            roll: state.roll,
+            verticalSpeed: state.verticalSpeed,
+            throttle: state.throttle
+        };
+    },
+    
+    /**
+     * Send this aircraft's state and draw everyone else's
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    update(deltaTime) {
+        this.clock += deltaTime;
+        if (this.status !== 'online') return;
+        
+        // States go out on a fixed interval while flying, with one last one when the flight ends
+        const flying = Aircraft.state.isFlying;
+        this.sendTimer += deltaTime;
+        if ((flying || this.sentFlying) && this.sendTimer >= this.settings.sendInterval) {
+            this.sendTimer = 0;
+            this.send({ type: 'state', state: this.getSnapshot() });
+            this.sentFlying = flying;
+        }
+        
+        this.players.forEach(player => this.updatePlayer(player));
+    },
+    
+    /**
+     * Place a remote aircraft between the two states around the render time
+     * @param {Object} player
+     */
+    updatePlayer(player) {
+        const snapshots = player.snapshots;
+        const latest = snapshots[snapshots.length - 1];
+        
+        if (!latest || !latest.state.isFlying || !player.model ||
+            this.clock - latest.time > this.settings.staleTimeout) {
+            player.group.visible = false;
+            return;
+        }
+        player.group.visible = true;
+        
+        const renderTime = this.clock - this.settings.interpolationDelay;
+        
+        // Past the newest state: hold it rather than guess where the aircraft went
+        if (renderTime >= latest.time || snapshots.length === 1) {
+            player.group.position.copy(latest.position);
+            player.model.quaternion.copy(latest.quaternion);
+            return;
+        }
+        
+        let index = snapshots.findIndex(snapshot => snapshot.time > renderTime);
+        if (index <= 0) index = 1;
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        const alpha = THREE.MathUtils.clamp((renderTime - from.time) / (to.time - from.time), 0, 1);
+        
+        player.group.position.lerpVectors(from.position, to.position, alpha);
+        player.model.quaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+    },
+    
+    /**
+     * Get the players sharing the world
+     * @returns {Object[]} { id, name, type, state }
+     */
+    getPlayers() {
+        return [...this.players.values()].map(player => {
+            const latest = player.snapshots[player.snapshots.length - 1];
+            return { id: player.id, name: player.name, type: player.type, state: latest ? latest.state : null };
+        });
+    },
+    
+    /**
+     * Send a chat line
+     * @param {string} text
+     */
+    sendChat(text) {
+        const line = text.trim().slice(0, this.settings.maxChat);
+        if (!line || this.status !== 'online') return;
+        
+        this.send({ type: 'chat', text: line });
+        this.addMessage(this.name, line, true);
+    },
+    
+    /**
+     * Add a line to the chat log
+     * @param {string} name
+     * @param {string} text
+     * @param {boolean} own - Sent from this browser
+     */
+    addMessage(name, text, own) {
+        this.messages.push({ name, text, own });
+        if (this.messages.length > this.settings.maxMessages) {
+            this.messages.shift();
+        }
+        this.updateChat();
+    },
+    
+    /**
+     * Create the chat box
+     */
+    createChat() {
+        const chat = document.createElement('div');
+        chat.id = 'mp-chat';
+        chat.className = 'mp-chat';
+        
+        chat.innerHTML = `
+            <div class="mp-chat-header">
+                <span id="mp-chat-players"></span>
+                <button class="mp-chat-btn" onclick="Multiplayer.openChat()">💬</button>
+            </div>
+            <div class="mp-chat-log" id="mp-chat-log"></div>
+            <input type="text" id="mp-chat-input" class="mp-chat-input" maxlength="${this.settings.maxChat}"
+                   placeholder="${I18n.t('chatPlaceholder')}" data-i18n-placeholder="chatPlaceholder">
+        `;
+        
+        document.body.appendChild(chat);
+        
+        const input = document.getElementById('mp-chat-input');
+        input.addEventListener('keydown', (e) => {
+            if (e.code === 'Enter') {
+                this.sendChat(input.value);
+                this.closeChat();
+            } else if (e.code === 'Escape') {
+                this.closeChat();
+            }
+        });
+        input.addEventListener('blur', () => this.closeChat());
+        
+        this.chat = { box: chat, log: document.getElementById('mp-chat-log'), input,
+            players: document.getElementById('mp-chat-players') };
+        this.updateChat();
+    },
+    
+    /**
+     * Show the chat line and focus it
+     */
+    openChat() {
+        if (this.status !== 'online') return;
+        
+        this.chat.box.classList.add('typing');
+        this.chat.input.focus();
+    },
+    
+    /**
+     * Hide the chat line
+     */
+    closeChat() {
+        this.chat.input.value = '';
+        this.chat.input.blur();
+        this.chat.box.classList.remove('typing');
+    },
+    
+    /**
+     * Redraw the chat box
+     */
+    updateChat() {
+        if (!this.chat) return;
+        
+        this.chat.box.classList.toggle('visible', this.status === 'online');
+        this.chat.players.textContent = `${I18n.t('playersOnline')}: ${this.players.size + 1}`;
+        
+        // Names and lines come from other players; keep them as plain text
+        this.chat.log.replaceChildren(...this.messages.map(message => {
+            const line = document.createElement('div');
+            line.className = `mp-chat-line${message.own ? ' own' : ''}`;
+            
+            const name = document.createElement('span');
+            name.className = 'mp-chat-name';
+            name.textContent = `${message.name}:`;
+            
+            line.append(name, ` ${message.text}`);
+            return line;
+        }));
+    },
+    
+    /**
+     * Show the connection dialog
+     */
+    showSetup() {
+        const existing = document.getElementById('multiplayer-panel');
+        if (existing) existing.remove();
+        
+        const panel = document.createElement('div');
+        panel.id = 'multiplayer-panel';
+        panel.className = 'modal-overlay';
+        
+        panel.innerHTML = `
+            <div class="modal-content multiplayer-content">
+                <div class="modal-header">
+                    <h2 data-i18n="multiplayer">${I18n.t('multiplayer')}</h2>
+                    <button class="close-btn" onclick="Multiplayer.hideSetup()">×</button>
+                </div>
+                
+                <p class="scenario-note" data-i18n="multiplayerHint">${I18n.t('multiplayerHint')}</p>
+                
+                <div class="settings-section">
+                    <label data-i18n="serverAddress">${I18n.t('serverAddress')}</label>
+                    <input type="text" id="mp-server" class="mp-field">
+                </div>
+                
+                <div class="settings-section">
+                    <label data-i18n="playerName">${I18n.t('playerName')}</label>
+                    <input type="text" id="mp-name" class="mp-field" maxlength="${this.settings.maxName}">
+                </div>
+                
+                <div class="mp-status" id="mp-status"></div>
+                <div class="mp-players" id="mp-players"></div>
+                
+                <div class="summary-actions" id="mp-actions"></div>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+        
+        // Values typed by the user go in as values, never as markup
+        document.getElementById('mp-server').value = Settings.get('multiplayerServer') || this.getDefaultServer();
+        document.getElementById('mp-name').value = Settings.get('playerName') || '';
+        this.updateSetup();
+        
+        requestAnimationFrame(() => {
+            panel.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Hide the connection dialog
+     */
+    hideSetup() {
+        const panel = document.getElementById('multiplayer-panel');
+        if (panel) {
+            panel.classList.remove('visible');
+            setTimeout(() => panel.remove(), 300);
+        }
+    },
+    
+    /**
+     * Refresh the status, player list and buttons in the connection dialog
+     */
+    updateSetup() {
+        const status = document.getElementById('mp-status');
+        if (!status) return;
+        
+        const statusKeys = { offline: 'mpOffline', connecting: 'mpConnecting', online: 'mpOnline' };
+        status.textContent = I18n.t(statusKeys[this.status]);
+        status.className = `mp-status ${this.status}`;
+        
+        const list = document.getElementById('mp-players');
+        list.replaceChildren(...(this.status === 'online' ? [this.name, ...[...this.players.values()].map(p => p.name)] : [])
+            .map(name => {
+                const item = document.createElement('span');
+                item.className = 'mp-player';
+                item.textContent = name;
+                return item;
+            }));
+        
+        const connected = this.status !== 'offline';
+        document.getElementById('mp-actions').innerHTML = `
+            <button class="action-btn ${connected ? 'secondary' : 'primary'}"
+                    onclick="Multiplayer.${connected ? 'disconnect()' : 'connectFromSetup()'}">
+                <span data-i18n="${connected ? 'disconnect' : 'connect'}">${I18n.t(connected ? 'disconnect' : 'connect')}</span>
+            </button>
+        `;
+    },
+    
+    /**
+     * Connect with the address and name typed into the dialog
+     */
+    connectFromSetup() {
+        const url = document.getElementById('mp-server').value.trim();
+        const name = document.getElementById('mp-name').value;
+        if (!url) return;
+        
+        this.connect(url, name);
+    }
+};
@@ -0,0 +1,279 @@
+/**
+ * Sky Flight - Recorder Module
+ * Samples each flight at a fixed rate and keeps the recordings in IndexedDB
+ */
+
+const Recorder = {
+    recording: null, // flight being recorded: { meta, samples, startTime }
+    timer: 0, // simulated seconds since the last sample
+    db: null, // Promise of the open database, or null when storage is unavailable
+    lastSave: Promise.resolve(null), // resolves to the id of the most recent recording saved
+    last: null, // most recent finished flight { meta, samples }, kept in memory for track export
+    
+    // Recording settings
+    settings: {
+        sampleInterval: 0.2, // simulated seconds between samples
+        minDuration: 10, // seconds; shorter recordings (an aborted taxi) are not kept
+        maxRecordings: 20, // oldest recordings are deleted beyond this
+        dbName: 'skyFlight',
+        dbVersion: 1
+    },
+    
+    // Flight phases stored by index to keep samples small
+    phases: ['taxiing', 'takeoff_roll', 'climbing', 'flying', 'descending', 'landing', 'rollout', 'landed', 'crashed'],
+    
+    /**
+     * Initialize recording on flight events
+     */
+    init() {
+        this.db = this.openDatabase();
+        
+        window.addEventListener('takeoff', (e) => {
+            this.start(e.detail.airport);
+        });
+        
+        window.addEventListener('landed', (e) => {
+            this.finish('landed', e.detail.airport);
+        });
+        
+        window.addEventListener('crashed', () => {
+            this.finish('crashed');
+        });
+        
+        // A respawn carries on as a new recording from the departure airport
+        window.addEventListener('respawned', () => {
+            this.start(Aircraft.state.takeoffAirport);
+        });
+    },
+    
+    /**
+     * Open the recordings database
+     * @returns {Promise<IDBDatabase>|null} null when the browser has no IndexedDB
+     */
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') return null;
+        
+        const db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.settings.dbName, this.settings.dbVersion);
+            
+            // Summaries and samples live apart, so the replays menu never loads whole flights
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains('recordings')) {
+                    database.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!database.objectStoreNames.contains('samples')) {
+                    database.createObjectStore('samples', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        // Private browsing can refuse storage; recording then just stays off
+        db.catch(error => console.warn('Flight recordings unavailable:', error));
+        return db;
+    },
+    
+    /**
+     * Run one transaction and wait for it to complete
+     * @param {string[]} stores - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the transaction; its return value is resolved
+     * @returns {Promise}
+     */
+    async transaction(stores, mode, work) {
+        if (!this.db) throw new Error('IndexedDB unavailable');
+        
+        const database = await this.db;
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(stores, mode);
+            let result;
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            result = work(tx);
+        });
+    },
+    
+    /**
+     * Start recording a flight, saving any flight still being recorded
+     * @param {Object} airport - Departure airport
+     */
+    start(airport) {
+        if (this.recording) {
+            this.finish('abandoned');
+        }
+        
+        const type = Aircraft.getCurrentType();
+        this.recording = {
+            meta: {
+                date: Date.now(),
+                type: type ? type.id : null,
+                from: airport ? airport.iata : null,
+                to: null,
+                departure: this.describeAirport(airport),
+                arrival: null,
+                outcome: null,
+                duration: 0,
+                distance: 0,
+                maxAltitude: 0,
+                sampleInterval: this.settings.sampleInterval,
+                seed: Simulation.seed // seed of the random sequence the flight ran on
+            },
+            samples: [],
+            startTime: Simulation.time
+        };
+        this.timer = 0;
+        this.sample();
+    },
+    
+    /**
+     * Keep what a recording needs of an airport; the full record carries runways and markers
+     * @param {Object} airport
+     * @returns {Object|null} { iata, name, lat, lon }
+     */
+    describeAirport(airport) {
+        if (!airport) return null;
+        
+        return { iata: airport.iata, name: airport.name, lat: airport.lat, lon: airport.lon };
+    },
+    
+    /**
+     * Take a sample when the interval has passed; called every physics step
+     * @param {number} deltaTime - Simulated seconds
+     */
+    update(deltaTime) {
+        if (!this.recording) return;
+        
+        this.timer += deltaTime;
+        if (this.timer >= this.settings.sampleInterval) {
+            this.timer -= this.settings.sampleInterval;
+            this.sample();
+        }
+    },
+    
+    /**
+     * Record the aircraft's state and control inputs now
+     */
+    sample() {
+        if (!this.recording) return;
+        
+        const state = Aircraft.getState();
+        const geo = Aircraft.getPosition();
+        const pose = Aircraft.pose;
+        const input = Aircraft.input;
+        
+        // The pose is what the mesh was drawn from: horizon frame plus attitude within it
+        this.recording.samples.push({
+            t: Simulation.time - this.recording.startTime,
+            phase: this.phases.indexOf(Aircraft.getFlightPhase()),
+            position: state.position.toArray(),
+            quaternion: pose.quaternion.toArray(),
+            meshQuaternion: pose.meshQuaternion.toArray(),
+            lat: geo.lat,
+            lon: geo.lon,
+            speed: state.speed,
+            altitude: geo.altitude,
+            heading: state.heading,
+            pitch: state.pitch,
+            roll: state.roll,
+            verticalSpeed: state.verticalSpeed,
+            throttle: state.throttle,
+            input: [input.pitch, input.roll, input.yaw, input.throttle]
+        });
+    },
+    
+    /**
+     * Stop recording and save the flight
+     * @param {string} outcome - 'landed', 'crashed' or 'abandoned'
+     * @param {Object} airport - Arrival airport, when landed
+     */
+    finish(outcome, airport = null) {
+        if (!this.recording) return;
+        
+        // The final state, whenever it falls between samples
+        this.sample();
+        const recording = this.recording;
+        this.recording = null;
+        
+        const samples = recording.samples;
+        const meta = recording.meta;
+        const stats = Aircraft.getStats();
+        meta.outcome = outcome;
+        meta.to = airport ? airport.iata : null;
+        meta.arrival = this.describeAirport(airport);
+        meta.duration = samples.length > 0 ? samples[samples.length - 1].t - samples[0].t : 0;
+        meta.distance = stats.distanceFlown;
+        meta.maxAltitude = stats.maxAltitude;
+        this.last = recording;
+        
+        if (meta.duration < this.settings.minDuration) return;
+        
+        this.lastSave = this.save(meta, samples).catch(error => {
+            console.warn('Could not save flight recording:', error);
+            return null;
+        });
+    },
+    
+    /**
+     * Store a recording, dropping the oldest beyond the limit
+     * @param {Object} meta - Recording summary
+     * @param {Object[]} samples
+     * @returns {Promise<number>} The new recording's id
+     */
+    async save(meta, samples) {
+        const id = await this.transaction(['recordings', 'samples'], 'readwrite', (tx) => {
+            const request = tx.objectStore('recordings').add(meta);
+            request.onsuccess = () => {
+                tx.objectStore('samples').put({ id: request.result, samples });
+            };
+            return request;
+        });
+        
+        const recordings = await this.list();
+        await Promise.all(recordings.slice(this.settings.maxRecordings).map(old => this.remove(old.id)));
+        
+        return id;
+    },
+    
+    /**
+     * List saved recordings, newest first
+     * @returns {Promise<Object[]>} Summaries { id, date, type, from, to, departure, arrival, outcome, duration, distance, maxAltitude }
+     */
+    async list() {
+        const recordings = await this.transaction(['recordings'], 'readonly',
+            tx => tx.objectStore('recordings').getAll());
+        return recordings.sort((a, b) => b.date - a.date);
+    },
+    
+    /**
+     * Load a recording with its samples
+     * @param {number} id
+     * @returns {Promise<Object|null>} { meta, samples }
+     */
+    async load(id) {
+        let meta;
+        let track;
+        await this.transaction(['recordings', 'samples'], 'readonly', (tx) => {
+            const metaRequest = tx.objectStore('recordings').get(id);
+            metaRequest.onsuccess = () => { meta = metaRequest.result; };
+            const trackRequest = tx.objectStore('samples').get(id);
+            trackRequest.onsuccess = () => { track = trackRequest.result; };
+        });
+        
+        return meta && track ? { meta, samples: track.samples } : null;
+    },
+    
+    /**
+     * Delete a recording
+     * @param {number} id
+     * @returns {Promise}
+     */
+    remove(id) {
+        return this.transaction(['recordings', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('recordings').delete(id);
+            tx.objectStore('samples').delete(id);
+        });
+    }
+};
@@ -0,0 +1,428 @@
+/**
+ * Sky Flight - Replay Module
+ * Lists saved flight recordings and plays them back through the aircraft and camera
+ */
+
+const Replay = {
+    active: false,
+    recording: null, // { meta, samples }
+    time: 0, // seconds into the recording
+    playing: false,
+    speed: 1,
+    saved: null, // aircraft type, visibility and pose to restore afterwards
+    elements: {},
+    
+    // Selectable playback speeds
+    speeds: [0.5, 1, 2, 4, 8, 16, 32],
+    
+    /**
+     * Initialize the replay controls
+     */
+    init() {
+        this.createBar();
+        
+        // A new flight takes over the aircraft and camera; nothing to put back
+        window.addEventListener('takeoff', () => {
+            if (this.active) {
+                this.end();
+                this.saved = null;
+            }
+        });
+        
+        // Stand-in for the aircraft when the camera follows a replay
+        this.cameraTarget = {
+            state: { isFlying: true, speed: 0, buffet: 0 },
+            currentType: null,
+            group: null,
+            mesh: null,
+            phase: 'flying',
+            getFlightPhase() {
+                return this.phase;
+            }
+        };
+    },
+    
+    /**
+     * Create the playback bar
+     */
+    createBar() {
+        const bar = document.createElement('div');
+        bar.id = 'replay-bar';
+        bar.className = 'replay-bar';
+        
+        bar.innerHTML = `
+            <div class="replay-info">
+                <span class="replay-title" id="replay-title"></span>
+                <span class="replay-readout" id="replay-readout"></span>
+            </div>
+            <input type="range" class="replay-seek" id="replay-seek" min="0" max="1" step="0.1" value="0">
+            <div class="replay-controls">
+                <button class="replay-btn" id="replay-play" onclick="Replay.togglePlay()">⏸</button>
+                <button class="replay-btn" onclick="Replay.changeSpeed(-1)">−</button>
+                <span class="replay-speed" id="replay-speed">1x</span>
+                <button class="replay-btn" onclick="Replay.changeSpeed(1)">+</button>
+                <span class="replay-time" id="replay-time">00:00 / 00:00</span>
+                <button class="replay-btn" onclick="Camera.nextView()">🎥</button>
+                <button class="replay-btn" onclick="Replay.stop()">
+                    <span data-i18n="close">${I18n.t('close')}</span>
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(bar);
+        
+        this.elements = {
+            bar,
+            title: document.getElementById('replay-title'),
+            readout: document.getElementById('replay-readout'),
+            seek: document.getElementById('replay-seek'),
+            play: document.getElementById('replay-play'),
+            speed: document.getElementById('replay-speed'),
+            time: document.getElementById('replay-time')
+        };
+        
+        this.elements.seek.addEventListener('input', () => {
+            this.seek(parseFloat(this.elements.seek.value));
+        });
+    },
+    
+    /**
+     * Load a recording and start playing it
+     * @param {number} id - Recording id
+     */
+    async play(id) {
+        if (Game.isFlying) {
+            HUD.showMessage(I18n.t('replayNeedsGround'));
+            return;
+        }
+        
+        let recording = null;
+        try {
+            recording = await Recorder.load(id);
+        } catch (error) {
+            console.warn('Could not load flight recording:', error);
+        }
+        if (!recording || recording.samples.length < 2) {
+            HUD.showMessage(I18n.t('replayUnavailable'));
+            return;
+        }
+        
+        this.hideMenu();
+        if (this.active) this.stop();
+        
+        // Remember the aircraft as it was, to put it back afterwards
+        const group = Aircraft.getGroup();
+        this.saved = {
+            type: Aircraft.currentType ? Aircraft.currentType.id : null,
+            visible: group.visible,
+            position: group.position.clone(),
+            quaternion: group.quaternion.clone(),
+            meshQuaternion: Aircraft.mesh ? Aircraft.mesh.quaternion.clone() : null
+        };
+        
+        if (recording.meta.type && Aircraft.types[recording.meta.type]) {
+            Aircraft.setType(recording.meta.type);
+        }
+        group.visible = true;
+        
+        this.recording = recording;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = true;
+        this.active = true;
+        
+        if (Game.orbitControls) {
+            Game.orbitControls.enabled = false;
+        }
+        Camera.setView('thirdPerson', false);
+        
+        const meta = recording.meta;
+        const typeName = meta.type ? I18n.t(`aircraft.${meta.type}`) : '';
+        this.elements.title.textContent = `${meta.from || '---'} → ${meta.to || '---'} · ${typeName}`;
+        this.elements.seek.max = this.getDuration();
+        this.elements.bar.classList.add('visible');
+        
+        this.applyFrame();
+        this.updateBar();
+    },
+    
+    /**
+     * Play the most recently saved recording
+     */
+    async playLatest() {
+        const id = await Recorder.lastSave;
+        if (id === null) {
+            HUD.showMessage(I18n.t('replayUnavailable'));
+            return;
+        }
+        
+        FlightSummary.hide();
+        this.play(id);
+    },
+    
+    /**
+     * End the replay and return to the globe
+     */
+    stop() {
+        if (!this.active) return;
+        
+        this.end();
+        
+        // Put the aircraft back as the last flight left it
+        const saved = this.saved;
+        if (saved.type && (!Aircraft.currentType || Aircraft.currentType.id !== saved.type)) {
+            Aircraft.setType(saved.type);
+        }
+        const group = Aircraft.getGroup();
+        group.visible = saved.visible;
+        group.position.copy(saved.position);
+        group.quaternion.copy(saved.quaternion);
+        if (saved.meshQuaternion && Aircraft.mesh) {
+            Aircraft.mesh.quaternion.copy(saved.meshQuaternion);
+        }
+        this.saved = null;
+        
+        Game.returnToGlobe();
+    },
+    
+    /**
+     * Stop playback and hide the controls
+     */
+    end() {
+        this.active = false;
+        this.playing = false;
+        this.recording = null;
+        this.elements.bar.classList.remove('visible');
+    },
+    
+    /**
+     * Get the recording's length
+     * @returns {number} seconds
+     */
+    getDuration() {
+        const samples = this.recording.samples;
+        return samples[samples.length - 1].t;
+    },
+    
+    /**
+     * Pause or resume playback, restarting from the beginning at the end
+     */
+    togglePlay() {
+        if (!this.active) return;
+        
+        if (!this.playing && this.time >= this.getDuration()) {
+            this.time = 0;
+        }
+        this.playing = !this.playing;
+        this.updateBar();
+    },
+    
+    /**
+     * Step to the next faster or slower playback speed
+     * @param {number} direction - 1 for faster, -1 for slower
+     */
+    changeSpeed(direction) {
+        const index = THREE.MathUtils.clamp(this.speeds.indexOf(this.speed) + direction, 0, this.speeds.length - 1);
+        this.speed = this.speeds[index];
+        this.updateBar();
+    },
+    
+    /**
+     * Jump to a time in the recording
+     * @param {number} time - seconds
+     */
+    seek(time) {
+        if (!this.active) return;
+        
+        this.time = THREE.MathUtils.clamp(time, 0, this.getDuration());
+        this.applyFrame();
+        this.updateBar();
+    },
+    
+    /**
+     * Advance playback and follow the aircraft with the camera
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        if (this.playing) {
+            this.time += deltaTime * this.speed;
+            if (this.time >= this.getDuration()) {
+                this.time = this.getDuration();
+                this.playing = false;
+            }
+            this.applyFrame();
+            this.updateBar();
+        }
+        
+        Camera.update(this.cameraTarget, deltaTime);
+    },
+    
+    /**
+     * Find the samples either side of a time
+     * @param {number} time - seconds
+     * @returns {Object} { from, to, alpha }
+     */
+    getFrame(time) {
+        const samples = this.recording.samples;
+        
+        // Samples are evenly spaced, so start the search near the right one
+        let index = Math.floor(time / this.recording.meta.sampleInterval);
+        index = THREE.MathUtils.clamp(index, 0, samples.length - 2);
+        while (index > 0 && samples[index].t > time) index--;
+        while (index < samples.length - 2 && samples[index + 1].t <= time) index++;
+        
+        const from = samples[index];
+        const to = samples[index + 1];
+        const span = to.t - from.t;
+        const alpha = span > 0 ? THREE.MathUtils.clamp((time - from.t) / span, 0, 1) : 1;
+        
+        return { from, to, alpha };
+    },
+    
+    /**
+     * Pose the aircraft at the current time
+     */
+    applyFrame() {
+        const { from, to, alpha } = this.getFrame(this.time);
+        const group = Aircraft.getGroup();
+        
+        group.position.lerpVectors(
+            new THREE.Vector3().fromArray(from.position),
+            new THREE.Vector3().fromArray(to.position),
+            alpha
+        );
+        
+        // Over the top of a loop the horizon frame swings round; take the nearer sample rather than spin through it
+        const fromQuaternion = new THREE.Quaternion().fromArray(from.quaternion);
+        const toQuaternion = new THREE.Quaternion().fromArray(to.quaternion);
+        const fromNose = new THREE.Vector3(1, 0, 0).applyQuaternion(fromQuaternion);
+        const toNose = new THREE.Vector3(1, 0, 0).applyQuaternion(toQuaternion);
+        const nearest = alpha < 0.5 ? from : to;
+        
+        if (fromNose.dot(toNose) < 0) {
+            group.quaternion.fromArray(nearest.quaternion);
+            Aircraft.mesh.quaternion.fromArray(nearest.meshQuaternion);
+        } else {
+            group.quaternion.slerpQuaternions(fromQuaternion, toQuaternion, alpha);
+            Aircraft.mesh.quaternion.slerpQuaternions(
+                new THREE.Quaternion().fromArray(from.meshQuaternion),
+                new THREE.Quaternion().fromArray(to.meshQuaternion),
+                alpha
+            );
+        }
+        
+        const target = this.cameraTarget;
+        target.group = group;
+        target.mesh = Aircraft.mesh;
+        target.currentType = Aircraft.currentType;
+        target.state.speed = THREE.MathUtils.lerp(from.speed, to.speed, alpha);
+        target.phase = Recorder.phases[nearest.phase] || 'flying';
+    },
+    
+    /**
+     * Refresh the time, speed and flight readout
+     */
+    updateBar() {
+        const duration = this.getDuration();
+        const { from, to, alpha } = this.getFrame(this.time);
+        const nearest = alpha < 0.5 ? from : to;
+        const lerp = (name) => THREE.MathUtils.lerp(from[name], to[name], alpha);
+        
+        this.elements.seek.value = this.time;
+        this.elements.play.textContent = this.playing ? '⏸' : '▶';
+        this.elements.speed.textContent = `${this.speed}x`;
+        this.elements.time.textContent =
+            `${FlightSummary.formatTime(this.time)} / ${FlightSummary.formatTime(duration)}`;
+        
+        this.elements.readout.textContent = [
+            Units.format(lerp('altitude'), 'altitude'),
+            Units.format(lerp('speed'), 'speed'),
+            `${Math.round(nearest.heading).toString().padStart(3, '0')}°`,
+            HUD.phaseNames[Recorder.phases[nearest.phase]] || ''
+        ].join(' · ');
+    },
+    
+    /**
+     * Show the saved recordings
+     */
+    async showMenu() {
+        const existing = document.getElementById('replay-menu');
+        if (existing) existing.remove();
+        
+        let recordings = [];
+        try {
+            recordings = await Recorder.list();
+        } catch (error) {
+            console.warn('Could not list flight recordings:', error);
+        }
+        
+        const outcomeKeys = { landed: 'outcomeLanded', crashed: 'outcomeCrashed', abandoned: 'outcomeAbandoned' };
+        
+        const listHTML = recordings.map(meta => {
+            const date = new Date(meta.date);
+            const typeName = meta.type ? I18n.t(`aircraft.${meta.type}`) : '';
+            return `
+                <div class="replay-item">
+                    <div class="replay-item-info">
+                        <span class="replay-item-route">${meta.from || '---'} → ${meta.to || '---'}</span>
+                        <span class="replay-item-detail">
+                            ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            · ${typeName} · ${FlightSummary.formatTime(meta.duration)} · ${Units.format(meta.distance, 'distance')}
+                        </span>
+                    </div>
+                    <span class="replay-outcome outcome-${meta.outcome}" data-i18n="${outcomeKeys[meta.outcome]}">${I18n.t(outcomeKeys[meta.outcome])}</span>
+                    <button class="plan-btn" onclick="Replay.play(${meta.id})">▶</button>
+                    <button class="plan-btn" onclick="Replay.deleteRecording(${meta.id})">×</button>
+                </div>
+            `;
+        }).join('');
+        
+        const menu = document.createElement('div');
+        menu.id = 'replay-menu';
+        menu.className = 'modal-overlay';
+        
+        menu.innerHTML = `
+            <div class="modal-content replay-menu-content">
+                <div class="modal-header">
+                    <h2 data-i18n="replays">${I18n.t('replays')}</h2>
+                    <button class="close-btn" onclick="Replay.hideMenu()">×</button>
+                </div>
+                <div class="replay-list">
+                    ${listHTML || `<div class="plan-empty" data-i18n="noReplays">${I18n.t('noReplays')}</div>`}
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(menu);
+        
+        requestAnimationFrame(() => {
+            menu.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Hide the replays menu
+     */
+    hideMenu() {
+        const menu = document.getElementById('replay-menu');
+        if (menu) {
+            menu.classList.remove('visible');
+            setTimeout(() => menu.remove(), 300);
+        }
+    },
+    
+    /**
+     * Delete a recording and refresh the menu
+     * @param {number} id
+     */
+    async deleteRecording(id) {
+        try {
+            await Recorder.remove(id);
+        } catch (error) {
+            console.warn('Could not delete flight recording:', error);
+        }
+        this.showMenu();
+    }
+};
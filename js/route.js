@@ -0,0 +1,177 @@
+/**
+ * Sky Flight - Route Module
+ * Draws the planned great-circle route and the flown track on the globe
+ */
+
+const Route = {
+    group: null,
+    plannedLine: null,
+    trailLine: null,
+    
+    // Route settings
+    settings: {
+        routeAltitude: 0.15, // Scene units above the surface
+        routeColor: 0xffaa00,
+        trailColor: 0x00ffff,
+        trailMaxPoints: 5000,
+        trailSpacing: 0.1 // Minimum scene distance between trail points
+    },
+    
+    trailCount: 0,
+    
+    /**
+     * Initialize route lines
+     * @param {THREE.Scene} scene
+     * @returns {THREE.Group}
+     */
+    init(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        
+        this.createTrail();
+        
+        scene.add(this.group);
+        
+        // Redraw the planned route whenever it changes
+        window.addEventListener('destinationSet', () => {
+            this.updatePlannedRoute();
+        });
+        
+        window.addEventListener('flightPlanChanged', () => {
+            this.updatePlannedRoute();
+        });
+        
+        // A new flight starts with a fresh track
+        window.addEventListener('takeoff', () => {
+            this.clearTrail();
+            this.updatePlannedRoute();
+        });
+        
+        return this.group;
+    },
+    
+    /**
+     * Create the flown track line with a fixed-size buffer
+     */
+    createTrail() {
+        const positions = new Float32Array(this.settings.trailMaxPoints * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setDrawRange(0, 0);
+        
+        const material = new THREE.LineBasicMaterial({
+            color: this.settings.trailColor,
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        this.trailLine = new THREE.Line(geometry, material);
+        this.trailLine.frustumCulled = false;
+        this.group.add(this.trailLine);
+    },
+    
+    /**
+     * Get the waypoints the planned route passes through
+     * @returns {Array} Objects with lat and lon
+     */
+    getRouteWaypoints() {
+        const state = Aircraft.getState();
+        
+        // An active plan, or one being assembled on the ground
+        if (FlightPlan.active || (!state.isFlying && FlightPlan.waypoints.length >= 2)) {
+            return FlightPlan.waypoints;
+        }
+        
+        if (state.takeoffAirport && state.destinationAirport) {
+            return [state.takeoffAirport, state.destinationAirport];
+        }
+        
+        return [];
+    },
+    
+    /**
+     * Rebuild the planned great-circle route
+     */
+    updatePlannedRoute() {
+        if (this.plannedLine) {
+            this.group.remove(this.plannedLine);
+            this.plannedLine.geometry.dispose();
+            this.plannedLine.material.dispose();
+            this.plannedLine = null;
+        }
+        
+        const waypoints = this.getRouteWaypoints();
+        if (waypoints.length < 2) return;
+        
+        const points = [];
+        for (let i = 1; i < waypoints.length; i++) {
+            const from = waypoints[i - 1];
+            const to = waypoints[i];
+            const leg = Earth.greatCirclePoints(from.lat, from.lon, to.lat, to.lon, this.settings.routeAltitude);
+            
+            // Legs share their end points
+            points.push(...(i === 1 ? leg : leg.slice(1)));
+        }
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineDashedMaterial({
+            color: this.settings.routeColor,
+            dashSize: 0.6,
+            gapSize: 0.3,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        this.plannedLine = new THREE.Line(geometry, material);
+        this.plannedLine.computeLineDistances();
+        this.group.add(this.plannedLine);
+    },
+    
+    /**
+     * Append the aircraft position to the flown track
+     * @param {Object} aircraft - Aircraft module
+     */
+    update(aircraft) {
+        if (!aircraft.state.isFlying || !aircraft.group) return;
+        
+        const position = aircraft.group.position;
+        const attribute = this.trailLine.geometry.getAttribute('position');
+        const array = attribute.array;
+        
+        if (this.trailCount > 0) {
+            const last = (this.trailCount - 1) * 3;
+            const dx = position.x - array[last];
+            const dy = position.y - array[last + 1];
+            const dz = position.z - array[last + 2];
+            if (dx * dx + dy * dy + dz * dz < this.settings.trailSpacing * this.settings.trailSpacing) return;
+        }
+        
+        // Drop the oldest point once the buffer is full
+        if (this.trailCount >= this.settings.trailMaxPoints) {
+            array.copyWithin(0, 3);
+            this.trailCount--;
+        }
+        
+        position.toArray(array, this.trailCount * 3);
+        this.trailCount++;
+        
+        attribute.needsUpdate = true;
+        this.trailLine.geometry.setDrawRange(0, this.trailCount);
+    },
+    
+    /**
+     * Remove the flown track
+     */
+    clearTrail() {
+        this.trailCount = 0;
+        this.trailLine.geometry.setDrawRange(0, 0);
+    },
+    
+    /**
+     * Get route group
+     * @returns {THREE.Group}
+     */
+    getGroup() {
+        return this.group;
+    }
+};
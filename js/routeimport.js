@@ -0,0 +1,284 @@
+/**
+ * Sky Flight - Route Import Module
+ * Turns a GPX route or KML LineString dropped on the page into a flight plan
+ */
+
+const RouteImport = {
+    // Import settings
+    settings: {
+        snapRadius: 100, // km; route ends within this of an airport start or finish there
+        tolerance: 5, // km; points closer than this to the leg between kept points are dropped
+        maxWaypoints: 50,
+        nameLength: 8 // same limit as fixes typed into the planning panel
+    },
+    
+    /**
+     * Initialize drag and drop of route files onto the page
+     */
+    init() {
+        const hint = document.createElement('div');
+        hint.className = 'route-drop-hint';
+        hint.setAttribute('data-i18n', 'dropRoute');
+        hint.textContent = I18n.t('dropRoute');
+        document.body.appendChild(hint);
+        
+        const carriesFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        
+        window.addEventListener('dragover', (e) => {
+            if (!carriesFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('route-dragging');
+        });
+        
+        window.addEventListener('dragleave', (e) => {
+            // Leaving the window has no element to go to
+            if (!e.relatedTarget) {
+                document.body.classList.remove('route-dragging');
+            }
+        });
+        
+        window.addEventListener('drop', (e) => {
+            if (!carriesFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.remove('route-dragging');
+            
+            if (e.dataTransfer.files.length > 0) {
+                this.importFile(e.dataTransfer.files[0]);
+            }
+        });
+    },
+    
+    /**
+     * Read a route file and replace the flight plan with it
+     * @param {File} file - GPX or KML file
+     */
+    async importFile(file) {
+        if (!file) return;
+        
+        // Replacing the plan mid-flight would pull the destination out from under the pilot
+        if (Game.isFlying) {
+            HUD.showMessage(I18n.t('routeImportNeedsGround'));
+            return;
+        }
+        
+        let points;
+        try {
+            points = this.parse(await file.text());
+        } catch (error) {
+            console.warn('Could not import route:', error);
+            HUD.showMessage(`${I18n.t('routeImportFailed')}: ${file.name}`);
+            return;
+        }
+        
+        const count = this.buildPlan(points);
+        Airports.showMenu('plan');
+        
+        // A route starting away from any airport still needs a departure picked
+        if (FlightPlan.isFlyable()) {
+            HUD.showMessage(`${I18n.t('routeImported')}: ${count}`);
+        } else {
+            HUD.showMessage(I18n.t('flightPlanNeedsDeparture'), 5000);
+        }
+    },
+    
+    /**
+     * Read the route points from GPX or KML text
+     * @param {string} text - File contents
+     * @returns {Array} [{ lat, lon, name }]
+     */
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not an XML file');
+        }
+        
+        const root = doc.documentElement.localName;
+        let points;
+        if (root === 'gpx') {
+            points = this.parseGPX(doc);
+        } else if (root === 'kml') {
+            points = this.parseKML(doc);
+        } else {
+            throw new Error(`Unsupported route format: ${root}`);
+        }
+        
+        this.validate(points);
+        return points;
+    },
+    
+    /**
+     * Read a GPX route, falling back to its first track or its waypoints
+     * @param {Document} doc
+     * @returns {Array} [{ lat, lon, name }]
+     */
+    parseGPX(doc) {
+        const first = (parent, name) => parent.getElementsByTagNameNS('*', name)[0];
+        const container = first(doc, 'rte') || first(doc, 'trk') || doc;
+        
+        let elements = container.getElementsByTagNameNS('*', 'rtept');
+        if (elements.length === 0) elements = container.getElementsByTagNameNS('*', 'trkpt');
+        if (elements.length === 0) elements = doc.getElementsByTagNameNS('*', 'wpt');
+        
+        return Array.from(elements).map(element => {
+            const name = first(element, 'name');
+            return {
+                lat: parseFloat(element.getAttribute('lat')),
+                lon: parseFloat(element.getAttribute('lon')),
+                name: name ? name.textContent : ''
+            };
+        });
+    },
+    
+    /**
+     * Read the first LineString of a KML file
+     * @param {Document} doc
+     * @returns {Array} [{ lat, lon, name }]
+     */
+    parseKML(doc) {
+        const lineString = doc.getElementsByTagNameNS('*', 'LineString')[0];
+        const coordinates = lineString && lineString.getElementsByTagNameNS('*', 'coordinates')[0];
+        if (!coordinates) return [];
+        
+        // Tuples are "lon,lat[,alt]" separated by whitespace
+        return coordinates.textContent.trim().split(/\s+/).filter(Boolean).map(tuple => {
+            const [lon, lat] = tuple.split(',').map(parseFloat);
+            return { lat, lon, name: '' };
+        });
+    },
+    
+    /**
+     * Reject routes that are too short or have coordinates off the globe
+     * @param {Array} points
+     */
+    validate(points) {
+        if (points.length < 2) {
+            throw new Error('A route needs at least two points');
+        }
+        
+        points.forEach((point, index) => {
+            if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon) ||
+                Math.abs(point.lat) > 90 || Math.abs(point.lon) > 180) {
+                throw new Error(`Invalid coordinates at point ${index + 1}`);
+            }
+        });
+    },
+    
+    /**
+     * Get how far a point lies from the great-circle leg between two others
+     * @param {Object} point - { lat, lon }
+     * @param {Object} start - { lat, lon }
+     * @param {Object} end - { lat, lon }
+     * @returns {number} Distance in km
+     */
+    getDistanceFromLeg(point, start, end) {
+        const toPoint = Earth.greatCircleDistance(start.lat, start.lon, point.lat, point.lon);
+        const legLength = Earth.greatCircleDistance(start.lat, start.lon, end.lat, end.lon);
+        if (legLength === 0) return toPoint;
+        
+        const angle = THREE.MathUtils.degToRad(
+            Earth.initialBearing(start.lat, start.lon, point.lat, point.lon) -
+            Earth.initialBearing(start.lat, start.lon, end.lat, end.lon)
+        );
+        const crossTrack = Math.asin(Math.sin(toPoint / Earth.radius) * Math.sin(angle));
+        const alongTrack = Math.acos(Math.min(1, Math.cos(toPoint / Earth.radius) / Math.cos(crossTrack))) *
+            Earth.radius * Math.sign(Math.cos(angle));
+        
+        // Beyond either end of the leg, the nearer end is what counts
+        if (alongTrack < 0 || alongTrack > legLength) {
+            return Math.min(toPoint, Earth.greatCircleDistance(end.lat, end.lon, point.lat, point.lon));
+        }
+        return Math.abs(crossTrack) * Earth.radius;
+    },
+    
+    /**
+     * Keep the points where the route turns (Douglas-Peucker), then thin evenly down to the waypoint limit
+     * @param {Array} points
+     * @returns {Array} The first and last points are always kept
+     */
+    simplify(points) {
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+        
+        // Split each span at its farthest point until every point is within tolerance of its leg
+        const spans = [[0, points.length - 1]];
+        while (spans.length > 0) {
+            const [first, last] = spans.pop();
+            let farthest = -1;
+            let farthestDistance = this.settings.tolerance;
+            
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.getDistanceFromLeg(points[i], points[first], points[last]);
+                if (distance > farthestDistance) {
+                    farthest = i;
+                    farthestDistance = distance;
+                }
+            }
+            
+            if (farthest >= 0) {
+                keep[farthest] = true;
+                spans.push([first, farthest], [farthest, last]);
+            }
+        }
+        
+        const kept = points.filter((_, i) => keep[i]);
+        if (kept.length <= this.settings.maxWaypoints) return kept;
+        
+        const step = (kept.length - 1) / (this.settings.maxWaypoints - 1);
+        return Array.from({ length: this.settings.maxWaypoints }, (_, i) => kept[Math.round(i * step)]);
+    },
+    
+    /**
+     * Find the airport nearest a point, if one is close enough to snap to
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Object|null} Airport data
+     */
+    findNearestAirport(lat, lon) {
+        let nearest = null;
+        let nearestDistance = this.settings.snapRadius;
+        
+        Airports.data.forEach(airport => {
+            const distance = Earth.greatCircleDistance(lat, lon, airport.lat, airport.lon);
+            if (distance <= nearestDistance) {
+                nearest = airport;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    },
+    
+    /**
+     * Make a fix name from a route point's name
+     * @param {string} name
+     * @returns {string} Empty when nothing usable is left; the plan then numbers the fix
+     */
+    cleanName(name) {
+        return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, this.settings.nameLength);
+    },
+    
+    /**
+     * Replace the flight plan with a route, its ends snapped to the nearest airports
+     * @param {Array} points - Validated route points
+     * @returns {number} Waypoints in the new plan
+     */
+    buildPlan(points) {
+        const route = this.simplify(points);
+        
+        FlightPlan.clear();
+        route.forEach((point, index) => {
+            const isEnd = index === 0 || index === route.length - 1;
+            const airport = isEnd ? this.findNearestAirport(point.lat, point.lon) : null;
+            
+            if (airport) {
+                FlightPlan.addAirport(airport);
+            } else {
+                FlightPlan.addFix(point.lat, point.lon, this.cleanName(point.name));
+            }
+        });
+        
+        return FlightPlan.waypoints.length;
+    }
+};
@@ -9,9 +9,16 @@ const Settings = {
         dayNightMode: 'auto', // 'auto', 'day', 'night'
         controlMode: 'joystick', // 'joystick', 'gyroscope'
         quality: 'high', // 'high', 'medium', 'low'
+        unitSystem: 'metric', // 'metric', 'imperial'
+        mapScale: 'compressed', // 'compressed', 'real'
+        traffic: 'light', // AI aircraft: 'off', 'light', 'busy'
+        trafficAlertRange: 'standard', // 'near', 'standard', 'wide'
+        playerName: '', // shown to other players; the relay picks one when empty
+        multiplayerServer: '', // relay address; defaults to port 8080 on the page's host
         soundEnabled: true,
         musicVolume: 0.5,
-        sfxVolume: 0.7
+        sfxVolume: 0.7,
+        failureScenario: { mode: 'off', schedule: {} } // training failures: 'off', 'random', 'scheduled'
     },
     
     current: {},
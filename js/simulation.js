@@ -0,0 +1,193 @@
+/**
+ * Sky Flight - Simulation Module
+ * Fixed-timestep clock, time acceleration and seeded random numbers for reproducible flights
+ */
+
+const Simulation = {
+    // Clock settings
+    settings: {
+        step: 1 / 120, // seconds of simulated time per physics step
+        maxFrameTime: 0.25, // longest frame that is simulated; longer gaps (tab switches) are dropped
+        seed: null, // fixed random seed for reproducible sessions; null draws a new one every flight
+        maxStepsPerFrame: 480 // keeps high rates from stalling the page on slow machines
+    },
+    
+    // Selectable time acceleration
+    rates: [1, 2, 4, 8, 16],
+    rate: 1,
+    
+    // Flight phases that may be accelerated; everything else runs at 1x
+    acceleratedPhases: ['flying'],
+    
+    time: 0, // seconds of simulated time since reset
+    accumulator: 0, // frame time not yet simulated
+    alpha: 0, // fraction of a step between the last two states, for interpolation
+    epoch: Date.now(), // wall-clock time the simulated clock started from, in ms
+    seed: 1, // seed the current flight's random sequence started from
+    rngState: 1,
+    
+    /**
+     * Initialize automatic return to real time
+     */
+    init() {
+        // Anything that needs the pilot's attention drops back to 1x
+        window.addEventListener('flightWarning', (e) => {
+            if (e.detail.active) this.setRate(1, 'warning');
+        });
+        
+        window.addEventListener('failure', () => {
+            this.setRate(1, 'warning');
+        });
+        
+        window.addEventListener('trafficAdvisory', (e) => {
+            if (e.detail.active) this.setRate(1, 'warning');
+        });
+        
+        // Top of descent means the destination is getting close
+        window.addEventListener('flightPhaseChanged', (e) => {
+            if (!this.acceleratedPhases.includes(e.detail.phase)) {
+                this.setRate(1, e.detail.phase === 'descending' ? 'approach' : undefined);
+            }
+        });
+        
+        window.addEventListener('crashed', () => {
+            this.setRate(1);
+        });
+        
+        window.addEventListener('respawned', () => {
+            this.setRate(1);
+        });
+    },
+    
+    /**
+     * Restart the clock and the random sequence
+     * @param {number} seed - Defaults to the fixed seed, or a fresh one when none is set
+     */
+    reset(seed = this.settings.seed !== null ? this.settings.seed : this.createSeed()) {
+        this.time = 0;
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.epoch = Date.now();
+        this.seed = seed >>> 0;
+        this.rngState = this.seed;
+        this.setRate(1);
+    },
+    
+    /**
+     * Draw a seed for a new flight from the wall clock and the browser's generator
+     * @returns {number} 32-bit unsigned integer
+     */
+    createSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    },
+    
+    /**
+     * Set time acceleration
+     * @param {number} rate - One of this.rates
+     * @param {string} reason - Why the rate changed automatically: 'warning' or 'approach'
+     * @returns {boolean} Whether the rate is now in effect
+     */
+    setRate(rate, reason) {
+        if (!this.rates.includes(rate)) return false;
+        if (rate > 1 && !this.canAccelerate()) return false;
+        if (rate === this.rate) return true;
+        
+        this.rate = rate;
+        window.dispatchEvent(new CustomEvent('timeRateChanged', {
+            detail: { rate, reason }
+        }));
+        return true;
+    },
+    
+    /**
+     * Step to the next faster or slower rate
+     * @param {number} direction - 1 for faster, -1 for slower
+     * @returns {boolean} Whether the rate is now in effect
+     */
+    changeRate(direction) {
+        const index = this.rates.indexOf(this.rate) + direction;
+        return this.setRate(this.rates[Math.max(0, Math.min(this.rates.length - 1, index))]);
+    },
+    
+    /**
+     * Step to the next faster rate, wrapping back to 1x after the fastest
+     * @returns {boolean} Whether the rate is now in effect
+     */
+    cycleRate() {
+        const index = this.rates.indexOf(this.rate) + 1;
+        return this.setRate(index < this.rates.length && this.canAccelerate() ? this.rates[index] : 1);
+    },
+    
+    /**
+     * Check whether the flight can run faster than real time
+     * @returns {boolean}
+     */
+    canAccelerate() {
+        return Aircraft.state.isFlying && this.acceleratedPhases.includes(Aircraft.getFlightPhase()) &&
+            Aircraft.getActiveWarnings().length === 0;
+    },
+    
+    /**
+     * Run as many fixed steps as the frame time covers
+     * @param {number} frameTime - Real seconds since the last frame
+     * @param {Function} stepFn - Called with the step length for each step
+     * @returns {number} Steps run
+     */
+    advance(frameTime, stepFn) {
+        const step = this.settings.step;
+        this.accumulator += Math.min(Math.max(frameTime, 0), this.settings.maxFrameTime) * this.rate;
+        
+        let steps = 0;
+        while (this.accumulator >= step) {
+            // Too far behind: drop the backlog rather than fall further behind
+            if (steps >= this.settings.maxStepsPerFrame) {
+                this.accumulator = 0;
+                break;
+            }
+            
+            stepFn(step);
+            this.time += step;
+            this.accumulator -= step;
+            steps++;
+        }
+        
+        this.alpha = this.accumulator / step;
+        return steps;
+    },
+    
+    /**
+     * Get simulated time, in place of the wall clock
+     * @returns {number} ms
+     */
+    now() {
+        return this.time * 1000;
+    },
+    
+    /**
+     * Get the date and time of day in the simulation, for the sun and city lights
+     * @returns {Date}
+     */
+    getDate() {
+        return new Date(this.epoch + this.now());
+    },
+    
+    /**
+     * Get interpolation factor between the previous and current step
+     * @returns {number} 0-1
+     */
+    getAlpha() {
+        return this.alpha;
+    },
+    
+    /**
+     * Seeded random number (mulberry32), so the same inputs give the same flight
+     * @returns {number} 0 (inclusive) - 1 (exclusive)
+     */
+    random() {
+        this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+};
@@ -0,0 +1,207 @@
+/**
+ * Sky Flight - Flight Summary Module
+ * Grades the landing and shows post-flight statistics
+ */
+
+const FlightSummary = {
+    // Scoring limits: full marks at or below `best`, zero at or above `worst`
+    criteria: {
+        verticalSpeed: { best: 1, worst: 5, weight: 0.5 }, // m/s sink rate
+        distance: { best: 1, worst: 8, weight: 0.3 }, // km from the airport marker
+        bank: { best: 2, worst: 15, weight: 0.2 } // degrees
+    },
+    
+    // Minimum overall score for each grade
+    grades: [
+        { grade: 'A', minScore: 90, key: 'landingPerfect' },
+        { grade: 'B', minScore: 75, key: 'landingSmooth' },
+        { grade: 'C', minScore: 55, key: 'landingAcceptable' },
+        { grade: 'D', minScore: 35, key: 'landingHard' },
+        { grade: 'F', minScore: 0, key: 'landingUnsafe' }
+    ],
+    
+    /**
+     * Initialize flight summary
+     */
+    init() {
+        window.addEventListener('landed', (e) => {
+            this.show(e.detail);
+        });
+    },
+    
+    /**
+     * Score a single measurement between its best and worst limits
+     * @param {number} value
+     * @param {Object} limits - { best, worst }
+     * @returns {number} 0-100
+     */
+    scoreValue(value, limits) {
+        const t = (value - limits.best) / (limits.worst - limits.best);
+        return Math.round(100 * (1 - Math.max(0, Math.min(1, t))));
+    },
+    
+    /**
+     * Grade a touchdown
+     * @param {Object} touchdown - { verticalSpeed, distance, bank }
+     * @returns {Object} { score, grade, key, scores }
+     */
+    gradeLanding(touchdown) {
+        const scores = {
+            verticalSpeed: this.scoreValue(Math.abs(touchdown.verticalSpeed), this.criteria.verticalSpeed),
+            distance: this.scoreValue(touchdown.distance, this.criteria.distance),
+            bank: this.scoreValue(Math.abs(touchdown.bank), this.criteria.bank)
+        };
+        
+        const score = Math.round(Object.keys(scores).reduce(
+            (total, name) => total + scores[name] * this.criteria[name].weight,
+            0
+        ));
+        
+        const { grade, key } = this.grades.find(g => score >= g.minScore);
+        
+        return { score, grade, key, scores };
+    },
+    
+    /**
+     * Format seconds as mm:ss
+     * @param {number} seconds
+     * @returns {string}
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    },
+    
+    /**
+     * Show post-flight summary
+     * @param {Object} detail - landed event detail { airport, touchdown }
+     */
+    show(detail) {
+        const existing = document.getElementById('flight-summary');
+        if (existing) existing.remove();
+        
+        const state = Aircraft.getState();
+        const stats = Aircraft.getStats();
+        const touchdown = detail.touchdown;
+        const result = this.gradeLanding(touchdown);
+        
+        const from = state.takeoffAirport ? state.takeoffAirport.iata : '---';
+        const to = detail.airport ? detail.airport.iata : '---';
+        
+        // Offer the next leg of a multi-stop flight plan
+        const nextStopIndex = FlightPlan.hasRemainingLegs() ? FlightPlan.getNextStopIndex() : -1;
+        const nextStop = nextStopIndex >= 0 ? FlightPlan.waypoints[nextStopIndex] : null;
+        
+        const panel = document.createElement('div');
+        panel.id = 'flight-summary';
+        panel.className = 'modal-overlay';
+        
+        panel.innerHTML = `
+            <div class="modal-content summary-content">
+                <div class="modal-header">
+                    <h2 data-i18n="flightSummary">${I18n.t('flightSummary')}</h2>
+                    <button class="close-btn" onclick="FlightSummary.hide()">×</button>
+                </div>
+                
+                <div class="summary-route">${from} → ${to}</div>
+                
+                <div class="summary-grade grade-${result.grade}">
+                    <span class="grade-letter">${result.grade}</span>
+                    <span class="grade-label" data-i18n="${result.key}">${I18n.t(result.key)}</span>
+                    <span class="grade-score">${result.score} / 100</span>
+                </div>
+                
+                <div class="summary-section">
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="touchdownRate">${I18n.t('touchdownRate')}</span>
+                        <span class="info-value">${Units.format(touchdown.verticalSpeed * 3.6, 'verticalSpeed')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="touchdownDistance">${I18n.t('touchdownDistance')}</span>
+                        <span class="info-value">${Units.format(touchdown.distance, 'distance', 2)}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="bankAngle">${I18n.t('bankAngle')}</span>
+                        <span class="info-value">${Math.abs(touchdown.bank).toFixed(1)}°</span>
+                    </div>
+                </div>
+                
+                <div class="summary-section">
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="totalFlightTime">${I18n.t('totalFlightTime')}</span>
+                        <span class="info-value">${this.formatTime(Aircraft.getFlightTime())}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="distanceFlown">${I18n.t('distanceFlown')}</span>
+                        <span class="info-value">${Units.format(stats.distanceFlown, 'distance')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="maxAltitude">${I18n.t('maxAltitude')}</span>
+                        <span class="info-value">${Units.format(stats.maxAltitude, 'altitude')}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label" data-i18n="maxSpeed">${I18n.t('maxSpeed')}</span>
+                        <span class="info-value">${Units.format(stats.maxSpeed, 'speed')}</span>
+                    </div>
+                </div>
+                
+                <div class="summary-export">
+                    <span class="info-label" data-i18n="exportTrack">${I18n.t('exportTrack')}</span>
+                    <button class="export-btn" onclick="TrackExport.download('gpx')">GPX</button>
+                    <button class="export-btn" onclick="TrackExport.download('kml')">KML</button>
+                    <button class="export-btn" onclick="TrackExport.download('igc')">IGC</button>
+                </div>
+                
+                <div class="summary-actions">
+                    ${nextStop ? `
+                    <button class="action-btn primary" onclick="FlightSummary.continueFlight()">
+                        <span data-i18n="continueFlight">${I18n.t('continueFlight')}</span> ${nextStop.name}
+                    </button>` : ''}
+                    <button class="action-btn ${nextStop ? 'secondary' : 'primary'}" onclick="FlightSummary.flyAgain()">
+                        <span data-i18n="flyAgain">${I18n.t('flyAgain')}</span>
+                    </button>
+                    <button class="action-btn secondary" onclick="Replay.playLatest()">
+                        <span data-i18n="watchReplay">${I18n.t('watchReplay')}</span>
+                    </button>
+                    <button class="action-btn secondary" onclick="FlightSummary.hide()">
+                        <span data-i18n="close">${I18n.t('close')}</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+        
+        requestAnimationFrame(() => {
+            panel.classList.add('visible');
+        });
+    },
+    
+    /**
+     * Hide post-flight summary
+     */
+    hide() {
+        const panel = document.getElementById('flight-summary');
+        if (panel) {
+            panel.classList.remove('visible');
+            setTimeout(() => panel.remove(), 300);
+        }
+    },
+    
+    /**
+     * Close summary and fly the next leg of the flight plan
+     */
+    continueFlight() {
+        this.hide();
+        FlightPlan.continueFlight();
+    },
+    
+    /**
+     * Close summary and pick the next departure airport
+     */
+    flyAgain() {
+        this.hide();
+        Airports.showMenu();
+    }
+};
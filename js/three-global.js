@@ -0,0 +1,24 @@
+/**
+ * Sky Flight - Three.js Module Bridge
+ * The import map points 'three' here so ES-module add-ons such as GLTFLoader share the
+ * global build the game uses, instead of loading a second copy of the library
+ */
+
+const THREE = window.THREE;
+
+// Names imported by examples/jsm/loaders/GLTFLoader.js and utils/BufferGeometryUtils.js
+export const {
+    AnimationClip, Bone, Box3, BufferAttribute, BufferGeometry, ClampToEdgeWrapping, Color,
+    ColorManagement, DirectionalLight, DoubleSide, FileLoader, Float32BufferAttribute, FrontSide,
+    Group, ImageBitmapLoader, InstancedBufferAttribute, InstancedMesh, InterleavedBuffer,
+    InterleavedBufferAttribute, Interpolant, InterpolateDiscrete, InterpolateLinear, Line,
+    LineBasicMaterial, LineLoop, LineSegments, LinearFilter, LinearMipmapLinearFilter,
+    LinearMipmapNearestFilter, LinearSRGBColorSpace, Loader, LoaderUtils, Material, MathUtils,
+    Matrix4, Mesh, MeshBasicMaterial, MeshPhysicalMaterial, MeshStandardMaterial,
+    MirroredRepeatWrapping, NearestFilter, NearestMipmapLinearFilter, NearestMipmapNearestFilter,
+    NumberKeyframeTrack, Object3D, OrthographicCamera, PerspectiveCamera, PointLight, Points,
+    PointsMaterial, PropertyBinding, Quaternion, QuaternionKeyframeTrack, RepeatWrapping,
+    SRGBColorSpace, Skeleton, SkinnedMesh, Sphere, SpotLight, Texture, TextureLoader,
+    TriangleFanDrawMode, TriangleStripDrawMode, TrianglesDrawMode, Vector2, Vector3,
+    VectorKeyframeTrack
+} = THREE;
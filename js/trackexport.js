@@ -0,0 +1,298 @@
+/**
+ * Sky Flight - Track Export Module
+ * Writes the last flown track as GPX, KML or IGC for use in other tools
+ */
+
+const TrackExport = {
+    // Supported formats and the method that writes each
+    formats: {
+        gpx: { mimeType: 'application/gpx+xml', build: 'toGPX' },
+        kml: { mimeType: 'application/vnd.google-earth.kml+xml', build: 'toKML' },
+        igc: { mimeType: 'application/octet-stream', build: 'toIGC' }
+    },
+    
+    // KML colours are aabbggrr
+    kmlColors: {
+        line: 'ff88ff00',
+        wall: '5588ff00'
+    },
+    
+    /**
+     * Collect the last flight's samples and airports
+     * @returns {Object|null} { meta, samples, departure, arrival }
+     */
+    getTrack() {
+        const recording = Recorder.last;
+        if (!recording || recording.samples.length < 2) return null;
+        
+        return {
+            meta: recording.meta,
+            samples: recording.samples,
+            departure: recording.meta.departure,
+            arrival: recording.meta.arrival
+        };
+    },
+    
+    /**
+     * Build the last flight's track in a format and save it as a file
+     * @param {string} format - 'gpx', 'kml' or 'igc'
+     */
+    download(format) {
+        const track = this.getTrack();
+        if (!track) {
+            HUD.showMessage(I18n.t('trackUnavailable'));
+            return;
+        }
+        
+        const spec = this.formats[format];
+        const blob = new Blob([this[spec.build](track)], { type: spec.mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getFileName(track, format);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+    
+    /**
+     * Name the file after the route and start time
+     * @param {Object} track
+     * @param {string} extension
+     * @returns {string} e.g. skyflight-PEK-PVG-20240501-1430.gpx
+     */
+    getFileName(track, extension) {
+        const iso = new Date(track.meta.date).toISOString();
+        const stamp = `${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 16).replace(':', '')}`;
+        const route = [track.meta.from, track.meta.to].filter(Boolean).join('-');
+        return `skyflight-${route ? route + '-' : ''}${stamp}.${extension}`;
+    },
+    
+    /**
+     * Get when a sample was taken; simulated seconds count from the flight's start
+     * @param {Object} track
+     * @param {Object} sample
+     * @returns {Date}
+     */
+    getTime(track, sample) {
+        return new Date(track.meta.date + sample.t * 1000);
+    },
+    
+    /**
+     * Get the aircraft type's English name; GPX readers and IGC files expect ASCII
+     * @param {Object} track
+     * @returns {string}
+     */
+    getTypeName(track) {
+        const type = Aircraft.types[track.meta.type];
+        return type && type.name ? type.name.en : (track.meta.type || '');
+    },
+    
+    /**
+     * Describe the route for track names
+     * @param {Object} track
+     * @returns {string} e.g. "PEK - PVG"
+     */
+    getRouteName(track) {
+        return `${track.meta.from || '---'} - ${track.meta.to || '---'}`;
+    },
+    
+    /**
+     * Escape text for an XML element or attribute
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+    
+    /**
+     * Write the track as GPX 1.1, with the airports as waypoints
+     * @param {Object} track
+     * @returns {string}
+     */
+    toGPX(track) {
+        const airports = [track.departure, track.arrival].filter(Boolean).map(airport => `
+    <wpt lat="${airport.lat.toFixed(6)}" lon="${airport.lon.toFixed(6)}">
+        <name>${this.escapeXML(airport.iata)}</name>
+        <desc>${this.escapeXML(airport.name)}</desc>
+        <sym>Airport</sym>
+    </wpt>`).join('');
+        
+        const points = track.samples.map(sample => `
+            <trkpt lat="${sample.lat.toFixed(6)}" lon="${sample.lon.toFixed(6)}">
+                <ele>${(sample.altitude * 1000).toFixed(1)}</ele>
+                <time>${this.getTime(track, sample).toISOString()}</time>
+            </trkpt>`).join('');
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Sky Flight" xmlns="http://www.topografix.com/GPX/1/1">
+    <metadata>
+        <name>${this.escapeXML(this.getRouteName(track))}</name>
+        <time>${new Date(track.meta.date).toISOString()}</time>
+    </metadata>${airports}
+    <trk>
+        <name>${this.escapeXML(this.getRouteName(track))}</name>
+        <type>${this.escapeXML(this.getTypeName(track))}</type>
+        <trkseg>${points}
+        </trkseg>
+    </trk>
+</gpx>
+`;
+    },
+    
+    /**
+     * Write the track as KML: an extruded path down to the ground, a timed track for the
+     * time slider, and the airports as placemarks
+     * @param {Object} track
+     * @returns {string}
+     */
+    toKML(track) {
+        const coordinate = sample =>
+            `${sample.lon.toFixed(6)},${sample.lat.toFixed(6)},${(sample.altitude * 1000).toFixed(1)}`;
+        const first = track.samples[0];
+        const last = track.samples[track.samples.length - 1];
+        
+        const airports = [track.departure, track.arrival].filter(Boolean).map(airport => `
+        <Placemark>
+            <name>${this.escapeXML(airport.iata)}</name>
+            <description>${this.escapeXML(airport.name)}</description>
+            <Point>
+                <coordinates>${airport.lon.toFixed(6)},${airport.lat.toFixed(6)},0</coordinates>
+            </Point>
+        </Placemark>`).join('');
+        
+        const when = track.samples.map(sample => `
+                <when>${this.getTime(track, sample).toISOString()}</when>`).join('');
+        const coords = track.samples.map(sample => `
+                <gx:coord>${coordinate(sample).replace(/,/g, ' ')}</gx:coord>`).join('');
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+    <Document>
+        <name>${this.escapeXML(this.getRouteName(track))}</name>
+        <description>${this.escapeXML(this.getTypeName(track))}</description>
+        <Style id="flightPath">
+            <LineStyle>
+                <color>${this.kmlColors.line}</color>
+                <width>3</width>
+            </LineStyle>
+            <PolyStyle>
+                <color>${this.kmlColors.wall}</color>
+            </PolyStyle>
+        </Style>
+        <Placemark>
+            <name>${this.escapeXML(this.getRouteName(track))}</name>
+            <styleUrl>#flightPath</styleUrl>
+            <TimeSpan>
+                <begin>${this.getTime(track, first).toISOString()}</begin>
+                <end>${this.getTime(track, last).toISOString()}</end>
+            </TimeSpan>
+            <LineString>
+                <extrude>1</extrude>
+                <tessellate>1</tessellate>
+                <altitudeMode>absolute</altitudeMode>
+                <coordinates>${track.samples.map(coordinate).join(' ')}</coordinates>
+            </LineString>
+        </Placemark>
+        <Placemark>
+            <name>${this.escapeXML(this.getTypeName(track))}</name>
+            <styleUrl>#flightPath</styleUrl>
+            <gx:Track>
+                <altitudeMode>absolute</altitudeMode>${when}${coords}
+            </gx:Track>
+        </Placemark>${airports}
+    </Document>
+</kml>
+`;
+    },
+    
+    /**
+     * Format a latitude or longitude as IGC degrees and thousandths of minutes
+     * @param {number} value - Decimal degrees
+     * @param {number} degreeDigits - 2 for latitude, 3 for longitude
+     * @param {string} positive - Hemisphere letter for positive values
+     * @param {string} negative - Hemisphere letter for negative values
+     * @returns {string} e.g. 4004795N
+     */
+    formatIGCCoordinate(value, degreeDigits, positive, negative) {
+        const thousandths = Math.round(Math.abs(value) * 60000);
+        const degrees = Math.floor(thousandths / 60000);
+        const minutes = thousandths % 60000;
+        return `${String(degrees).padStart(degreeDigits, '0')}${String(minutes).padStart(5, '0')}${value < 0 ? negative : positive}`;
+    },
+    
+    /**
+     * Format a position as the latitude and longitude fields of IGC B and C records
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {string}
+     */
+    formatIGCPosition(lat, lon) {
+        return this.formatIGCCoordinate(lat, 2, 'N', 'S') + this.formatIGCCoordinate(lon, 3, 'E', 'W');
+    },
+    
+    /**
+     * Format an altitude as a five-character IGC field in metres
+     * @param {number} altitude - km
+     * @returns {string}
+     */
+    formatIGCAltitude(altitude) {
+        const metres = Math.round(altitude * 1000);
+        return metres < 0 ? `-${String(-metres).padStart(4, '0')}` : String(metres).padStart(5, '0');
+    },
+    
+    /**
+     * Write the track as an IGC flight log; one fix per second, the airports as the task
+     * @param {Object} track
+     * @returns {string}
+     */
+    toIGC(track) {
+        const iso = new Date(track.meta.date).toISOString();
+        const date = `${iso.slice(8, 10)}${iso.slice(5, 7)}${iso.slice(2, 4)}`;
+        const time = iso.slice(11, 19).replace(/:/g, '');
+        const ascii = text => String(text || '').replace(/[^\x20-\x7E]/g, '').trim();
+        
+        const lines = [
+            'AXSFSKYFLIGHT',
+            `HFDTEDATE:${date},01`,
+            `HFPLTPILOTINCHARGE:${ascii(Settings.get('playerName'))}`,
+            `HFGTYGLIDERTYPE:${ascii(this.getTypeName(track))}`,
+            'HFGIDGLIDERID:',
+            'HFDTMGPSDATUM:WGS84',
+            'HFFTYFRTYPE:Sky Flight'
+        ];
+        
+        // Declare the route: takeoff, start, finish and landing, with no turnpoints; a flight
+        // that never reached an airport has no finish to declare
+        const departure = track.departure;
+        const arrival = track.arrival;
+        if (departure && arrival) {
+            lines.push(`C${date}${time}${date}000100${ascii(this.getRouteName(track))}`);
+            [departure, departure, arrival, arrival].forEach(airport => {
+                lines.push(`C${this.formatIGCPosition(airport.lat, airport.lon)}${ascii(airport.iata)} ${ascii(airport.name)}`);
+            });
+        }
+        
+        // Fixes carry whole seconds, so keep the first sample of each
+        let lastSecond = null;
+        track.samples.forEach(sample => {
+            const when = this.getTime(track, sample);
+            const second = Math.floor(when.getTime() / 1000);
+            if (second === lastSecond) return;
+            lastSecond = second;
+            
+            const altitude = this.formatIGCAltitude(sample.altitude);
+            lines.push(`B${when.toISOString().slice(11, 19).replace(/:/g, '')}${this.formatIGCPosition(sample.lat, sample.lon)}A${altitude}${altitude}`);
+        });
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+};
@@ -0,0 +1,506 @@
+/**
+ * Sky Flight - Traffic Module
+ * AI aircraft flying between airports, drawn with instanced meshes, and TCAS-style traffic advisories
+ */
+
+const Traffic = {
+    flights: [],
+    group: null,
+    meshes: null, // { body, wings, tail } instanced meshes, one instance per flight
+    targets: [], // traffic around the player, for the display
+    advisory: false,
+    
+    // AI aircraft for each density setting
+    densities: {
+        off: 0,
+        light: 12,
+        busy: 30
+    },
+    
+    // Separation that raises a traffic advisory: horizontal in km flown, vertical in km
+    alertRanges: {
+        near: { horizontal: 5, vertical: 0.3 },
+        standard: { horizontal: 10, vertical: 0.6 },
+        wide: { horizontal: 20, vertical: 0.9 }
+    },
+    
+    // Share of the traffic and cruising altitudes (km) for each aircraft type
+    types: {
+        airliner: { share: 0.6, altitudes: [8, 12] },
+        cessna: { share: 0.25, altitudes: [1.5, 3.5] },
+        jet: { share: 0.15, altitudes: [9, 14] }
+    },
+    
+    // Flight settings
+    settings: {
+        nearbyAirports: 12, // routes join the airports closest to the player's departure
+        localShare: 0.4, // share of flights to or from the player's departure airport
+        minRoute: 50, // km over the globe; shorter routes are not worth flying
+        maxBank: 25, // degrees
+        rollRate: 10, // degrees per second
+        climbAngle: 5, // degrees
+        descentAngle: 3, // degrees
+        acceleration: 10, // km/h per second
+        arrivalRadius: 3, // km over the globe from the airport where a flight starts its next leg
+        playerPhases: ['climbing', 'flying', 'descending', 'landing'], // advisories only while the player is airborne
+        displayRange: 2, // display radius in multiples of the horizontal alert range
+        displayVertical: 3, // km above or below the player that traffic is shown
+        levelRate: 1.5 // km/h of vertical speed below which traffic counts as level
+    },
+    
+    /**
+     * Initialize traffic meshes and events
+     * @param {THREE.Scene} scene
+     * @returns {THREE.Group}
+     */
+    init(scene) {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        
+        // Every flight shares one fuselage, wing and tail; the recipe matches the airliner's proportions
+        const capacity = Math.max(...Object.values(this.densities));
+        const body = new THREE.CylinderGeometry(0.5, 0.4, 6, 8);
+        body.rotateZ(Math.PI / 2);
+        const wings = new THREE.BoxGeometry(1.2, 0.1, 6.4);
+        const tail = new THREE.BoxGeometry(0.8, 1.2, 0.1);
+        tail.translate(-2.6, 0.7, 0);
+        
+        this.meshes = {
+            body: this.createInstancedMesh(body, capacity),
+            wings: this.createInstancedMesh(wings, capacity),
+            tail: this.createInstancedMesh(tail, capacity)
+        };
+        Object.values(this.meshes).forEach(mesh => this.group.add(mesh));
+        
+        scene.add(this.group);
+        
+        // Each flight fills the sky around its departure airport
+        window.addEventListener('takeoff', (e) => {
+            this.generate(e.detail.airport);
+        });
+        
+        return this.group;
+    },
+    
+    /**
+     * Create an instanced mesh with per-instance colours
+     * @param {THREE.BufferGeometry} geometry
+     * @param {number} capacity - Most instances drawn
+     * @returns {THREE.InstancedMesh}
+     */
+    createInstancedMesh(geometry, capacity) {
+        const material = new THREE.MeshPhongMaterial({ color: 0xffffff, flatShading: true });
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        
+        // Instances are spread around the globe, far from the geometry's own bounds
+        mesh.frustumCulled = false;
+        return mesh;
+    },
+    
+    /**
+     * Get the number of AI aircraft for the selected density
+     * @returns {number}
+     */
+    getCount() {
+        const count = this.densities[Settings.get('traffic')];
+        return count !== undefined ? count : this.densities.light;
+    },
+    
+    /**
+     * Get the selected alert separation
+     * @returns {Object} { horizontal, vertical } km
+     */
+    getAlertRange() {
+        return this.alertRanges[Settings.get('trafficAlertRange')] || this.alertRanges.standard;
+    },
+    
+    /**
+     * Generate traffic on routes between the airports around a departure
+     * @param {Object} airport - The player's departure airport
+     */
+    generate(airport) {
+        this.clear();
+        
+        const count = this.getCount();
+        if (!airport || count === 0) return;
+        
+        // Nearest airports first; the departure itself sorts to the front
+        const nearby = Airports.getAll()
+            .map(a => ({ airport: a, distance: Earth.greatCircleDistance(airport.lat, airport.lon, a.lat, a.lon) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.settings.nearbyAirports + 1)
+            .map(entry => entry.airport);
+        if (nearby.length < 2) return;
+        
+        for (let i = 0; i < count; i++) {
+            const route = this.pickRoute(nearby, airport);
+            if (!route) continue;
+            
+            // Most flights are already en route; the rest are just departing
+            const progress = Simulation.random() < 0.8 ? 0.1 + Simulation.random() * 0.8 : 0;
+            this.flights.push(this.createFlight(this.pickType(), route.from, route.to, progress, nearby));
+        }
+        
+        this.updateColors();
+        this.group.visible = true;
+    },
+    
+    /**
+     * Pick an aircraft type by its share of the traffic
+     * @returns {string}
+     */
+    pickType() {
+        const names = Object.keys(this.types).filter(name => Aircraft.types[name]);
+        let pick = Simulation.random();
+        
+        for (const name of names) {
+            pick -= this.types[name].share;
+            if (pick < 0) return name;
+        }
+        return names[names.length - 1];
+    },
+    
+    /**
+     * Pick a route between two of the nearby airports
+     * @param {Object[]} airports
+     * @param {Object} home - Airport that a share of the routes start or end at
+     * @param {Object} from - Fixed origin, for a flight's next leg
+     * @returns {Object|null} { from, to }
+     */
+    pickRoute(airports, home, from = null) {
+        const pickAirport = () => airports[Math.floor(Simulation.random() * airports.length)];
+        
+        for (let attempt = 0; attempt < 10; attempt++) {
+            let origin = from || pickAirport();
+            let destination = pickAirport();
+            
+            if (!from && Simulation.random() < this.settings.localShare) {
+                if (Simulation.random() < 0.5) {
+                    origin = home;
+                } else {
+                    destination = home;
+                }
+            }
+            
+            const distance = Earth.greatCircleDistance(origin.lat, origin.lon, destination.lat, destination.lon);
+            if (distance >= this.settings.minRoute) {
+                return { from: origin, to: destination };
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Create an AI flight partway along its route
+     * @param {string} type - Aircraft type
+     * @param {Object} from - Origin airport
+     * @param {Object} to - Destination airport
+     * @param {number} progress - Share of the route already flown (0-1)
+     * @param {Object[]} airports - Airports the flight picks its next legs from
+     * @returns {Object}
+     */
+    createFlight(type, from, to, progress, airports) {
+        const spec = Aircraft.types[type];
+        const range = this.types[type].altitudes;
+        const cruiseAltitude = range[0] + Simulation.random() * (range[1] - range[0]);
+        const groundLevel = Aircraft.physics.groundLevel;
+        
+        // Place the aircraft on the great circle between the airports
+        const start = Earth.latLonToVector3(from.lat, from.lon, 0).normalize();
+        const end = Earth.latLonToVector3(to.lat, to.lon, 0).normalize();
+        const angle = start.angleTo(end);
+        const point = start.clone().multiplyScalar(Math.sin((1 - progress) * angle))
+            .add(end.clone().multiplyScalar(Math.sin(progress * angle)))
+            .normalize();
+        const location = Earth.vector3ToLatLon(point);
+        
+        // En-route flights are at cruise, unless they are already coming down
+        const remaining = this.getMapDistance(location, to);
+        const altitude = progress > 0
+            ? Math.min(cruiseAltitude, groundLevel + this.getDescentHeight(remaining))
+            : groundLevel;
+        
+        return {
+            type,
+            spec,
+            from,
+            to,
+            airports,
+            cruiseAltitude,
+            altitude,
+            speed: progress > 0 ? spec.speed : spec.speed * 0.3,
+            heading: Earth.initialBearing(location.lat, location.lon, to.lat, to.lon),
+            bank: 0,
+            pathAngle: 0,
+            verticalSpeed: 0,
+            position: point.multiplyScalar(Earth.sceneRadius + Units.altitudeToScene(altitude))
+        };
+    },
+    
+    /**
+     * Get the distance between two points as it is flown
+     * @param {Object} a - { lat, lon }
+     * @param {Object} b - { lat, lon }
+     * @returns {number} km flown
+     */
+    getMapDistance(a, b) {
+        return Earth.greatCircleDistance(a.lat, a.lon, b.lat, b.lon) / Units.getMapScale();
+    },
+    
+    /**
+     * Get the height a flight can lose on its descent path over a distance
+     * @param {number} distance - km flown
+     * @returns {number} km
+     */
+    getDescentHeight(distance) {
+        return distance * Math.tan(THREE.MathUtils.degToRad(this.settings.descentAngle));
+    },
+    
+    /**
+     * Remove all traffic
+     */
+    clear() {
+        this.flights = [];
+        this.targets = [];
+        this.setAdvisory(false);
+        
+        if (this.meshes) {
+            Object.values(this.meshes).forEach(mesh => { mesh.count = 0; });
+        }
+        if (this.group) {
+            this.group.visible = false;
+        }
+    },
+    
+    /**
+     * Advance every AI flight and check separation from the player
+     * @param {number} deltaTime - Seconds
+     */
+    update(deltaTime) {
+        if (this.flights.length === 0) return;
+        
+        this.flights.forEach(flight => this.fly(flight, deltaTime));
+        this.updateAdvisories();
+    },
+    
+    /**
+     * Fly one AI aircraft a step towards its destination
+     * @param {Object} flight
+     * @param {number} deltaTime - Seconds
+     */
+    fly(flight, deltaTime) {
+        const settings = this.settings;
+        const groundLevel = Aircraft.physics.groundLevel;
+        const location = Earth.vector3ToLatLon(flight.position);
+        const remaining = this.getMapDistance(location, flight.to);
+        
+        // Overhead the destination: go round onto the next leg
+        if (remaining * Units.getMapScale() < settings.arrivalRadius) {
+            this.startNextLeg(flight);
+            return;
+        }
+        
+        // Turn onto the great circle at a standard bank, the same coordinated turn the player flies
+        const bearing = Earth.initialBearing(location.lat, location.lon, flight.to.lat, flight.to.lon);
+        const headingError = ((bearing - flight.heading + 540) % 360) - 180;
+        const targetBank = THREE.MathUtils.clamp(headingError * 1.5, -settings.maxBank, settings.maxBank);
+        const maxRoll = settings.rollRate * deltaTime;
+        flight.bank += THREE.MathUtils.clamp(targetBank - flight.bank, -maxRoll, maxRoll);
+        
+        flight.speed = Math.min(flight.spec.speed, flight.speed + settings.acceleration * deltaTime);
+        const speed = flight.speed / 3.6; // m/s
+        const turnRate = THREE.MathUtils.radToDeg(9.81 * Math.tan(THREE.MathUtils.degToRad(flight.bank)) / speed);
+        flight.heading = (flight.heading + turnRate * deltaTime + 360) % 360;
+        
+        // Climb to cruise, then come down on a steady glide path to the destination
+        const height = flight.altitude - groundLevel;
+        let pathAngle = 0;
+        if (height >= this.getDescentHeight(remaining)) {
+            pathAngle = -settings.descentAngle;
+        } else if (flight.altitude < flight.cruiseAltitude) {
+            pathAngle = settings.climbAngle;
+        }
+        flight.pathAngle = pathAngle;
+        
+        const pathRad = THREE.MathUtils.degToRad(pathAngle);
+        const headingRad = THREE.MathUtils.degToRad(flight.heading);
+        const distance = flight.speed / 3600 * deltaTime;
+        const previousAltitude = flight.altitude;
+        flight.altitude = THREE.MathUtils.clamp(
+            flight.altitude + distance * Math.sin(pathRad),
+            groundLevel,
+            pathAngle > 0 ? flight.cruiseAltitude : Infinity
+        );
+        flight.verticalSpeed = (flight.altitude - previousAltitude) / deltaTime * 3600;
+        
+        // Move over the globe with the wind, as the player's aircraft does
+        const wind = Wind.getWind(location.lat, location.lon, flight.altitude);
+        const frame = Earth.getLocalFrame(flight.position);
+        const horizontal = flight.speed * Math.cos(pathRad);
+        const groundNorth = horizontal * Math.cos(headingRad) + wind.north;
+        const groundEast = horizontal * Math.sin(headingRad) + wind.east;
+        const horizontalScale = Units.getHorizontalScale();
+        
+        flight.position
+            .addScaledVector(frame.north, groundNorth / 3600 * deltaTime * horizontalScale)
+            .addScaledVector(frame.east, groundEast / 3600 * deltaTime * horizontalScale)
+            .normalize()
+            .multiplyScalar(Earth.sceneRadius + Units.altitudeToScene(flight.altitude));
+    },
+    
+    /**
+     * Send a flight on from its destination to another nearby airport
+     * @param {Object} flight
+     */
+    startNextLeg(flight) {
+        const route = this.pickRoute(flight.airports, null, flight.to) || { from: flight.to, to: flight.from };
+        
+        const range = this.types[flight.type].altitudes;
+        flight.from = route.from;
+        flight.to = route.to;
+        flight.cruiseAltitude = range[0] + Simulation.random() * (range[1] - range[0]);
+    },
+    
+    /**
+     * Check every flight against the player and raise or clear the traffic advisory
+     */
+    updateAdvisories() {
+        if (!Aircraft.state.isFlying || !this.settings.playerPhases.includes(Aircraft.getFlightPhase())) {
+            this.targets = [];
+            this.setAdvisory(false);
+            return;
+        }
+        
+        const player = Aircraft.getPosition();
+        const heading = Aircraft.state.heading;
+        const alert = this.getAlertRange();
+        const displayRange = alert.horizontal * this.settings.displayRange;
+        
+        this.targets = [];
+        let threats = 0;
+        
+        this.flights.forEach(flight => {
+            const location = Earth.vector3ToLatLon(flight.position);
+            const distance = this.getMapDistance(player, location);
+            const relativeAltitude = flight.altitude - player.altitude;
+            if (distance > displayRange || Math.abs(relativeAltitude) > this.settings.displayVertical) return;
+            
+            // Inside the alert range is an advisory; inside twice the range is proximate traffic
+            let level = 'other';
+            if (distance <= alert.horizontal && Math.abs(relativeAltitude) <= alert.vertical) {
+                level = 'advisory';
+                threats++;
+            } else if (distance <= alert.horizontal * 2 && Math.abs(relativeAltitude) <= alert.vertical * 2) {
+                level = 'proximate';
+            }
+            
+            const bearing = Earth.initialBearing(player.lat, player.lon, location.lat, location.lon);
+            const trend = Math.abs(flight.verticalSpeed) < this.settings.levelRate ? 0 : Math.sign(flight.verticalSpeed);
+            
+            this.targets.push({
+                type: flight.type,
+                relativeBearing: ((bearing - heading + 540) % 360) - 180,
+                range: distance / displayRange,
+                distance,
+                relativeAltitude,
+                trend,
+                level
+            });
+        });
+        
+        this.setAdvisory(threats > 0, threats);
+    },
+    
+    /**
+     * Raise or clear the traffic advisory
+     * @param {boolean} active
+     * @param {number} count - Aircraft inside the alert range
+     */
+    setAdvisory(active, count = 0) {
+        if (active === this.advisory) return;
+        
+        this.advisory = active;
+        window.dispatchEvent(new CustomEvent('trafficAdvisory', {
+            detail: { active, count }
+        }));
+    },
+    
+    /**
+     * Get traffic around the player for the display
+     * @returns {Object[]} { type, relativeBearing, range (0-1 of the display), distance, relativeAltitude, trend, level }
+     */
+    getTargets() {
+        return this.targets;
+    },
+    
+    /**
+     * Get the display radius
+     * @returns {number} km flown
+     */
+    getDisplayRange() {
+        return this.getAlertRange().horizontal * this.settings.displayRange;
+    },
+    
+    /**
+     * Colour each instance in its type's livery
+     */
+    updateColors() {
+        const color = new THREE.Color();
+        
+        this.flights.forEach((flight, i) => {
+            color.set(flight.spec.color);
+            this.meshes.body.setColorAt(i, color);
+            this.meshes.wings.setColorAt(i, color);
+            color.set(flight.spec.accentColor);
+            this.meshes.tail.setColorAt(i, color);
+        });
+        
+        Object.values(this.meshes).forEach(mesh => {
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        });
+    },
+    
+    /**
+     * Place every instance at its flight's position and attitude
+     */
+    updateMeshes() {
+        if (!this.group || !this.group.visible) return;
+        
+        const matrix = new THREE.Matrix4();
+        const basis = new THREE.Matrix4();
+        const attitude = new THREE.Quaternion();
+        const euler = new THREE.Euler();
+        const scale = new THREE.Vector3();
+        
+        this.flights.forEach((flight, i) => {
+            // Same axes as the player's aircraft: x along the heading, y up, z towards the right wing
+            const frame = Earth.getLocalFrame(flight.position);
+            const headingRad = THREE.MathUtils.degToRad(flight.heading);
+            const direction = frame.north.clone().multiplyScalar(Math.cos(headingRad))
+                .addScaledVector(frame.east, Math.sin(headingRad));
+            const right = new THREE.Vector3().crossVectors(direction, frame.up);
+            basis.makeBasis(direction, frame.up, right);
+            
+            euler.set(
+                THREE.MathUtils.degToRad(flight.bank),
+                0,
+                THREE.MathUtils.degToRad(flight.pathAngle),
+                'ZYX'
+            );
+            attitude.setFromRotationMatrix(basis).multiply(new THREE.Quaternion().setFromEuler(euler));
+            
+            scale.setScalar(flight.spec.scale);
+            matrix.compose(flight.position, attitude, scale);
+            
+            Object.values(this.meshes).forEach(mesh => mesh.setMatrixAt(i, matrix));
+        });
+        
+        Object.values(this.meshes).forEach(mesh => {
+            mesh.count = this.flights.length;
+            mesh.instanceMatrix.needsUpdate = true;
+        });
+    }
+};
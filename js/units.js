@@ -0,0 +1,163 @@
+/**
+ * Sky Flight - Units Module
+ * Converts between scene units and real-world km, m and ft, and formats values for display
+ */
+
+const Units = {
+    // Heights are drawn exaggerated against the globe so cruising altitudes stand clear of the surface
+    altitudeScale: 1, // scene units per km of altitude
+    
+    // Real km travelled over the globe per km flown through the air
+    mapScales: {
+        compressed: 6.371, // long-haul flights in minutes
+        real: 1 // 1:1, crossing a continent takes as long as it really does
+    },
+    
+    // Display units for each quantity
+    systems: {
+        metric: { altitude: 'm', distance: 'km', speed: 'km/h', verticalSpeed: 'm/s' },
+        imperial: { altitude: 'ft', distance: 'nm', speed: 'kt', verticalSpeed: 'ft/min' }
+    },
+    
+    // Display units per internal unit (km for altitude and distance, km/h for speeds)
+    factors: {
+        m: 1000,
+        ft: 3280.84,
+        km: 1,
+        nm: 1 / 1.852,
+        'km/h': 1,
+        kt: 1 / 1.852,
+        'm/s': 1 / 3.6,
+        'ft/min': 3280.84 / 60
+    },
+    
+    // Decimal places shown by default in each display unit
+    precision: {
+        m: 0,
+        ft: 0,
+        km: 0,
+        nm: 0,
+        'km/h': 0,
+        kt: 0,
+        'm/s': 1,
+        'ft/min': 0
+    },
+    
+    /**
+     * Get real km per scene unit over the surface
+     * @returns {number}
+     */
+    getKmPerSceneUnit() {
+        return Earth.radius / Earth.sceneRadius;
+    },
+    
+    /**
+     * Convert a distance over the globe from scene units to km
+     * @param {number} distance - Scene units
+     * @returns {number} km
+     */
+    sceneToKm(distance) {
+        return distance * this.getKmPerSceneUnit();
+    },
+    
+    /**
+     * Convert a distance over the globe from km to scene units
+     * @param {number} km
+     * @returns {number} Scene units
+     */
+    kmToScene(km) {
+        return km / this.getKmPerSceneUnit();
+    },
+    
+    /**
+     * Convert a height above the surface from scene units to km
+     * @param {number} height - Scene units
+     * @returns {number} km
+     */
+    sceneToAltitude(height) {
+        return height / this.altitudeScale;
+    },
+    
+    /**
+     * Convert an altitude in km to a height above the surface in scene units
+     * @param {number} altitude - km
+     * @returns {number} Scene units
+     */
+    altitudeToScene(altitude) {
+        return altitude * this.altitudeScale;
+    },
+    
+    /**
+     * Get the selected map scale
+     * @returns {string} 'compressed' or 'real'
+     */
+    getMapScaleName() {
+        const name = Settings.get('mapScale');
+        return this.mapScales[name] ? name : 'compressed';
+    },
+    
+    /**
+     * Get real km travelled over the globe per km flown
+     * @returns {number}
+     */
+    getMapScale() {
+        return this.mapScales[this.getMapScaleName()];
+    },
+    
+    /**
+     * Get scene units travelled over the globe per km flown
+     * @returns {number}
+     */
+    getHorizontalScale() {
+        return this.kmToScene(this.getMapScale());
+    },
+    
+    /**
+     * Convert km flown through the air to km covered over the globe
+     * @param {number} km - Also works for km/h
+     * @returns {number}
+     */
+    flownToMap(km) {
+        return km * this.getMapScale();
+    },
+    
+    /**
+     * Get the selected display units
+     * @returns {Object} { altitude, distance, speed, verticalSpeed }
+     */
+    getSystem() {
+        return this.systems[Settings.get('unitSystem')] || this.systems.metric;
+    },
+    
+    /**
+     * Get the display unit for a quantity
+     * @param {string} quantity - 'altitude', 'distance', 'speed' or 'verticalSpeed'
+     * @returns {string}
+     */
+    getUnit(quantity) {
+        return this.getSystem()[quantity];
+    },
+    
+    /**
+     * Convert a value to the display units
+     * @param {number} value - km for altitude and distance, km/h for speed and vertical speed
+     * @param {string} quantity - 'altitude', 'distance', 'speed' or 'verticalSpeed'
+     * @returns {number}
+     */
+    convert(value, quantity) {
+        return value * this.factors[this.getUnit(quantity)];
+    },
+    
+    /**
+     * Format a value in the display units
+     * @param {number} value - km for altitude and distance, km/h for speed and vertical speed
+     * @param {string} quantity - 'altitude', 'distance', 'speed' or 'verticalSpeed'
+     * @param {number} decimals - Defaults to the unit's usual precision
+     * @returns {string} e.g. '10000 m' or '32808 ft'
+     */
+    format(value, quantity, decimals) {
+        const unit = this.getUnit(quantity);
+        const places = decimals !== undefined ? decimals : this.precision[unit];
+        return `${this.convert(value, quantity).toFixed(places)} ${unit}`;
+    }
+};
@@ -0,0 +1,95 @@
+/**
+ * Sky Flight - Wind Module
+ * Global wind field with trade winds, westerlies and jet streams in altitude layers
+ */
+
+const Wind = {
+    // Prevailing wind belts; each blows strongest halfway between its edges (km/h)
+    belts: [
+        { from: 0, to: 30, eastward: -20, poleward: -8 }, // trade winds, blowing towards the equator
+        { from: 30, to: 60, eastward: 30, poleward: 6 }, // westerlies
+        { from: 60, to: 90, eastward: -12, poleward: -4 } // polar easterlies
+    ],
+    
+    // Jet streams in both hemispheres, meandering in waves around the globe
+    jetStreams: [
+        { latitude: 30, speed: 140, width: 5, meander: 3 }, // subtropical jet
+        { latitude: 50, speed: 180, width: 7, meander: 8 } // polar jet
+    ],
+    jetWaves: 4, // meander waves around the globe
+    
+    // Share of the belts and jet streams felt at each altitude (km), interpolated between layers
+    layers: [
+        { altitude: 0, belts: 0.6, jets: 0 },
+        { altitude: 1, belts: 1, jets: 0.05 },
+        { altitude: 5, belts: 1, jets: 0.4 },
+        { altitude: 10, belts: 0.8, jets: 1 },
+        { altitude: 20, belts: 0.5, jets: 0.3 },
+        { altitude: 50, belts: 0.2, jets: 0 }
+    ],
+    
+    /**
+     * Get layer weights at an altitude
+     * @param {number} altitude - km
+     * @returns {Object} { belts, jets }
+     */
+    getLayer(altitude) {
+        const layers = this.layers;
+        if (altitude <= layers[0].altitude) return layers[0];
+        
+        for (let i = 1; i < layers.length; i++) {
+            const upper = layers[i];
+            if (altitude <= upper.altitude) {
+                const lower = layers[i - 1];
+                const t = (altitude - lower.altitude) / (upper.altitude - lower.altitude);
+                return {
+                    belts: THREE.MathUtils.lerp(lower.belts, upper.belts, t),
+                    jets: THREE.MathUtils.lerp(lower.jets, upper.jets, t)
+                };
+            }
+        }
+        
+        return layers[layers.length - 1];
+    },
+    
+    /**
+     * Get the wind at a point
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees
+     * @param {number} altitude - km
+     * @returns {Object} { east, north } km/h the air is moving
+     */
+    getWind(lat, lon, altitude) {
+        const absLat = Math.min(Math.abs(lat), 90);
+        const hemisphere = lat < 0 ? -1 : 1;
+        const layer = this.getLayer(altitude);
+        
+        let east = 0;
+        let north = 0;
+        
+        const belt = this.belts.find(b => absLat <= b.to);
+        const strength = Math.sin(Math.PI * (absLat - belt.from) / (belt.to - belt.from));
+        east += belt.eastward * strength * layer.belts;
+        north += belt.poleward * hemisphere * strength * layer.belts;
+        
+        // Jet streams blow from the west in a narrow band
+        const wave = Math.sin(THREE.MathUtils.degToRad(lon) * this.jetWaves);
+        this.jetStreams.forEach(jet => {
+            const offset = (absLat - jet.latitude - jet.meander * wave) / jet.width;
+            east += jet.speed * Math.exp(-offset * offset) * layer.jets;
+        });
+        
+        return { east, north };
+    },
+    
+    /**
+     * Convert a wind vector to how pilots report it
+     * @param {Object} wind - { east, north } km/h
+     * @returns {Object} { direction (degrees the wind blows from), speed (km/h) }
+     */
+    describe(wind) {
+        const speed = Math.hypot(wind.east, wind.north);
+        const direction = (THREE.MathUtils.radToDeg(Math.atan2(-wind.east, -wind.north)) + 360) % 360;
+        return { direction, speed };
+    }
+};
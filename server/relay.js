@@ -0,0 +1,322 @@
+/**
+ * Sky Flight - Multiplayer Relay
+ * Serves the game and relays aircraft states and chat between browsers over WebSocket.
+ * Uses only Node's built-in modules, so it runs anywhere Node does:
+ *
+ *     node server/relay.js [port]
+ *
+ * then open http://<this machine>:<port> in each browser and connect from the Multiplayer menu.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const settings = {
+    port: parseInt(process.argv[2] || process.env.PORT, 10) || 8080,
+    root: path.resolve(__dirname, '..'), // the game is served from the repository root
+    publicPaths: ['index.html', 'css', 'js', 'data', 'models'], // everything else in the repository stays private
+    maxMessage: 16 * 1024, // bytes; states and chat lines are far smaller
+    maxName: 16,
+    maxChat: 200,
+    pingInterval: 30000 // ms between keep-alive pings
+};
+
+// Magic string from RFC 6455 used to accept the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.ico': 'image/x-icon'
+};
+
+const clients = new Map(); // id -> { id, socket, name, buffer }
+let nextId = 1;
+
+/**
+ * Serve a file from the game directory
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(settings.root, urlPath === '/' ? 'index.html' : urlPath);
+    
+    // Serve only the game's own files, never source control or server files
+    const segments = path.relative(settings.root, filePath).split(path.sep);
+    if (!filePath.startsWith(settings.root + path.sep) ||
+        !settings.publicPaths.includes(segments[0]) ||
+        segments.some(segment => segment.startsWith('.'))) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        response.end(data);
+    });
+}
+
+/**
+ * Encode a frame from the server; server frames are never masked
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in a buffer
+ * @param {Buffer} buffer
+ * @returns {Object|null} { fin, opcode, payload, length } or null until more data arrives
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    
+    // Browsers always mask what they send; anything else is not a browser
+    if (!masked || length > settings.maxMessage) {
+        return { error: true };
+    }
+    
+    if (buffer.length < offset + 4 + length) return null;
+    
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    
+    return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Send a message to one client
+ * @param {Object} client
+ * @param {Object} message
+ */
+function send(client, message) {
+    if (client.socket.writable) {
+        client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    }
+}
+
+/**
+ * Send a message to every client but one
+ * @param {Object} message
+ * @param {number} exceptId - Client that sent it
+ */
+function broadcast(message, exceptId) {
+    const frame = encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    clients.forEach(client => {
+        if (client.id !== exceptId && client.socket.writable) {
+            client.socket.write(frame);
+        }
+    });
+}
+
+/**
+ * Clean a player name or chat line
+ * @param {*} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanText(value, maxLength) {
+    return String(value || '').replace(/[\u0000-\u001F\u007F]/g, '').trim().slice(0, maxLength);
+}
+
+/**
+ * Handle one message from a client; the relay stamps who sent it and passes it on
+ * @param {Object} client
+ * @param {string} text
+ */
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return;
+    }
+    if (!message || typeof message !== 'object') return;
+    
+    switch (message.type) {
+        case 'hello': {
+            const joining = client.name === null;
+            client.name = cleanText(message.name, settings.maxName) || `Pilot ${client.id}`;
+            
+            if (joining) {
+                send(client, {
+                    type: 'welcome',
+                    id: client.id,
+                    name: client.name,
+                    players: [...clients.values()]
+                        .filter(other => other.id !== client.id && other.name !== null)
+                        .map(other => ({ id: other.id, name: other.name }))
+                });
+                broadcast({ type: 'join', id: client.id, name: client.name }, client.id);
+                console.log(`${client.name} joined (${clients.size} connected)`);
+            }
+            break;
+        }
+        case 'state':
+            if (client.name === null || !message.state || typeof message.state !== 'object') return;
+            broadcast({ type: 'state', id: client.id, state: message.state }, client.id);
+            break;
+        case 'chat': {
+            const line = cleanText(message.text, settings.maxChat);
+            if (client.name === null || !line) return;
+            broadcast({ type: 'chat', id: client.id, name: client.name, text: line }, client.id);
+            break;
+        }
+    }
+}
+
+/**
+ * Drop a client and tell everyone else
+ * @param {Object} client
+ */
+function removeClient(client) {
+    if (!clients.delete(client.id)) return;
+    
+    client.socket.destroy();
+    if (client.name !== null) {
+        broadcast({ type: 'leave', id: client.id });
+        console.log(`${client.name} left (${clients.size} connected)`);
+    }
+}
+
+/**
+ * Read complete frames off a client's buffer
+ * @param {Object} client
+ */
+function readFrames(client) {
+    let frame;
+    while ((frame = decodeFrame(client.buffer))) {
+        if (frame.error) {
+            removeClient(client);
+            return;
+        }
+        client.buffer = client.buffer.subarray(frame.length);
+        
+        switch (frame.opcode) {
+            case OPCODES.text:
+                // Game messages are small enough never to be split across frames
+                if (frame.fin) handleMessage(client, frame.payload.toString('utf8'));
+                break;
+            case OPCODES.ping:
+                client.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                break;
+            case OPCODES.close:
+                client.socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+                removeClient(client);
+                return;
+        }
+    }
+}
+
+const server = http.createServer(serveFile);
+
+// Any path upgrades, so the game can connect to the same address it was loaded from
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    
+    const client = { id: nextId++, socket, name: null, buffer: Buffer.alloc(0) };
+    clients.set(client.id, client);
+    
+    socket.on('data', (data) => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+        readFrames(client);
+    });
+    socket.on('end', () => removeClient(client));
+    socket.on('close', () => removeClient(client));
+    socket.on('error', () => removeClient(client));
+});
+
+// Keep idle connections open through home routers and proxies
+setInterval(() => {
+    clients.forEach(client => {
+        if (client.socket.writable) client.socket.write(encodeFrame(OPCODES.ping, Buffer.alloc(0)));
+    });
+}, settings.pingInterval);
+
+server.listen(settings.port, () => {
+    console.log(`Sky Flight relay on http://localhost:${settings.port} (WebSocket on the same port)`);
+});